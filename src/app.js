@@ -3,6 +3,7 @@ import cors from "cors";
 import helmet from "helmet";
 import dotenv from "dotenv";
 import { errorHandler } from "./middlewares/error-handler.middleware.js";
+import { getStorageDriver, getLocalStorageDir, LOCAL_STORAGE_ROUTE } from "./config/storage.js";
 // ## routes
 import userRoutes from "./routes/user.routes.js";
 import countryRoutes from "./routes/country.routes.js";
@@ -11,6 +12,9 @@ import hotelRoutes from "./routes/hotel.routes.js";
 import seoRoutes from "./routes/seo-metadata.routes.js";
 import imageCollectionRoutes from "./routes/image-collection.routes.js";
 import roomRoutes from "./routes/room.routes.js";
+import bookingRoutes from "./routes/booking.routes.js";
+import uploadRoutes from "./routes/upload.routes.js";
+import sitemapRoutes from "./routes/sitemap.routes.js";
 
 // Load environment variables
 dotenv.config();
@@ -29,6 +33,7 @@ app.use(
 const corsOptions = {
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
   credentials: true,
+  exposedHeaders: ["Idempotent-Replayed"],
   optionsSuccessStatus: 200,
 };
 app.use(cors(corsOptions));
@@ -37,6 +42,11 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
+// Local storage driver files (development): same URL layout as Supabase public URLs
+if (getStorageDriver().name === "local") {
+  app.use(LOCAL_STORAGE_ROUTE, express.static(getLocalStorageDir()));
+}
+
 // ## API Routes
 app.use("/api/user", userRoutes);
 app.use("/api/country", countryRoutes);
@@ -45,6 +55,11 @@ app.use("/api/hotel", hotelRoutes);
 app.use("/api/seo-metadata", seoRoutes);
 app.use("/api/image-collection", imageCollectionRoutes);
 app.use("/api/room", roomRoutes);
+app.use("/api/booking", bookingRoutes);
+app.use("/api/upload", uploadRoutes);
+
+// ## Site root
+app.use("/", sitemapRoutes);
 
 // Error Handler Middleware
 app.use(errorHandler);
@@ -0,0 +1,26 @@
+import { DEFAULT_ACTIVE_LANGUAGES } from "../constants/languages.constant.js";
+
+// Active languages
+// Starts with DEFAULT_ACTIVE_LANGUAGES; services/language/language.service.js
+// replaces the list from the languages table before the server starts.
+// Read it with getActiveLanguages() on every use (never cache the array at import time).
+
+let activeLanguages = Object.freeze([...DEFAULT_ACTIVE_LANGUAGES]);
+
+/**
+ * Replace active languages
+ * @param {string[]} codes - Language codes in display order
+ */
+export const setActiveLanguages = (codes) => {
+  if (!Array.isArray(codes) || codes.length === 0 || codes.some((code) => typeof code !== "string" || !code)) {
+    throw new Error("Active languages must be a non-empty array of language codes");
+  }
+
+  activeLanguages = Object.freeze([...codes]);
+};
+
+/**
+ * Get current active languages
+ * @returns {string[]} Language codes (read-only)
+ */
+export const getActiveLanguages = () => activeLanguages;
@@ -0,0 +1,69 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Mail transport configuration
+// MAIL_TRANSPORT: "console" (default) | "file"
+// MAIL_FILE_DIR: output directory for the file transport
+// MAIL_FROM: sender address
+
+/**
+ * Console transport - prints mail to stdout (local development)
+ */
+const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log("📧 Mail (console transport):", {
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+    });
+    console.log(message.text);
+
+    return { id: null };
+  },
+};
+
+/**
+ * File transport - writes each mail as a JSON file (local development / tests)
+ */
+const fileTransport = {
+  name: "file",
+  async send(message) {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), "tmp", "mail");
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(dir, `${id}.json`);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+
+    return { id, path: filePath };
+  },
+};
+
+const builtInTransports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let mailTransport = builtInTransports[process.env.MAIL_TRANSPORT] || consoleTransport;
+
+/**
+ * Replace the mail transport (e.g. SMTP or a mail API client)
+ * A transport is any object with an async send({ from, to, subject, text, html }) method
+ * @param {Object} transport - Mail transport
+ */
+export const setMailTransport = (transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+
+  mailTransport = transport;
+};
+
+/**
+ * Get current mail transport
+ * @returns {Object} Mail transport
+ */
+export const getMailTransport = () => mailTransport;
+
+export const MAIL_FROM = process.env.MAIL_FROM || "no-reply@localhost";
@@ -0,0 +1,86 @@
+// Rate limit / lockout counter store
+// Shared by the express-rate-limit middlewares and login lockout.
+// Default is in-memory (single process). For multiple instances plug a shared
+// store (e.g. Redis) with setRateLimitStore() before the server starts.
+//
+// A store implements:
+//   get(key)                  -> { totalHits, resetTime } | undefined
+//   increment(key, windowMs)  -> { totalHits, resetTime }
+//   decrement(key)
+//   reset(key)
+
+/**
+ * In-memory counter store with fixed windows
+ * @returns {Object} Counter store
+ */
+export const createMemoryStore = () => {
+  const counters = new Map();
+
+  const getActive = (key) => {
+    const entry = counters.get(key);
+
+    if (entry && entry.resetTime <= new Date()) {
+      counters.delete(key);
+      return undefined;
+    }
+
+    return entry;
+  };
+
+  // Drop expired counters every minute
+  const cleanup = setInterval(() => {
+    const now = new Date();
+    for (const [key, entry] of counters) {
+      if (entry.resetTime <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = getActive(key);
+      return entry ? { ...entry } : undefined;
+    },
+
+    async increment(key, windowMs) {
+      const entry = getActive(key) || { totalHits: 0, resetTime: new Date(Date.now() + windowMs) };
+      entry.totalHits += 1;
+      counters.set(key, entry);
+
+      return { ...entry };
+    },
+
+    async decrement(key) {
+      const entry = getActive(key);
+      if (entry && entry.totalHits > 0) entry.totalHits -= 1;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+let rateLimitStore = createMemoryStore();
+
+/**
+ * Replace the counter store
+ * @param {Object} store - Counter store (see interface above)
+ */
+export const setRateLimitStore = (store) => {
+  const methods = ["get", "increment", "decrement", "reset"];
+
+  if (!store || methods.some((method) => typeof store[method] !== "function")) {
+    throw new Error(`Rate limit store must implement ${methods.join(", ")}`);
+  }
+
+  rateLimitStore = store;
+};
+
+/**
+ * Get current counter store
+ * @returns {Object} Counter store
+ */
+export const getRateLimitStore = () => rateLimitStore;
@@ -0,0 +1,124 @@
+import fs from "fs/promises";
+import path from "path";
+import { supabaseAdmin } from "./database.js";
+
+// File storage driver configuration
+// STORAGE_DRIVER: "supabase" | "local" (default: supabase in production, local otherwise)
+// STORAGE_BUCKET: Supabase Storage bucket (default: "images")
+// LOCAL_STORAGE_DIR: output directory for the local driver (default: tmp/storage)
+// LOCAL_STORAGE_PUBLIC_URL: base URL returned by the local driver (default: this server's LOCAL_STORAGE_ROUTE)
+
+const bucket = process.env.STORAGE_BUCKET || "images";
+
+/**
+ * Route the app serves local driver files from (same layout as Supabase public URLs)
+ */
+export const LOCAL_STORAGE_ROUTE = "/storage/v1/object/public";
+
+/**
+ * Get output directory of the local driver
+ * @returns {string} Directory path
+ */
+export const getLocalStorageDir = () => process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), "tmp", "storage");
+
+/**
+ * Get base URL of local driver files
+ * @returns {string} Base URL without trailing slash
+ */
+const getLocalPublicUrl = () =>
+  (process.env.LOCAL_STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}${LOCAL_STORAGE_ROUTE}`).replace(/\/$/, "");
+
+/**
+ * Supabase Storage driver (production)
+ */
+const supabaseDriver = {
+  name: "supabase",
+  async upload({ filePath, buffer, contentType }) {
+    const { error } = await supabaseAdmin.storage.from(bucket).upload(filePath, buffer, {
+      contentType,
+      upsert: false,
+    });
+
+    if (error) throw error;
+
+    const { data } = supabaseAdmin.storage.from(bucket).getPublicUrl(filePath);
+
+    return { url: data.publicUrl, path: filePath };
+  },
+  async remove(filePath) {
+    const { error } = await supabaseAdmin.storage.from(bucket).remove([filePath]);
+
+    if (error) throw error;
+  },
+};
+
+/**
+ * Local filesystem driver (development / tests)
+ * Files are served by the app on LOCAL_STORAGE_ROUTE, and the storage URL validators accept their URLs
+ */
+const localDriver = {
+  name: "local",
+  async upload({ filePath, buffer }) {
+    const target = path.join(getLocalStorageDir(), bucket, filePath);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer, { flag: "wx" });
+
+    return { url: `${getLocalPublicUrl()}/${bucket}/${filePath}`, path: filePath };
+  },
+  async remove(filePath) {
+    await fs.rm(path.join(getLocalStorageDir(), bucket, filePath), { force: true });
+  },
+};
+
+const builtInDrivers = {
+  supabase: supabaseDriver,
+  local: localDriver,
+};
+
+let storageDriver =
+  builtInDrivers[process.env.STORAGE_DRIVER] || (process.env.NODE_ENV === "production" ? supabaseDriver : localDriver);
+
+/**
+ * Replace the storage driver
+ * A driver is any object with async upload({ filePath, buffer, contentType }) -> { url, path }
+ * and async remove(filePath)
+ * @param {Object} driver - Storage driver
+ */
+export const setStorageDriver = (driver) => {
+  if (!driver || typeof driver.upload !== "function" || typeof driver.remove !== "function") {
+    throw new Error("Storage driver must implement upload(file) and remove(path)");
+  }
+
+  storageDriver = driver;
+};
+
+/**
+ * Get current storage driver
+ * @returns {Object} Storage driver
+ */
+export const getStorageDriver = () => storageDriver;
+
+/**
+ * Check if a URL points to a file of the local driver (only while the local driver is active)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export const isLocalStorageUrl = (url) =>
+  storageDriver === localDriver && typeof url === "string" && url.startsWith(`${getLocalPublicUrl()}/${bucket}/`);
+
+/**
+ * Check if a URL points to a public file of the configured storage
+ * (this project's Supabase Storage bucket, or the local driver while it is active)
+ * Only such URLs are downloaded by the server
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export const isStoragePublicUrl = (url) => {
+  if (typeof url !== "string") return false;
+
+  const supabaseUrl = (process.env.SUPABASE_URL || "").replace(/\/$/, "");
+  if (supabaseUrl && url.startsWith(`${supabaseUrl}/storage/v1/object/public/${bucket}/`)) return true;
+
+  return isLocalStorageUrl(url);
+};
@@ -0,0 +1,35 @@
+// constants/auth.constant.js
+
+/**
+ * Access token lifetime (jsonwebtoken format), override with JWT_EXPIRES_IN
+ */
+export const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = "15m";
+
+/**
+ * Refresh token lifetime in days, override with REFRESH_TOKEN_DAYS
+ */
+export const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+/**
+ * User account statuses
+ */
+export const USER_STATUS = {
+  PENDING: "pending",
+  ACTIVE: "active",
+};
+
+/**
+ * Purposes of single-use tokens sent by email
+ * Must match the purpose check constraint on user_action_tokens
+ */
+export const USER_ACTION_TOKEN_PURPOSES = {
+  EMAIL_VERIFICATION: "email_verification",
+  PASSWORD_RESET: "password_reset",
+};
+
+/**
+ * Default lifetime (minutes) of each token purpose
+ * Override with EMAIL_VERIFICATION_TOKEN_MINUTES / PASSWORD_RESET_TOKEN_MINUTES
+ */
+export const DEFAULT_EMAIL_VERIFICATION_TOKEN_MINUTES = 24 * 60;
+export const DEFAULT_PASSWORD_RESET_TOKEN_MINUTES = 30;
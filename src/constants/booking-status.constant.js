@@ -0,0 +1,23 @@
+// constants/booking-status.constant.js
+
+/**
+ * Booking statuses
+ * Must match the status check constraint on bookings
+ */
+export const BOOKING_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+};
+
+/**
+ * Array of all booking status values for validation
+ */
+export const BOOKING_STATUS_VALUES = Object.values(BOOKING_STATUS);
+
+/**
+ * Default minutes a pending booking holds inventory before it expires
+ * Override with BOOKING_HOLD_MINUTES
+ */
+export const DEFAULT_BOOKING_HOLD_MINUTES = 15;
@@ -18,6 +18,11 @@ export const CONTENT_TYPES = {
  */
 export const CONTENT_TYPE_VALUES = Object.values(CONTENT_TYPES);
 
+/**
+ * Content types whose tables support soft delete (deleted_at)
+ */
+export const SOFT_DELETE_CONTENT_TYPES = [CONTENT_TYPES.HOTEL, CONTENT_TYPES.ROOM, CONTENT_TYPES.CITY, CONTENT_TYPES.COUNTRY];
+
 /**
  * Map content types to database table names
  */
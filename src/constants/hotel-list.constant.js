@@ -0,0 +1,15 @@
+// constants/hotel-list.constant.js
+
+/**
+ * Sort options for hotel list
+ */
+export const HOTEL_LIST_SORTS = {
+  NAME: "name",
+  PRICE: "price",
+  NEWEST: "newest",
+};
+
+/**
+ * Array of sort values for validation
+ */
+export const HOTEL_LIST_SORT_VALUES = Object.values(HOTEL_LIST_SORTS);
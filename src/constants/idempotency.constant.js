@@ -0,0 +1,22 @@
+// constants/idempotency.constant.js
+
+/**
+ * Request header carrying the client generated key
+ */
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+
+/**
+ * Maximum key length
+ */
+export const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+/**
+ * How long a stored response can be replayed
+ * Override with IDEMPOTENCY_KEY_TTL_HOURS
+ */
+export const DEFAULT_IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+/**
+ * A key still "processing" after this long is treated as abandoned (crashed request)
+ */
+export const IDEMPOTENCY_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
@@ -1,6 +1,41 @@
 // constants/languages.constant.js
 
 /**
- * Active languages
+ * Default active languages
+ * Used until the languages table is loaded at startup (see config/languages.js)
  */
-export const ACTIVE_LANGUAGES = ["th", "en"];
+export const DEFAULT_ACTIVE_LANGUAGES = ["th", "en"];
+
+/**
+ * First fallback when a translation is missing in the requested language
+ */
+export const DEFAULT_LANGUAGE = "en";
+
+/**
+ * Languages that have <field>_<lang> columns on hotels, rooms, cities, ...
+ * Other languages only exist in translations table
+ */
+export const COLUMN_LANGUAGES = ["th", "en"];
+
+/**
+ * Get a language that can be used in column names (e.g. for ordering)
+ * @param {string} lang - Requested language
+ * @returns {string} Column language
+ */
+export function getColumnLanguage(lang) {
+  return COLUMN_LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translatable fields per entity type
+ * Stored as one row per entity, field and language in translations table
+ * th/en values are also kept in <field>_th / <field>_en columns
+ */
+export const TRANSLATABLE_FIELDS = {
+  hotel: ["name", "excerpt", "description", "location_txt"],
+  room: ["name", "description"],
+  city: ["name"],
+  country: ["name"],
+  hotel_option: ["name"],
+  room_option: ["name"],
+};
@@ -0,0 +1,23 @@
+// constants/rate-limit.constant.js
+
+/**
+ * Request limits per window
+ */
+export const RATE_LIMITS = {
+  LOGIN_PER_IP: { windowMs: 15 * 60 * 1000, limit: 20 },
+  LOGIN_PER_EMAIL: { windowMs: 15 * 60 * 1000, limit: 10 },
+  REGISTER_PER_IP: { windowMs: 60 * 60 * 1000, limit: 5 },
+  REGISTER_PER_EMAIL: { windowMs: 60 * 60 * 1000, limit: 3 },
+};
+
+/**
+ * Progressive login lockout
+ * After LOGIN_LOCKOUT.THRESHOLD failed logins within FAILURE_WINDOW_MS, each further
+ * failure locks the account for BASE_LOCK_MS * 2^(failures - THRESHOLD), capped at MAX_LOCK_MS
+ */
+export const LOGIN_LOCKOUT = {
+  THRESHOLD: 5,
+  FAILURE_WINDOW_MS: 60 * 60 * 1000,
+  BASE_LOCK_MS: 60 * 1000,
+  MAX_LOCK_MS: 60 * 60 * 1000,
+};
@@ -0,0 +1,21 @@
+// constants/roles.constant.js
+
+/**
+ * User roles
+ * Must match the role check constraint on users
+ */
+export const USER_ROLES = {
+  GUEST: "guest",
+  HOTEL_MANAGER: "hotel_manager",
+  ADMIN: "admin",
+};
+
+/**
+ * Array of all role values for validation
+ */
+export const USER_ROLE_VALUES = Object.values(USER_ROLES);
+
+/**
+ * Role given to newly registered users
+ */
+export const DEFAULT_USER_ROLE = USER_ROLES.GUEST;
@@ -0,0 +1,27 @@
+// constants/sitemap.constant.js
+
+import { CONTENT_TYPES } from "./content-types.js";
+
+/**
+ * Page types listed in /sitemap.xml, in output order
+ */
+export const SITEMAP_PAGE_TYPES = [CONTENT_TYPES.PAGE, CONTENT_TYPES.CITY, CONTENT_TYPES.HOTEL, CONTENT_TYPES.ROOM, CONTENT_TYPES.BLOG];
+
+/**
+ * Maximum <url> entries per sitemap file (protocol limit is 50,000)
+ * Larger sets are split into /sitemap-<n>.xml files listed by a sitemap index
+ * Override with SITEMAP_MAX_URLS
+ */
+export const DEFAULT_SITEMAP_MAX_URLS = 50000;
+
+/**
+ * Frontend route segment per page type: /<lang>/<segment>/<slug>
+ * Static pages have no segment and live at /<lang>/<slug>
+ */
+export const SITEMAP_PATH_SEGMENTS = {
+  [CONTENT_TYPES.PAGE]: "",
+  [CONTENT_TYPES.CITY]: "city",
+  [CONTENT_TYPES.HOTEL]: "hotel",
+  [CONTENT_TYPES.ROOM]: "room",
+  [CONTENT_TYPES.BLOG]: "blog",
+};
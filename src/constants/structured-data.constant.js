@@ -0,0 +1,18 @@
+// constants/structured-data.constant.js
+
+import { CONTENT_TYPES } from "./content-types.js";
+
+/**
+ * JSON-LD @context
+ */
+export const SCHEMA_ORG_CONTEXT = "https://schema.org";
+
+/**
+ * Currency of room prices, override with PRICE_CURRENCY (ISO 4217)
+ */
+export const DEFAULT_PRICE_CURRENCY = "THB";
+
+/**
+ * Page types that have structured data
+ */
+export const STRUCTURED_DATA_PAGE_TYPES = [CONTENT_TYPES.HOTEL, CONTENT_TYPES.ROOM];
@@ -0,0 +1,46 @@
+// constants/upload.constant.js
+
+/**
+ * Image MIME types accepted by POST /api/upload, with the file extension used in storage
+ */
+export const ALLOWED_IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/gif": "gif",
+};
+
+/**
+ * Array of accepted MIME types for validation
+ */
+export const ALLOWED_IMAGE_MIME_TYPES = Object.keys(ALLOWED_IMAGE_TYPES);
+
+/**
+ * Default maximum upload size in MB, override with UPLOAD_MAX_SIZE_MB
+ */
+export const DEFAULT_UPLOAD_MAX_SIZE_MB = 5;
+
+/**
+ * Storage folders a file can be uploaded to
+ * "user" (profile images) is open to every logged in user, the rest need admin or hotel manager
+ */
+export const UPLOAD_FOLDERS = ["user", "hotel", "room", "city", "country", "page", "blog"];
+
+/**
+ * Responsive derivatives generated for every uploaded / registered image
+ * Images are never enlarged; thumbnail is cropped, card and hero keep the aspect ratio
+ */
+export const IMAGE_VARIANTS = {
+  THUMBNAIL: { name: "thumbnail", width: 320, height: 240, fit: "cover" },
+  CARD: { name: "card", width: 800, fit: "inside" },
+  HERO: { name: "hero", width: 1920, fit: "inside" },
+};
+
+/**
+ * Output formats of derivatives, in <picture> source order (best compression first)
+ */
+export const IMAGE_VARIANT_FORMATS = {
+  avif: "image/avif",
+  webp: "image/webp",
+};
@@ -0,0 +1,51 @@
+// controllers/booking/booking-create.controller.js
+
+import { bookingCreateService } from "../../services/booking/booking-create.service.js";
+
+/**
+ * Create a booking that holds room inventory
+ * POST /api/booking
+ */
+export async function createBooking(req, res, next) {
+  try {
+    // Extract booking data from request body
+    const bookingData = {
+      room_id: req.body.room_id,
+      check_in: req.body.check_in,
+      check_out: req.body.check_out,
+      units: req.body.units || 1,
+      adults: req.body.adults,
+      children: req.body.children || 0,
+      note: req.body.note || null,
+    };
+
+    // Call service to create booking
+    const newBooking = await bookingCreateService.create(req.user.id, bookingData);
+
+    return res.status(201).json({
+      success: true,
+      message: "Booking created. Please confirm before the hold expires.",
+      data: {
+        booking: newBooking,
+      },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+          ...(error.details && { details: error.details }),
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Booking create controller error:", error);
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
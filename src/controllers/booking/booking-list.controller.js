@@ -0,0 +1,64 @@
+// controllers/booking/booking-list.controller.js
+
+import { bookingListService } from "../../services/booking/booking-list.service.js";
+
+/**
+ * Get bookings of the authenticated user
+ * GET /api/booking?status=xxx (optional)
+ */
+export async function getMyBookings(req, res, next) {
+  try {
+    const { status, limit, offset } = req.query;
+
+    const result = await bookingListService.getMyBookings(req.user.id, {
+      status,
+      limit: limit || 20,
+      offset: offset || 0,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    // Log unexpected errors
+    console.error("Booking list controller error:", error);
+
+    // Pass to error handler
+    next(error);
+  }
+}
+
+/**
+ * Get one booking of the authenticated user
+ * GET /api/booking/:id
+ */
+export async function getMyBooking(req, res, next) {
+  try {
+    const booking = await bookingListService.getMyBooking(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        booking,
+      },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Booking get controller error:", error);
+
+    // Pass to error handler
+    next(error);
+  }
+}
@@ -0,0 +1,61 @@
+// controllers/booking/booking-status.controller.js
+
+import { bookingStatusService } from "../../services/booking/booking-status.service.js";
+
+/**
+ * Send error response for known booking errors, otherwise pass to error handler
+ */
+function handleBookingStatusError(error, res, next, label) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      error: {
+        code: error.code,
+      },
+    });
+  }
+
+  console.error(`${label} controller error:`, error);
+  next(error);
+}
+
+/**
+ * Confirm a pending booking
+ * POST /api/booking/:id/confirm
+ */
+export async function confirmBooking(req, res, next) {
+  try {
+    const booking = await bookingStatusService.confirm(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Booking confirmed",
+      data: {
+        booking,
+      },
+    });
+  } catch (error) {
+    return handleBookingStatusError(error, res, next, "Booking confirm");
+  }
+}
+
+/**
+ * Cancel a pending or confirmed booking
+ * POST /api/booking/:id/cancel
+ */
+export async function cancelBooking(req, res, next) {
+  try {
+    const booking = await bookingStatusService.cancel(req.user.id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Booking cancelled",
+      data: {
+        booking,
+      },
+    });
+  } catch (error) {
+    return handleBookingStatusError(error, res, next, "Booking cancel");
+  }
+}
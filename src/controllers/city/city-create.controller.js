@@ -14,6 +14,7 @@ export async function createCity(req, res, next) {
       name_en: req.body.name_en,
       image: req.body.image,
       country_id: req.body.country_id,
+      translations: req.body.translations,
     };
 
     // Call service to create city
@@ -1,13 +1,19 @@
 import { cityListService } from "../../services/city/city-list.service.js";
+import { getRequestLanguage } from "../../utils/language.util.js";
 
 /**
  * Get list of cities that have hotels
- * GET /api/city/list
+ * GET /api/city/list?lang=th (optional, or Accept-Language)
  */
 export async function getCityList(req, res, next) {
   try {
     // Get cities from service
-    const result = await cityListService.getCityList();
+    const result = await cityListService.getCityList({
+      lang: getRequestLanguage(req),
+    });
+
+    // Response depends on Accept-Language
+    res.vary("Accept-Language");
 
     // Return success response
     return res.status(200).json({
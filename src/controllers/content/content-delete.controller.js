@@ -0,0 +1,67 @@
+// controllers/content/content-delete.controller.js
+
+import { contentDeleteService } from "../../services/content/content-delete.service.js";
+
+/**
+ * Send error response for known errors, otherwise pass to error handler
+ */
+function handleError(error, res, next) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      error: {
+        code: error.code,
+      },
+    });
+  }
+
+  console.error("Content delete controller error:", error);
+  next(error);
+}
+
+/**
+ * Create soft delete handler for a content type
+ * DELETE /api/<type>/:id
+ * @param {string} type - Content type
+ * @returns {Function} Express handler
+ */
+export const deleteContent = (type) => async (req, res, next) => {
+  try {
+    const result = await contentDeleteService.softDelete(type, req.params.id, {
+      userId: req.user.id,
+      reason: req.body?.reason,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Successfully deleted ${type}`,
+      data: result,
+    });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
+
+/**
+ * Create restore handler for a content type
+ * POST /api/<type>/:id/restore
+ * @param {string} type - Content type
+ * @returns {Function} Express handler
+ */
+export const restoreContent = (type) => async (req, res, next) => {
+  try {
+    const result = await contentDeleteService.restore(type, req.params.id, {
+      userId: req.user.id,
+      reason: req.body?.reason,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Successfully restored ${type}`,
+      data: result,
+    });
+  } catch (error) {
+    return handleError(error, res, next);
+  }
+};
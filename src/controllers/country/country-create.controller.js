@@ -15,6 +15,7 @@ export const createCountry = async (req, res, next) => {
       name_th: req.body.name_th,
       name_en: req.body.name_en,
       image: req.body.image || null,
+      translations: req.body.translations,
     };
 
     // 2. เรียก service เพื่อสร้างประเทศ
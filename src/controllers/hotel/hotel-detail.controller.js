@@ -0,0 +1,30 @@
+// controllers/hotel/hotel-detail.controller.js
+
+import { hotelDetailService } from "../../services/hotel/hotel-detail.service.js";
+
+/**
+ * Get full hotel record by slug
+ * GET /api/hotel/:slug
+ */
+export async function getHotelDetail(req, res, next) {
+  try {
+    const result = await hotelDetailService.getHotelDetail(req.params.slug);
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error("Hotel detail controller error:", error);
+    next(error);
+  }
+}
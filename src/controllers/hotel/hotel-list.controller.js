@@ -1,23 +1,33 @@
 // controllers/hotel/hotel-list.controller.js
 
 import { hotelListService } from "../../services/hotel/hotel-list.service.js";
+import { getRequestLanguage } from "../../utils/language.util.js";
 
 /**
  * Get list of hotels (all or by city)
- * GET /api/hotel/list?city_slug=xxx (optional)
+ * GET /api/hotel/list?city_slug=xxx&hotel_option_ids=id1,id2&min_price=1000&max_price=5000&q=xxx&sort=name|price|newest&lang=th
  */
 export async function getHotelList(req, res, next) {
   try {
     // Extract query parameters
-    const { city_slug, limit, offset } = req.query;
+    const { city_slug, hotel_option_ids, min_price, max_price, q, sort, limit, offset } = req.query;
 
     // Get hotels from service
     const result = await hotelListService.getHotels({
       citySlug: city_slug,
+      optionIds: hotel_option_ids,
+      minPrice: min_price,
+      maxPrice: max_price,
+      search: q,
+      sort,
+      lang: getRequestLanguage(req),
       limit,
       offset,
     });
 
+    // Response depends on Accept-Language
+    res.vary("Accept-Language");
+
     // Return success response
     return res.status(200).json({
       success: true,
@@ -0,0 +1,51 @@
+// controllers/hotel/hotel-search.controller.js
+
+import { hotelSearchService } from "../../services/hotel/hotel-search.service.js";
+import { getRequestLanguage } from "../../utils/language.util.js";
+
+/**
+ * Search hotels with rooms available for a stay
+ * GET /api/hotel/search?city=xxx&checkin=YYYY-MM-DD&checkout=YYYY-MM-DD&adults=2&children=0
+ */
+export async function searchHotels(req, res, next) {
+  try {
+    // Extract query parameters
+    const { city, checkin, checkout, adults, children, limit, offset } = req.query;
+
+    // Search hotels from service
+    const result = await hotelSearchService.searchHotels({
+      citySlug: city,
+      checkIn: checkin,
+      checkOut: checkout,
+      adults: adults ?? 1,
+      children: children ?? 0,
+      limit: limit || 20,
+      offset: offset || 0,
+      lang: getRequestLanguage(req),
+    });
+
+    // Response depends on Accept-Language
+    res.vary("Accept-Language");
+
+    // Return success response
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Hotel search controller error:", error);
+
+    // Pass to error handler
+    next(error);
+  }
+}
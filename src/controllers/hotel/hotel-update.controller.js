@@ -0,0 +1,38 @@
+// controllers/hotel/hotel-update.controller.js
+
+import { hotelUpdateService } from "../../services/hotel/hotel-update.service.js";
+
+/**
+ * Partially update a hotel and its city/option mappings
+ * PATCH /api/hotel/:id
+ */
+export async function updateHotel(req, res, next) {
+  try {
+    const hotel = await hotelUpdateService.update(req.params.id, req.body.hotel_data);
+
+    return res.status(200).json({
+      success: true,
+      message: "Hotel updated successfully",
+      data: {
+        hotel,
+      },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Hotel update controller error:", error);
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
@@ -0,0 +1,193 @@
+// controllers/image/image-gallery.controller.js
+
+import { imageGalleryService } from "../../services/image/image-gallery.service.js";
+
+/**
+ * List gallery images of an entity
+ * GET /api/image-collection/:content_type/:content_id
+ */
+export async function listImages(req, res, next) {
+  try {
+    const { content_type, content_id } = req.params;
+
+    const images = await imageGalleryService.list(content_type, content_id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        content_type,
+        content_id,
+        image_assets: images,
+      },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+          ...(error.details && { details: error.details }),
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Image gallery controller error:", error);
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
+
+/**
+ * Update alt / caption of an image
+ * PATCH /api/image-collection/:id
+ */
+export async function updateImage(req, res, next) {
+  try {
+    const image = await imageGalleryService.update(req.params.id, {
+      alt: req.body.alt,
+      caption: req.body.caption,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Image updated successfully",
+      data: { image },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+          ...(error.details && { details: error.details }),
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Image gallery controller error:", error);
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
+
+/**
+ * Make an image the cover of its gallery
+ * PUT /api/image-collection/:id/cover
+ */
+export async function setCoverImage(req, res, next) {
+  try {
+    const image = await imageGalleryService.setCover(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Cover image updated successfully",
+      data: { image },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+          ...(error.details && { details: error.details }),
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Image gallery controller error:", error);
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
+
+/**
+ * Delete an image
+ * DELETE /api/image-collection/:id
+ */
+export async function deleteImage(req, res, next) {
+  try {
+    const result = await imageGalleryService.delete(req.params.id, {
+      userId: req.user.id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Image deleted successfully",
+      data: {
+        id: result.image.id,
+        deleted_at: result.image.deleted_at,
+        new_cover_id: result.new_cover_id,
+      },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+          ...(error.details && { details: error.details }),
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Image gallery controller error:", error);
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
+
+/**
+ * Reorder the gallery of an entity
+ * PUT /api/image-collection/:content_type/:content_id/order
+ */
+export async function reorderImages(req, res, next) {
+  try {
+    const { content_type, content_id } = req.params;
+
+    const images = await imageGalleryService.reorder(content_type, content_id, req.body.image_ids);
+
+    return res.status(200).json({
+      success: true,
+      message: "Images reordered successfully",
+      data: {
+        content_type,
+        content_id,
+        image_assets: images,
+      },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+          ...(error.details && { details: error.details }),
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Image gallery controller error:", error);
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
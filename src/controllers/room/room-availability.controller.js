@@ -0,0 +1,42 @@
+// controllers/room/room-availability.controller.js
+
+import { roomAvailabilityService } from "../../services/room/room-availability.service.js";
+
+/**
+ * Get per-night availability calendar for a room
+ * GET /api/room/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+export async function getRoomAvailability(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const result = await roomAvailabilityService.getRoomAvailability({
+      roomId: id,
+      from,
+      to,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Room availability controller error:", error);
+
+    // Pass to error handler
+    next(error);
+  }
+}
@@ -0,0 +1,30 @@
+// controllers/room/room-detail.controller.js
+
+import { roomDetailService } from "../../services/room/room-detail.service.js";
+
+/**
+ * Get full room record by slug
+ * GET /api/room/:slug
+ */
+export async function getRoomDetail(req, res, next) {
+  try {
+    const result = await roomDetailService.getRoomDetail(req.params.slug);
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error("Room detail controller error:", error);
+    next(error);
+  }
+}
@@ -1,10 +1,11 @@
 // controllers/room/room-list.controller.js
 
 import { roomListService } from "../../services/room/room-list.service.js";
+import { getRequestLanguage } from "../../utils/language.util.js";
 
 /**
  * Get list of rooms by hotel slug
- * GET /api/room/list?hotel_slug=xxx
+ * GET /api/room/list?hotel_slug=xxx&lang=th (lang optional, or Accept-Language)
  */
 export async function getRoomList(req, res, next) {
   try {
@@ -16,8 +17,12 @@ export async function getRoomList(req, res, next) {
       hotelSlug: hotel_slug,
       limit: limit || 20,
       offset: offset || 0,
+      lang: getRequestLanguage(req),
     });
 
+    // Response depends on Accept-Language
+    res.vary("Accept-Language");
+
     // Return success response
     return res.status(200).json({
       success: true,
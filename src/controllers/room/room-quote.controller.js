@@ -0,0 +1,42 @@
+// controllers/room/room-quote.controller.js
+
+import { roomQuoteService } from "../../services/room/room-quote.service.js";
+
+/**
+ * Get nightly price breakdown and total for a stay
+ * POST /api/room/:id/quote
+ */
+export async function getRoomQuote(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { check_in, check_out } = req.body;
+
+    const result = await roomQuoteService.getQuote({
+      roomId: id,
+      checkIn: check_in,
+      checkOut: check_out,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Room quote controller error:", error);
+
+    // Pass to error handler
+    next(error);
+  }
+}
@@ -0,0 +1,44 @@
+// controllers/room/room-update.controller.js
+
+import { roomUpdateService } from "../../services/room/room-update.service.js";
+
+/**
+ * Partially update a room, its options and its price tiers
+ * PATCH /api/room/:id
+ */
+export async function updateRoom(req, res, next) {
+  try {
+    const { room_data, room_option_ids, base_price, season_base_prices, override_prices } = req.body;
+
+    const result = await roomUpdateService.update(req.params.id, {
+      room_data,
+      room_option_ids,
+      base_price,
+      season_base_prices,
+      override_prices,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Room updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Log unexpected errors
+    console.error("Room update controller error:", error);
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
@@ -0,0 +1,78 @@
+// controllers/seo/seo-metadata-update.controller.js
+
+import { seoMetadataUpdateService } from "../../services/seo/seo-metadata-update.service.js";
+
+/**
+ * Update SEO metadata (slug, title, description, og_image)
+ * PATCH /api/seo-metadata/:id
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const updateSeoMetadata = async (req, res, next) => {
+  try {
+    // 1. Update with provided fields only
+    const result = await seoMetadataUpdateService.update(req.params.id, {
+      slug: req.body.slug,
+      title: req.body.title,
+      description: req.body.description,
+      og_image: req.body.og_image,
+    });
+
+    // 2. Return updated row (previous_slug now redirects to the new one)
+    return res.status(200).json({
+      success: true,
+      message: "SEO metadata updated successfully",
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Pass to error handler middleware
+    next(error);
+  }
+};
+
+/**
+ * Soft delete SEO metadata
+ * DELETE /api/seo-metadata/:id
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const deleteSeoMetadata = async (req, res, next) => {
+  try {
+    const result = await seoMetadataUpdateService.delete(req.params.id, {
+      userId: req.user.id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "SEO metadata deleted successfully",
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Pass to error handler middleware
+    next(error);
+  }
+};
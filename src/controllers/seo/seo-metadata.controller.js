@@ -12,15 +12,25 @@ import { seoMetadataGetService } from "../../services/seo/seo-metadata.service.j
 export const getSeoMetadata = async (req, res, next) => {
   try {
     // Get normalized slug (already normalized by validator)
-    const { slug } = req.query;
+    const { slug, structured_data } = req.query;
 
     // Get data from service
-    const seoData = await seoMetadataGetService.get(slug);
+    const seoData = await seoMetadataGetService.get(slug, { structuredData: structured_data === true });
 
     // Check if any data exists
-    const hasData = seoData.th || seoData.en;
+    const hasData = Object.values(seoData).some(Boolean);
 
     if (!hasData) {
+      // Old slug of a renamed page: tell the client where it moved (301-style)
+      const redirect = await seoMetadataGetService.getRedirect(slug);
+
+      if (redirect) {
+        return res.json({
+          success: true,
+          redirect,
+        });
+      }
+
       return res.status(404).json({
         success: false,
         error: {
@@ -0,0 +1,33 @@
+// controllers/seo/seo-sitemap.controller.js
+
+import { seoSitemapService } from "../../services/seo/seo-sitemap.service.js";
+
+/**
+ * Get sitemap (or sitemap index) as XML
+ * GET /sitemap.xml
+ * GET /sitemap-:page.xml
+ */
+export async function getSitemap(req, res, next) {
+  try {
+    const xml = await seoSitemapService.getSitemap(req.params.page ?? null);
+
+    res.set("Content-Type", "application/xml; charset=utf-8");
+    res.set("Cache-Control", "public, max-age=3600");
+
+    return res.status(200).send(xml);
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Pass to error handler middleware
+    next(error);
+  }
+}
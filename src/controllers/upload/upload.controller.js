@@ -0,0 +1,39 @@
+// controllers/upload/upload.controller.js
+
+import { uploadService } from "../../services/upload/upload.service.js";
+
+/**
+ * Upload an image
+ * POST /api/upload
+ */
+export async function uploadImage(req, res, next) {
+  try {
+    // 1. Store file
+    const result = await uploadService.uploadImage({
+      file: req.file,
+      folder: req.body.folder,
+      user: req.user,
+    });
+
+    // 2. Return URL accepted by the image URL validators
+    return res.status(201).json({
+      success: true,
+      message: "File uploaded successfully",
+      data: result,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Pass unexpected errors to error handler
+    next(error);
+  }
+}
@@ -30,7 +30,7 @@ export const createUser = async (req, res, next) => {
     // 3. ส่ง success response
     return res.status(201).json({
       success: true,
-      message: "Successfully registered.",
+      message: "Successfully registered. Please check your email to verify your account.",
       data: {
         user: newUser,
       },
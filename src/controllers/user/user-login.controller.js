@@ -14,7 +14,10 @@ export const loginUser = async (req, res, next) => {
     const { email, password } = req.body;
 
     // 2. Call login service
-    const result = await userLoginService.login(email, password);
+    const result = await userLoginService.login(email, password, {
+      user_agent: req.get("User-Agent"),
+      ip: req.ip,
+    });
 
     // 3. Send success response with token
     return res.status(200).json({
@@ -25,6 +28,10 @@ export const loginUser = async (req, res, next) => {
   } catch (error) {
     // 4. Handle known errors
     if (error.statusCode) {
+      if (error.retryAfter) {
+        res.set("Retry-After", String(error.retryAfter));
+      }
+
       return res.status(error.statusCode).json({
         success: false,
         message: error.message,
@@ -0,0 +1,72 @@
+// controllers/user/user-password.controller.js
+
+import { userPasswordService } from "../../services/user/user-password.service.js";
+
+/**
+ * Request password reset email
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    // 1. Send reset email (if account exists)
+    await userPasswordService.forgotPassword(req.body.email);
+
+    // 2. Same response whether or not the email is registered
+    return res.status(200).json({
+      success: true,
+      message: "If an account exists for this email, a password reset link has been sent.",
+    });
+  } catch (error) {
+    // 3. Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // 4. Pass unexpected errors to error handler
+    next(error);
+  }
+};
+
+/**
+ * Reset password with token from email
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    // 1. Extract token and new password
+    const { token, password } = req.body;
+
+    // 2. Reset password
+    await userPasswordService.resetPassword(token, password);
+
+    // 3. Send success response
+    return res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (error) {
+    // 4. Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // 5. Pass unexpected errors to error handler
+    next(error);
+  }
+};
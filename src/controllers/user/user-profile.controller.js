@@ -0,0 +1,124 @@
+// controllers/user/user-profile.controller.js
+
+import { userProfileService } from "../../services/user/user-profile.service.js";
+
+/**
+ * Get current user profile
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const getMyProfile = async (req, res, next) => {
+  try {
+    // 1. Get profile
+    const user = await userProfileService.getProfile(req.user.id);
+
+    // 2. Send success response
+    return res.status(200).json({
+      success: true,
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Pass unexpected errors to error handler
+    next(error);
+  }
+};
+
+/**
+ * Update current user profile
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const updateMyProfile = async (req, res, next) => {
+  try {
+    // 1. Extract updatable fields
+    const { address, province, phone1, phone2, user_image, birthday } = req.body;
+
+    // 2. Update profile
+    const user = await userProfileService.updateProfile(req.user.id, {
+      address,
+      province,
+      phone1,
+      phone2,
+      user_image,
+      birthday,
+    });
+
+    // 3. Send success response
+    return res.status(200).json({
+      success: true,
+      message: "Profile updated successfully",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Pass unexpected errors to error handler
+    next(error);
+  }
+};
+
+/**
+ * Change current user password
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const changeMyPassword = async (req, res, next) => {
+  try {
+    // 1. Extract passwords
+    const { current_password, new_password } = req.body;
+
+    // 2. Change password (returns new token pair)
+    const tokens = await userProfileService.changePassword(req.user, current_password, new_password, req.token, {
+      user_agent: req.get("User-Agent"),
+      ip: req.ip,
+    });
+
+    // 3. Send success response
+    return res.status(200).json({
+      success: true,
+      message: "Password changed successfully",
+      data: tokens,
+    });
+  } catch (error) {
+    // Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // Pass unexpected errors to error handler
+    next(error);
+  }
+};
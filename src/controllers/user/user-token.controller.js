@@ -0,0 +1,86 @@
+// controllers/user/user-token.controller.js
+
+import { userTokenService } from "../../services/user/user-token.service.js";
+
+/**
+ * Exchange refresh token for a new token pair
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const refreshToken = async (req, res, next) => {
+  try {
+    // 1. Extract refresh token
+    const { refresh_token } = req.body;
+
+    // 2. Rotate token
+    const result = await userTokenService.refresh(refresh_token, {
+      user_agent: req.get("User-Agent"),
+      ip: req.ip,
+    });
+
+    // 3. Send new token pair
+    return res.status(200).json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: result,
+    });
+  } catch (error) {
+    // 4. Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // 5. Pass unexpected errors to error handler
+    next(error);
+  }
+};
+
+/**
+ * Logout current session (or all devices)
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const logoutUser = async (req, res, next) => {
+  try {
+    // 1. Extract tokens
+    const { refresh_token, all_devices } = req.body;
+
+    // 2. Revoke tokens
+    const result = await userTokenService.logout({
+      userId: req.user.id,
+      jti: req.token?.jti,
+      exp: req.token?.exp,
+      refreshToken: refresh_token,
+      allDevices: all_devices === true,
+    });
+
+    // 3. Send success response
+    return res.status(200).json({
+      success: true,
+      message: "Logout successful",
+      data: result,
+    });
+  } catch (error) {
+    // 4. Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // 5. Pass unexpected errors to error handler
+    next(error);
+  }
+};
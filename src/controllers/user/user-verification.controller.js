@@ -0,0 +1,72 @@
+// controllers/user/user-verification.controller.js
+
+import { userVerificationService } from "../../services/user/user-verification.service.js";
+
+/**
+ * Verify email with token from email
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    // 1. Verify token and activate account
+    const user = await userVerificationService.verifyEmail(req.body.token);
+
+    // 2. Send success response
+    return res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    // 3. Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // 4. Pass unexpected errors to error handler
+    next(error);
+  }
+};
+
+/**
+ * Resend verification email
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next middleware
+ */
+export const resendVerification = async (req, res, next) => {
+  try {
+    // 1. Send verification email (if account is pending)
+    await userVerificationService.resendVerification(req.body.email);
+
+    // 2. Same response whether or not the email is registered
+    return res.status(200).json({
+      success: true,
+      message: "If this email is awaiting verification, a new link has been sent.",
+    });
+  } catch (error) {
+    // 3. Handle known errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    // 4. Pass unexpected errors to error handler
+    next(error);
+  }
+};
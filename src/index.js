@@ -2,9 +2,13 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import app from "./app.js";
+import { languageService } from "./services/language/language.service.js";
 
 const PORT = process.env.PORT || 3001;
 
+// Load active languages before serving requests
+await languageService.loadActiveLanguages();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Funch Hotel Backend running on port ${PORT}`);
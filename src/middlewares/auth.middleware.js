@@ -2,6 +2,9 @@
 
 import jwt from "jsonwebtoken";
 import { supabase } from "../config/database.js";
+import { USER_ROLES } from "../constants/roles.constant.js";
+import { hotelManagerRepository } from "../repositories/user/hotel-manager.repository.js";
+import { userTokenRepository } from "../repositories/user/user-token.repository.js";
 
 /**
  * Authentication middleware to verify JWT token
@@ -41,10 +44,21 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // 4. Check if user still exists and is active
+    // 4. Check revocation list (logout)
+    if (decoded.jti && (await userTokenRepository.isAccessTokenRevoked(decoded.jti))) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked",
+        error: {
+          code: "TOKEN_REVOKED",
+        },
+      });
+    }
+
+    // 5. Check if user still exists and is active
     const { data: user, error } = await supabase
       .from("users")
-      .select("id, email, fname, lname, status")
+      .select("id, email, fname, lname, status, role")
       .eq("id", decoded.userId)
       .eq("status", "active")
       .single();
@@ -59,15 +73,20 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // 5. Attach user to request
+    // 6. Attach user and token info to request
     req.user = {
       id: user.id,
       email: user.email,
       fname: user.fname,
       lname: user.lname,
+      role: user.role,
+    };
+    req.token = {
+      jti: decoded.jti,
+      exp: decoded.exp,
     };
 
-    // 6. Continue to next middleware
+    // 7. Continue to next middleware
     next();
   } catch (error) {
     console.error("Auth middleware error:", error);
@@ -98,10 +117,15 @@ export const optionalAuth = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key");
 
+      // Revoked token - continue without user
+      if (decoded.jti && (await userTokenRepository.isAccessTokenRevoked(decoded.jti))) {
+        return next();
+      }
+
       // Try to get user
       const { data: user } = await supabase
         .from("users")
-        .select("id, email, fname, lname, status")
+        .select("id, email, fname, lname, status, role")
         .eq("id", decoded.userId)
         .eq("status", "active")
         .single();
@@ -112,6 +136,7 @@ export const optionalAuth = async (req, res, next) => {
           email: user.email,
           fname: user.fname,
           lname: user.lname,
+          role: user.role,
         };
       }
     } catch (error) {
@@ -125,3 +150,81 @@ export const optionalAuth = async (req, res, next) => {
     next(); // Continue anyway
   }
 };
+
+/**
+ * Role authorization middleware
+ * Use after authenticate
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware
+ */
+export const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: {
+          code: "NO_TOKEN",
+        },
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+        error: {
+          code: "FORBIDDEN",
+        },
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Hotel scope authorization middleware
+ * Admins pass; hotel managers may only write content of hotels assigned to them
+ * Use after authorize and input validation
+ * @param {Function} getTargets - (req) => Array<{ type, id }> content the request writes to
+ * @returns {Function} Express middleware
+ */
+export const authorizeHotelAccess = (getTargets) => {
+  return async (req, res, next) => {
+    try {
+      if (req.user?.role === USER_ROLES.ADMIN) {
+        return next();
+      }
+
+      // 1. Resolve owning hotel of every target
+      const targets = getTargets(req) || [];
+      const hotelIds = await Promise.all(targets.map((target) => hotelManagerRepository.resolveHotelId(target.type, target.id)));
+
+      // 2. Check all of them are assigned to this user
+      const assignedHotelIds = await hotelManagerRepository.getAssignedHotelIds(req.user.id);
+      const allowed = hotelIds.length > 0 && hotelIds.every((hotelId) => hotelId && assignedHotelIds.includes(hotelId));
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not assigned to manage this hotel",
+          error: {
+            code: "HOTEL_ACCESS_DENIED",
+          },
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("Hotel access middleware error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Authorization error",
+        error: {
+          code: "AUTH_ERROR",
+        },
+      });
+    }
+  };
+};
@@ -0,0 +1,78 @@
+// middlewares/idempotency.middleware.js
+
+import { idempotencyService } from "../services/idempotency/idempotency.service.js";
+import { IDEMPOTENCY_HEADER, IDEMPOTENCY_KEY_MAX_LENGTH } from "../constants/idempotency.constant.js";
+
+/**
+ * Idempotency-Key middleware for create endpoints
+ * Use after authenticate (keys are scoped per user) and before body sanitizers
+ * Without the header the request is handled normally
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {NextFunction} next - Express next function
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+
+  if (key === undefined) {
+    return next();
+  }
+
+  // 1. Validate key
+  if (!key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: `${IDEMPOTENCY_HEADER} must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} visible ASCII characters`,
+      error: {
+        code: "INVALID_IDEMPOTENCY_KEY",
+      },
+    });
+  }
+
+  try {
+    // 2. Reserve key or get stored response
+    const { record, replay } = await idempotencyService.begin({
+      userId: req.user.id,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      body: req.body,
+    });
+
+    // 3. Retry - return the original response
+    if (replay) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(replay.status).json(replay.body);
+    }
+
+    // 4. First request - store response once it is sent
+    let responseBody;
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on("finish", () => {
+      idempotencyService.finish(record, res.statusCode, responseBody).catch(() => {
+        // Already logged by the service - the response has been sent
+      });
+    });
+
+    next();
+  } catch (error) {
+    // Handle known errors (mismatch / in progress)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: {
+          code: error.code,
+        },
+      });
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,79 @@
+// middlewares/rate-limit.middleware.js
+
+import { rateLimit } from "express-rate-limit";
+import { getRateLimitStore } from "../config/rate-limit.js";
+import { RATE_LIMITS } from "../constants/rate-limit.constant.js";
+
+/**
+ * express-rate-limit store backed by the pluggable counter store
+ * The store is looked up on every call so it can be replaced after routes are loaded
+ */
+class CounterStoreAdapter {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    return getRateLimitStore().get(`${this.prefix}:${key}`);
+  }
+
+  async increment(key) {
+    return getRateLimitStore().increment(`${this.prefix}:${key}`, this.windowMs);
+  }
+
+  async decrement(key) {
+    return getRateLimitStore().decrement(`${this.prefix}:${key}`);
+  }
+
+  async resetKey(key) {
+    return getRateLimitStore().reset(`${this.prefix}:${key}`);
+  }
+}
+
+/**
+ * Normalized email from request body (same as the login service)
+ */
+const getBodyEmail = (req) => (typeof req.body?.email === "string" ? req.body.email.toLowerCase().trim() : "");
+
+/**
+ * Create limiter with the API error format
+ * @param {string} prefix - Store key prefix
+ * @param {Object} limits - windowMs, limit
+ * @param {Object} options - Extra express-rate-limit options
+ * @returns {Function} Express middleware
+ */
+const createLimiter = (prefix, limits, options = {}) =>
+  rateLimit({
+    ...limits,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    store: new CounterStoreAdapter(prefix),
+    handler: (req, res, next, optionsUsed) =>
+      res.status(optionsUsed.statusCode).json({
+        success: false,
+        message: "Too many requests. Please try again later.",
+        error: {
+          code: "TOO_MANY_REQUESTS",
+        },
+      }),
+    ...options,
+  });
+
+/**
+ * Per-email limiter (skipped when no email is sent - validation rejects it)
+ */
+const createEmailLimiter = (prefix, limits) =>
+  createLimiter(prefix, limits, {
+    keyGenerator: getBodyEmail,
+    skip: (req) => !getBodyEmail(req),
+  });
+
+export const loginIpLimiter = createLimiter("login-ip", RATE_LIMITS.LOGIN_PER_IP);
+export const loginEmailLimiter = createEmailLimiter("login-email", RATE_LIMITS.LOGIN_PER_EMAIL);
+export const registerIpLimiter = createLimiter("register-ip", RATE_LIMITS.REGISTER_PER_IP);
+export const registerEmailLimiter = createEmailLimiter("register-email", RATE_LIMITS.REGISTER_PER_EMAIL);
@@ -0,0 +1,65 @@
+// middlewares/upload.middleware.js
+
+import multer from "multer";
+import { ALLOWED_IMAGE_MIME_TYPES, DEFAULT_UPLOAD_MAX_SIZE_MB } from "../constants/upload.constant.js";
+
+const maxSizeMb = parseInt(process.env.UPLOAD_MAX_SIZE_MB) || DEFAULT_UPLOAD_MAX_SIZE_MB;
+
+// Keep the file in memory - the storage driver decides where it goes
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxSizeMb * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type must be one of: ${ALLOWED_IMAGE_MIME_TYPES.join(", ")}`);
+      error.code = "INVALID_FILE_TYPE";
+      error.statusCode = 415;
+      return cb(error);
+    }
+
+    cb(null, true);
+  },
+});
+
+/**
+ * Parse a single multipart image file into req.file
+ * @param {string} fieldName - Form field name
+ * @returns {Function} Express middleware
+ */
+export const uploadSingleImage = (fieldName = "file") => {
+  const parse = imageUpload.single(fieldName);
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (!error) return next();
+
+      // Map multer errors to API errors
+      if (error instanceof multer.MulterError) {
+        const isTooLarge = error.code === "LIMIT_FILE_SIZE";
+
+        return res.status(isTooLarge ? 413 : 400).json({
+          success: false,
+          message: isTooLarge ? `File must be ${maxSizeMb} MB or smaller` : `Upload a single file in the "${fieldName}" field`,
+          error: {
+            code: isTooLarge ? "FILE_TOO_LARGE" : "INVALID_FILE_FIELD",
+          },
+        });
+      }
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          error: {
+            code: error.code,
+          },
+        });
+      }
+
+      next(error);
+    });
+  };
+};
@@ -0,0 +1,91 @@
+// repositories/booking/booking-create.repository.js
+
+import { supabase } from "../../config/database.js";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Create a new booking (pending hold)
+ * @param {Object} bookingData - Booking data to insert
+ * @returns {Promise<Object>} Created booking
+ */
+export async function createBooking(bookingData) {
+  try {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    const newBooking = {
+      id,
+      user_id: bookingData.user_id,
+      room_id: bookingData.room_id,
+      check_in: bookingData.check_in,
+      check_out: bookingData.check_out,
+      units: bookingData.units,
+      adults: bookingData.adults,
+      children: bookingData.children,
+      total_price: bookingData.total_price,
+      price_breakdown: bookingData.price_breakdown,
+      note: bookingData.note || null,
+      status: bookingData.status,
+      hold_expires_at: bookingData.hold_expires_at,
+      create_at: now,
+    };
+
+    const { data, error } = await supabase.from("bookings").insert(newBooking).select().single();
+
+    if (error) {
+      handleBookingError(error);
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Delete booking (for rollback when inventory was oversold)
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<void>}
+ */
+export async function deleteBooking(bookingId) {
+  try {
+    const { error } = await supabase.from("bookings").delete().eq("id", bookingId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error("Error deleting booking:", error);
+    // Don't throw - this is cleanup
+  }
+}
+
+/**
+ * Handle booking creation errors
+ * @param {Object} error - Supabase error object
+ */
+function handleBookingError(error) {
+  if (error.code === "23502") {
+    const nullError = new Error("Required field is missing");
+    nullError.code = "MISSING_FIELD";
+    throw nullError;
+  }
+
+  if (error.code === "23503") {
+    const fkError = new Error("Invalid room or user reference");
+    fkError.code = "INVALID_REFERENCE";
+    throw fkError;
+  }
+
+  if (error.code === "23514") {
+    const checkError = new Error("Invalid booking data");
+    checkError.code = "INVALID_BOOKING";
+    throw checkError;
+  }
+
+  throw error;
+}
+
+// Export as object for consistency
+export const bookingCreateRepository = {
+  create: createBooking,
+  deleteBooking,
+};
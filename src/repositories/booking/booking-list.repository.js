@@ -0,0 +1,79 @@
+// repositories/booking/booking-list.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Columns returned for bookings, with room and hotel names
+ */
+const BOOKING_COLUMNS = `
+  id, room_id, check_in, check_out, units, adults, children,
+  total_price, price_breakdown, note, status, hold_expires_at,
+  confirmed_at, cancelled_at, create_at,
+  rooms (id, name_th, name_en, hotel_id, hotels (id, name_th, name_en))
+`;
+
+/**
+ * Get bookings of a user with pagination
+ * @param {string} userId - User ID
+ * @param {Object} options - Filter and pagination
+ * @param {string} options.status - Optional status filter
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object>} Bookings and pagination
+ */
+export async function getBookingsByUser(userId, { status = null, limit = 20, offset = 0 } = {}) {
+  try {
+    let query = supabase.from("bookings").select(BOOKING_COLUMNS, { count: "exact" }).eq("user_id", userId);
+
+    if (status) {
+      query = query.eq("status", status);
+    }
+
+    const { data, error, count } = await query.order("create_at", { ascending: false }).range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return {
+      bookings: data || [],
+      pagination: {
+        total: count,
+        limit,
+        offset,
+        current_page: Math.floor(offset / limit) + 1,
+        total_pages: Math.ceil(count / limit),
+        has_more: offset + limit < count,
+      },
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get one booking owned by a user
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object|null>} Booking or null
+ */
+export async function getBookingById(bookingId, userId) {
+  try {
+    const { data, error } = await supabase.from("bookings").select(BOOKING_COLUMNS).eq("id", bookingId).eq("user_id", userId).single();
+
+    if (error) {
+      if (error.code === "PGRST116") {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object
+export const bookingListRepository = {
+  getBookingsByUser,
+  getBookingById,
+};
@@ -0,0 +1,65 @@
+// repositories/booking/booking-status.repository.js
+
+import { supabase } from "../../config/database.js";
+import { BOOKING_STATUS } from "../../constants/booking-status.constant.js";
+
+/**
+ * Change booking status only if it is still in one of the expected statuses
+ * Guards against two requests changing the same booking at once
+ * @param {string} bookingId - Booking ID
+ * @param {string[]} fromStatuses - Statuses the booking must currently have
+ * @param {Object} changes - Columns to update (including status)
+ * @returns {Promise<Object|null>} Updated booking or null if status had changed
+ */
+export async function transitionStatus(bookingId, fromStatuses, changes) {
+  try {
+    const { data, error } = await supabase
+      .from("bookings")
+      .update({ ...changes, update_at: new Date().toISOString() })
+      .eq("id", bookingId)
+      .in("status", fromStatuses)
+      .select();
+
+    if (error) throw error;
+
+    return data?.[0] || null;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Mark pending bookings whose hold has passed as expired
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.userId - Only expire holds of this user
+ * @returns {Promise<number>} Number of expired bookings
+ */
+export async function expireHolds({ userId = null } = {}) {
+  try {
+    const now = new Date().toISOString();
+
+    let query = supabase
+      .from("bookings")
+      .update({ status: BOOKING_STATUS.EXPIRED, update_at: now })
+      .eq("status", BOOKING_STATUS.PENDING)
+      .lte("hold_expires_at", now);
+
+    if (userId) {
+      query = query.eq("user_id", userId);
+    }
+
+    const { data, error } = await query.select("id");
+
+    if (error) throw error;
+
+    return data?.length || 0;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const bookingStatusRepository = {
+  transitionStatus,
+  expireHolds,
+};
@@ -89,7 +89,7 @@ export async function cityNameExists(nameTh, nameEn, countryId) {
  */
 export async function countryExists(countryId) {
   try {
-    const { data, error } = await supabase.from("countries").select("id").eq("id", countryId).single();
+    const { data, error } = await supabase.from("countries").select("id").eq("id", countryId).is("deleted_at", null).single();
 
     if (error) {
       // If error code is PGRST116, it means no rows found
@@ -1,13 +1,23 @@
 import { supabase } from "../../config/database.js";
+import { getColumnLanguage } from "../../constants/languages.constant.js";
+import { getActiveLanguages } from "../../config/languages.js";
+import { localizeFields } from "../../utils/language.util.js";
+import { buildResponsiveImage } from "../../utils/image.util.js";
+import { attachTranslations } from "../translation/translation.repository.js";
+import { getVariantsByUrls } from "../image/image-variant.repository.js";
 
 /**
  * Get cities that have hotels
+ * @param {string} lang - Response language (null keeps side-by-side fields)
  * @returns {Promise<Object>} Cities list with SEO slugs
  */
-export async function getCitiesWithHotels() {
+export async function getCitiesWithHotels(lang = null) {
   try {
-    // 1. Get unique city IDs from hotels_cities_map
-    const { data: cityMaps, error: mapError } = await supabase.from("hotels_cities_map").select("city_id");
+    // 1. Get unique city IDs from hotels_cities_map (visible hotels only)
+    const { data: cityMaps, error: mapError } = await supabase
+      .from("hotels_cities_map")
+      .select("city_id, hotels!inner(id)")
+      .is("hotels.deleted_at", null);
 
     if (mapError) throw mapError;
 
@@ -22,7 +32,8 @@ export async function getCitiesWithHotels() {
       .from("cities")
       .select("id, name_th, name_en, image")
       .in("id", cityIds)
-      .order("name_en");
+      .is("deleted_at", null)
+      .order(`name_${getColumnLanguage(lang)}`);
 
     if (citiesError) throw citiesError;
 
@@ -31,7 +42,8 @@ export async function getCitiesWithHotels() {
       .from("seo_metadata")
       .select("page_id, slug, lang")
       .eq("page_type", "city")
-      .in("page_id", cityIds);
+      .in("page_id", cityIds)
+      .is("deleted_at", null);
 
     if (seoError) throw seoError;
 
@@ -44,19 +56,33 @@ export async function getCitiesWithHotels() {
       seoByCity[seo.page_id][seo.lang] = seo.slug;
     });
 
-    // 5. Format response
-    const formattedCities = cities.map((city) => ({
-      id: city.id,
-      name_th: city.name_th,
-      name_en: city.name_en,
-      slug_th: seoByCity[city.id]?.th || "",
-      slug_en: seoByCity[city.id]?.en || "",
-      image_th: city.image,
-      image_en: city.image,
-    }));
+    // 5. Get image derivatives (srcset-ready image)
+    const variantsByUrl = await getVariantsByUrls(cities.map((city) => city.image));
+
+    // 6. Format response
+    const cityResults = cities.map((city) => {
+      const result = {
+        id: city.id,
+        name_th: city.name_th,
+        name_en: city.name_en,
+      };
+
+      getActiveLanguages().forEach((slugLang) => {
+        result[`slug_${slugLang}`] = seoByCity[city.id]?.[slugLang] || "";
+      });
+
+      getActiveLanguages().forEach((imageLang) => {
+        result[`image_${imageLang}`] = buildResponsiveImage(city.image, variantsByUrl[city.image]);
+      });
+
+      return result;
+    });
+
+    // 7. Fill other languages from translations
+    const formattedCities = await attachTranslations("city", cityResults);
 
     return {
-      cities: formattedCities,
+      cities: lang ? localizeFields(formattedCities, lang) : formattedCities,
       total: formattedCities.length,
     };
   } catch (error) {
@@ -0,0 +1,152 @@
+// repositories/content/content-delete.repository.js
+
+import { supabase } from "../../config/database.js";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Apply filters to a query
+ * Array values use IN, other values use EQ
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - Column filters
+ * @returns {Object} Query with filters
+ */
+function applyFilters(query, filters) {
+  Object.entries(filters).forEach(([column, value]) => {
+    query = Array.isArray(value) ? query.in(column, value) : query.eq(column, value);
+  });
+  return query;
+}
+
+/**
+ * Get one row with its deletion state
+ * @param {string} table - Table name
+ * @param {string} id - Row ID
+ * @param {string} columns - Extra columns to select
+ * @returns {Promise<Object|null>} Row or null
+ */
+export async function getEntity(table, id, columns = "") {
+  try {
+    const select = ["id", "deleted_at", "deleted_by", columns].filter(Boolean).join(", ");
+    const { data, error } = await supabase.from(table).select(select).eq("id", id).single();
+
+    if (error) {
+      if (error.code === "PGRST116") {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get IDs of rows matching filters and deletion state
+ * @param {string} table - Table name
+ * @param {Object} filters - Column filters
+ * @param {string|null} deletedAt - null for visible rows, timestamp for rows deleted at that time
+ * @returns {Promise<string[]>} Row IDs
+ */
+export async function getIds(table, filters, deletedAt = null) {
+  if (Object.values(filters).some((value) => Array.isArray(value) && value.length === 0)) return [];
+
+  try {
+    let query = applyFilters(supabase.from(table).select("id"), filters);
+    query = deletedAt ? query.eq("deleted_at", deletedAt) : query.is("deleted_at", null);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return (data || []).map((row) => row.id);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Soft delete visible rows matching filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Column filters
+ * @param {string} deletedAt - Deletion timestamp
+ * @param {string} userId - User performing the deletion
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function markDeleted(table, filters, deletedAt, userId) {
+  if (Object.values(filters).some((value) => Array.isArray(value) && value.length === 0)) return 0;
+
+  try {
+    const query = applyFilters(supabase.from(table).update({ deleted_at: deletedAt, deleted_by: userId }), filters).is("deleted_at", null);
+
+    const { data, error } = await query.select("id");
+
+    if (error) throw error;
+
+    return data?.length || 0;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Restore rows that were soft deleted at the given time
+ * Rows deleted separately (at another time) stay deleted
+ * @param {string} table - Table name
+ * @param {Object} filters - Column filters
+ * @param {string} deletedAt - Deletion timestamp to restore
+ * @returns {Promise<number>} Number of rows restored
+ */
+export async function markRestored(table, filters, deletedAt) {
+  if (Object.values(filters).some((value) => Array.isArray(value) && value.length === 0)) return 0;
+
+  try {
+    const query = applyFilters(supabase.from(table).update({ deleted_at: null, deleted_by: null }), filters).eq("deleted_at", deletedAt);
+
+    const { data, error } = await query.select("id");
+
+    if (error) throw error;
+
+    return data?.length || 0;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Write deletion audit log entry
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<Object>} Created entry
+ */
+export async function createAuditLog(entry) {
+  try {
+    const newEntry = {
+      id: uuidv4(),
+      entity_type: entry.entity_type,
+      entity_id: entry.entity_id,
+      action: entry.action,
+      user_id: entry.user_id,
+      reason: entry.reason || null,
+      affected: entry.affected,
+      create_at: new Date().toISOString(),
+    };
+
+    const { data, error } = await supabase.from("deletion_audit_logs").insert(newEntry).select().single();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const contentDeleteRepository = {
+  getEntity,
+  getIds,
+  markDeleted,
+  markRestored,
+  createAuditLog,
+};
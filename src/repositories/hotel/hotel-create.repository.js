@@ -4,17 +4,19 @@ import { supabase } from "../../config/database.js";
 import { v4 as uuidv4 } from "uuid";
 
 /**
- * Create a new hotel with basic information
- * @param {Object} hotelData - Hotel data to insert
- * @returns {Promise<Object>} Created hotel
+ * Create a new hotel with mappings, translations, SEO metadata and images
+ * Runs in one database transaction (create_hotel_aggregate) - nothing is saved if any part fails
+ * @param {Object} hotelData - Hotel data to insert (with city_ids, hotel_option_ids)
+ * @param {Object} related - Related rows
+ * @param {Array} related.translations - Translation rows (field, lang, value)
+ * @param {Array} related.seo_data - SEO rows (slug, lang, title, description, og_image)
+ * @param {Array} related.images - Image rows (url, alt, caption, is_cover, sort_order)
+ * @returns {Promise<Object>} { hotel, translations, seo_metadata, images }
  */
-export async function createHotel(hotelData) {
+export async function createHotel(hotelData, related = {}) {
   try {
-    const id = uuidv4();
-
-    // Log data before insert
     const insertData = {
-      id,
+      id: uuidv4(),
       name_th: hotelData.name_th,
       name_en: hotelData.name_en,
       excerpt_th: hotelData.excerpt_th,
@@ -30,65 +32,26 @@ export async function createHotel(hotelData) {
       is_active: hotelData.is_active ?? true,
     };
 
-    console.log("Inserting hotel data:", insertData);
-
-    // Start a Supabase transaction
-    const { data: hotel, error: hotelError } = await supabase.from("hotels").insert(insertData).select().single();
+    const { data, error } = await supabase.rpc("create_hotel_aggregate", {
+      p_hotel: insertData,
+      p_city_ids: hotelData.city_ids || [],
+      p_option_ids: hotelData.hotel_option_ids || [],
+      p_translations: related.translations || [],
+      p_seo: related.seo_data || [],
+      p_images: related.images || [],
+    });
 
-    if (hotelError) {
+    if (error) {
       console.error("Supabase error details:", {
-        code: hotelError.code,
-        message: hotelError.message,
-        details: hotelError.details,
-        hint: hotelError.hint,
+        code: error.code,
+        message: error.message,
+        details: error.details,
+        hint: error.hint,
       });
-      handleHotelError(hotelError);
-    }
-
-    // Create city mappings if provided
-    if (hotelData.city_ids && hotelData.city_ids.length > 0) {
-      const cityMappings = hotelData.city_ids.map((cityId) => ({
-        id: uuidv4(),
-        hotel_id: id,
-        city_id: cityId,
-      }));
-
-      const { error: cityError } = await supabase.from("hotels_cities_map").insert(cityMappings);
-
-      if (cityError) {
-        // Rollback by deleting the hotel
-        await supabase.from("hotels").delete().eq("id", id);
-
-        const mappingError = new Error("Failed to create city mappings");
-        mappingError.code = "CITY_MAPPING_ERROR";
-        mappingError.details = cityError;
-        throw mappingError;
-      }
-    }
-
-    // Create hotel options mappings if provided
-    if (hotelData.hotel_option_ids && hotelData.hotel_option_ids.length > 0) {
-      const optionMappings = hotelData.hotel_option_ids.map((optionId) => ({
-        id: uuidv4(),
-        hotel_id: id,
-        hotel_option_id: optionId,
-      }));
-
-      const { error: optionError } = await supabase.from("hotels_options_map").insert(optionMappings);
-
-      if (optionError) {
-        // Rollback by deleting the hotel and city mappings
-        await supabase.from("hotels_cities_map").delete().eq("hotel_id", id);
-        await supabase.from("hotels").delete().eq("id", id);
-
-        const mappingError = new Error("Failed to create option mappings");
-        mappingError.code = "OPTION_MAPPING_ERROR";
-        mappingError.details = optionError;
-        throw mappingError;
-      }
+      handleHotelError(error);
     }
 
-    return hotel;
+    return data;
   } catch (error) {
     throw error;
   }
@@ -135,7 +98,7 @@ export async function validateCityIds(cityIds) {
   if (!cityIds || cityIds.length === 0) return true;
 
   try {
-    const { data, error } = await supabase.from("cities").select("id").in("id", cityIds);
+    const { data, error } = await supabase.from("cities").select("id").in("id", cityIds).is("deleted_at", null);
 
     if (error) throw error;
 
@@ -173,18 +136,36 @@ function handleHotelError(error) {
   if (error.code === "23502") {
     const nullError = new Error("Required field is missing");
     nullError.code = "MISSING_FIELD";
+    nullError.statusCode = 400;
     throw nullError;
   }
 
+  // Duplicate SEO slug / image: raised by the aggregate function as PT409 with the error code as message
+  if (error.code === "PT409" && error.message === "SLUG_EXISTS") {
+    const slugError = new Error("SEO metadata with this slug already exists");
+    slugError.code = "SLUG_EXISTS";
+    slugError.statusCode = 409;
+    throw slugError;
+  }
+
+  if (error.code === "PT409" && error.message === "DUPLICATE_IMAGE") {
+    const imageError = new Error("This image URL already exists for this entity");
+    imageError.code = "DUPLICATE_IMAGE";
+    imageError.statusCode = 409;
+    throw imageError;
+  }
+
   if (error.code === "23505") {
     const duplicateError = new Error("Hotel name already exists");
     duplicateError.code = "DUPLICATE_HOTEL";
+    duplicateError.statusCode = 409;
     throw duplicateError;
   }
 
   if (error.code === "23503") {
     const fkError = new Error("Invalid city or option reference");
     fkError.code = "INVALID_REFERENCE";
+    fkError.statusCode = 400;
     throw fkError;
   }
 
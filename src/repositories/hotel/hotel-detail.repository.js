@@ -0,0 +1,136 @@
+// repositories/hotel/hotel-detail.repository.js
+
+import { supabase } from "../../config/database.js";
+import { getActiveLanguages } from "../../config/languages.js";
+
+/**
+ * Get visible hotel by ID
+ * @param {string} hotelId - Hotel ID
+ * @returns {Promise<Object|null>} Hotel or null
+ */
+export async function getHotelById(hotelId) {
+  try {
+    const { data, error } = await supabase
+      .from("hotels")
+      .select(
+        `
+        id, name_th, name_en, excerpt_th, excerpt_en, description_th, description_en,
+        checkin_time, checkout_time, image, location_txt_th, location_txt_en,
+        google_map_link, is_active
+      `
+      )
+      .eq("id", hotelId)
+      .eq("is_active", true)
+      .is("deleted_at", null)
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get cities mapped to hotel
+ * @param {string} hotelId - Hotel ID
+ * @returns {Promise<Array>} Cities
+ */
+export async function getHotelCities(hotelId) {
+  try {
+    const { data, error } = await supabase
+      .from("hotels_cities_map")
+      .select("cities!inner(id, name_th, name_en, country_id)")
+      .eq("hotel_id", hotelId)
+      .is("cities.deleted_at", null);
+
+    if (error) throw error;
+
+    return (data || []).map((item) => item.cities);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get options mapped to hotel
+ * @param {string} hotelId - Hotel ID
+ * @returns {Promise<Array>} Hotel options
+ */
+export async function getHotelOptions(hotelId) {
+  try {
+    const { data, error } = await supabase.from("hotels_options_map").select("hotel_options(id, name_th, name_en, icon)").eq("hotel_id", hotelId);
+
+    if (error) throw error;
+
+    return (data || []).map((item) => item.hotel_options).filter(Boolean);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get active rooms of hotel with slugs
+ * @param {string} hotelId - Hotel ID
+ * @returns {Promise<Array>} Rooms
+ */
+export async function getHotelRooms(hotelId) {
+  try {
+    const { data: rooms, error } = await supabase
+      .from("rooms")
+      .select("id, name_th, name_en, room_size, max_adult, max_children, total_room")
+      .eq("hotel_id", hotelId)
+      .eq("is_active", true)
+      .is("deleted_at", null)
+      .order("name_en");
+
+    if (error) throw error;
+
+    if (!rooms?.length) return [];
+
+    // Get room slugs
+    const { data: slugs, error: slugsError } = await supabase
+      .from("seo_metadata")
+      .select("page_id, slug, lang")
+      .eq("page_type", "room")
+      .in(
+        "page_id",
+        rooms.map((r) => r.id)
+      )
+      .in("lang", getActiveLanguages())
+      .is("deleted_at", null);
+
+    if (slugsError) throw slugsError;
+
+    const slugsByRoom = {};
+
+    slugs.forEach((seo) => {
+      if (!slugsByRoom[seo.page_id]) slugsByRoom[seo.page_id] = {};
+      slugsByRoom[seo.page_id][seo.lang] = seo.slug;
+    });
+
+    return rooms.map((room) => {
+      const result = { ...room };
+
+      getActiveLanguages().forEach((lang) => {
+        result[`slug_${lang}`] = slugsByRoom[room.id]?.[lang] || "";
+      });
+
+      return result;
+    });
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const hotelDetailRepository = {
+  getHotelById,
+  getHotelCities,
+  getHotelOptions,
+  getHotelRooms,
+};
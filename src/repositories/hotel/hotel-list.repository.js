@@ -1,101 +1,135 @@
 // repositories/hotel/hotel-list.repository.js
 
 import { supabase } from "../../config/database.js";
-import { ACTIVE_LANGUAGES } from "../../constants/languages.constant.js";
+import { getColumnLanguage } from "../../constants/languages.constant.js";
+import { getActiveLanguages } from "../../config/languages.js";
+import { HOTEL_LIST_SORTS } from "../../constants/hotel-list.constant.js";
+import { localizeFields } from "../../utils/language.util.js";
+import { buildResponsiveImage } from "../../utils/image.util.js";
+import { attachTranslations } from "../translation/translation.repository.js";
+import { getVariantsByUrls } from "../image/image-variant.repository.js";
 
 /**
- * Get hotels by city slug with pagination
+ * Helper: Resolve city from slug (try all languages)
  */
-export async function getHotelsByCitySlug(citySlug, limit = 20, offset = 0) {
-  try {
-    // 1. Get city ID from slug (try all languages)
-    const { data: seoData, error: seoError } = await supabase
-      .from("seo_metadata")
-      .select("page_id")
-      .eq("page_type", "city")
-      .eq("slug", citySlug)
-      .limit(1);
-
-    if (seoError || !seoData || seoData.length === 0) {
-      const error = new Error("City not found");
-      error.code = "CITY_NOT_FOUND";
-      error.statusCode = 404;
-      throw error;
-    }
+async function getCityBySlug(citySlug) {
+  const { data: seoData, error: seoError } = await supabase
+    .from("seo_metadata")
+    .select("page_id")
+    .eq("page_type", "city")
+    .eq("slug", citySlug)
+    .is("deleted_at", null)
+    .limit(1);
+
+  if (seoError || !seoData || seoData.length === 0) {
+    const error = new Error("City not found");
+    error.code = "CITY_NOT_FOUND";
+    error.statusCode = 404;
+    throw error;
+  }
 
-    // 2. Get city info
-    const { data: cityInfo, error: cityError } = await supabase
-      .from("cities")
-      .select("name_th, name_en")
-      .eq("id", seoData[0].page_id)
-      .single();
-
-    if (cityError) throw cityError;
-
-    // 3. Get hotels in this city with count
-    const {
-      data: hotels,
-      error,
-      count,
-    } = await supabase
-      .from("hotels")
-      .select(
-        `
-        id, name_th, name_en, excerpt_th, excerpt_en, image,
-        hotels_cities_map!inner(city_id)
-      `,
-        { count: "exact" }
-      )
-      .eq("hotels_cities_map.city_id", seoData[0].page_id)
-      .eq("is_active", true)
-      .order("name_en")
-      .range(offset, offset + limit - 1);
+  const { data: cityInfo, error: cityError } = await supabase
+    .from("cities")
+    .select("id, name_th, name_en")
+    .eq("id", seoData[0].page_id)
+    .single();
 
-    if (error) throw error;
+  if (cityError) throw cityError;
 
-    // 4. Get options and slugs for hotels
-    const formattedHotels = await formatHotels(hotels);
+  return cityInfo;
+}
 
-    return {
-      hotels: formattedHotels,
-      city: cityInfo,
-      pagination: {
-        total: count,
-        limit,
-        offset,
-        current_page: Math.floor(offset / limit) + 1,
-        total_pages: Math.ceil(count / limit),
-        has_more: offset + limit < count,
-      },
-    };
-  } catch (error) {
-    throw error;
-  }
+/**
+ * Helper: Get IDs of hotels that have every given option
+ */
+async function getHotelIdsWithAllOptions(optionIds) {
+  const { data, error } = await supabase.from("hotels_options_map").select("hotel_id, hotel_option_id").in("hotel_option_id", optionIds);
+
+  if (error) throw error;
+
+  const optionsByHotel = {};
+
+  data.forEach((item) => {
+    if (!optionsByHotel[item.hotel_id]) optionsByHotel[item.hotel_id] = new Set();
+    optionsByHotel[item.hotel_id].add(item.hotel_option_id);
+  });
+
+  return Object.keys(optionsByHotel).filter((hotelId) => optionsByHotel[hotelId].size === optionIds.length);
+}
+
+/**
+ * Helper: Remove characters that break PostgREST filter strings
+ */
+function sanitizeSearchTerm(search) {
+  return search.replace(/[,()*%\\"]/g, " ").trim();
 }
 
 /**
- * Get all hotels with pagination
+ * Get hotels with filters, sorting and pagination
+ * @param {Object} filters - List filters
+ * @param {string} filters.citySlug - City slug (optional)
+ * @param {string[]} filters.optionIds - Hotel option IDs, hotel must have all (optional)
+ * @param {number} filters.minPrice - Minimum nightly base price (optional)
+ * @param {number} filters.maxPrice - Maximum nightly base price (optional)
+ * @param {string} filters.search - Name search in all languages (optional)
+ * @param {string} filters.sort - name | price | newest
+ * @param {string} filters.lang - Response language (null keeps side-by-side fields)
+ * @param {number} filters.limit - Page size
+ * @param {number} filters.offset - Page offset
  */
-export async function getAllHotels(limit = 20, offset = 0) {
+export async function getHotels(filters) {
   try {
-    // Get hotels with count
-    const {
-      data: hotels,
-      error,
-      count,
-    } = await supabase
-      .from("hotels")
-      .select("id, name_th, name_en, excerpt_th, excerpt_en, image", { count: "exact" })
-      .eq("is_active", true)
-      .order("name_en")
-      .range(offset, offset + limit - 1);
+    const { citySlug, optionIds, minPrice, maxPrice, search, sort = HOTEL_LIST_SORTS.NAME, lang = null, limit = 20, offset = 0 } = filters;
+    const sortLang = getColumnLanguage(lang);
+
+    // 1. Resolve city when filtering by city
+    const city = citySlug ? await getCityBySlug(citySlug) : null;
+
+    // 2. Narrow down hotel IDs by options
+    const hotelIds = optionIds?.length ? await getHotelIdsWithAllOptions(optionIds) : null;
+
+    // 3. Build hotels query
+    // min_price is a computed field (lowest nightly base price over active rooms)
+    const withPrice = minPrice !== undefined || maxPrice !== undefined || sort === HOTEL_LIST_SORTS.PRICE;
+    let columns = "id, name_th, name_en, excerpt_th, excerpt_en, image, create_at";
+    if (withPrice) columns += ", min_price";
+    if (city) columns += ", hotels_cities_map!inner(city_id)";
+
+    let query = supabase.from("hotels").select(columns, { count: "exact" }).eq("is_active", true).is("deleted_at", null);
+
+    if (city) query = query.eq("hotels_cities_map.city_id", city.id);
+    if (hotelIds) query = query.in("id", hotelIds);
+    if (minPrice !== undefined) query = query.gte("min_price", minPrice);
+    if (maxPrice !== undefined) query = query.lte("min_price", maxPrice);
+
+    // name_search is a computed field (th/en names plus translated names)
+    const term = search ? sanitizeSearchTerm(search) : "";
+    if (term) query = query.ilike("name_search", `%${term}%`);
+
+    // 4. Sort and paginate
+    if (sort === HOTEL_LIST_SORTS.PRICE) {
+      // Hotels without a base price go last
+      query = query.order("min_price", { ascending: true, nullsFirst: false }).order(`name_${sortLang}`);
+    } else if (sort === HOTEL_LIST_SORTS.NEWEST) {
+      query = query.order("create_at", { ascending: false });
+    } else {
+      query = query.order(`name_${sortLang}`);
+    }
 
+    const { data: hotels, error, count } = await query.range(offset, offset + limit - 1);
     if (error) throw error;
 
-    // Format hotels
-    const formattedHotels = await formatHotels(hotels);
+    // 5. Get options and slugs for hotels
+    const formattedHotels = await formatHotels(hotels, lang);
+
+    if (withPrice) {
+      formattedHotels.forEach((hotel, index) => {
+        const price = hotels[index].min_price;
+        hotel.min_price = price === null ? null : Number(price);
+      });
+    }
 
-    return {
+    const result = {
       hotels: formattedHotels,
       pagination: {
         total: count,
@@ -106,21 +140,29 @@ export async function getAllHotels(limit = 20, offset = 0) {
         has_more: offset + limit < count,
       },
     };
+
+    if (city) {
+      const cityInfo = { name_th: city.name_th, name_en: city.name_en };
+      result.city = lang ? localizeFields(cityInfo, lang) : cityInfo;
+    }
+
+    return result;
   } catch (error) {
     throw error;
   }
 }
 
 /**
- * Helper: Format hotels with options and slugs
+ * Helper: Format hotels with options, slugs and srcset-ready image
+ * When responseLang is given, *_th / *_en fields are collapsed into one field
  */
-async function formatHotels(hotels) {
+export async function formatHotels(hotels, responseLang = null) {
   if (!hotels?.length) return [];
 
   const hotelIds = hotels.map((h) => h.id);
 
-  // Parallel fetch options and slugs
-  const [optionsResult, slugsResult] = await Promise.all([
+  // Parallel fetch options, slugs and image derivatives
+  const [optionsResult, slugsResult, variantsByUrl] = await Promise.all([
     // Get options
     supabase.from("hotels_options_map").select("hotel_id, hotel_options(id, name_th, name_en, icon)").in("hotel_id", hotelIds),
 
@@ -130,7 +172,11 @@ async function formatHotels(hotels) {
       .select("page_id, slug, lang")
       .eq("page_type", "hotel")
       .in("page_id", hotelIds)
-      .in("lang", ACTIVE_LANGUAGES),
+      .in("lang", getActiveLanguages())
+      .is("deleted_at", null),
+
+    // Get image derivatives
+    getVariantsByUrls(hotels.map((h) => h.image)),
   ]);
 
   if (optionsResult.error) throw optionsResult.error;
@@ -140,9 +186,21 @@ async function formatHotels(hotels) {
   const optionsByHotel = {};
   const slugsByHotel = {};
 
+  // Translate each option once
+  const uniqueOptions = {};
+  const translatedOptions = {};
+
+  optionsResult.data.forEach((item) => {
+    if (item.hotel_options) uniqueOptions[item.hotel_options.id] = item.hotel_options;
+  });
+
+  (await attachTranslations("hotel_option", Object.values(uniqueOptions))).forEach((option) => {
+    translatedOptions[option.id] = option;
+  });
+
   optionsResult.data.forEach((item) => {
     if (!optionsByHotel[item.hotel_id]) optionsByHotel[item.hotel_id] = [];
-    if (item.hotel_options) optionsByHotel[item.hotel_id].push(item.hotel_options);
+    if (item.hotel_options) optionsByHotel[item.hotel_id].push(translatedOptions[item.hotel_options.id]);
   });
 
   slugsResult.data.forEach((seo) => {
@@ -151,28 +209,33 @@ async function formatHotels(hotels) {
   });
 
   // Format result
-  return hotels.map((hotel) => {
+  const formattedHotels = hotels.map((hotel) => {
     const result = {
       id: hotel.id,
       name_th: hotel.name_th,
       name_en: hotel.name_en,
       excerpt_th: hotel.excerpt_th,
       excerpt_en: hotel.excerpt_en,
-      image: hotel.image,
+      image: buildResponsiveImage(hotel.image, variantsByUrl[hotel.image]),
       hotel_options: optionsByHotel[hotel.id] || [],
     };
 
     // Add slugs
-    ACTIVE_LANGUAGES.forEach((lang) => {
+    getActiveLanguages().forEach((lang) => {
       result[`slug_${lang}`] = slugsByHotel[hotel.id]?.[lang] || "";
     });
 
     return result;
   });
+
+  // Fill other languages from translations
+  const translatedHotels = await attachTranslations("hotel", formattedHotels);
+
+  return responseLang ? localizeFields(translatedHotels, responseLang) : translatedHotels;
 }
 
 // Export
 export const hotelListRepository = {
-  getHotelsByCitySlug,
-  getAllHotels,
+  getHotels,
+  formatHotels,
 };
@@ -0,0 +1,89 @@
+// repositories/hotel/hotel-search.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Get visible city by ID
+ * @param {string} cityId - City ID
+ * @returns {Promise<Object|null>} City or null
+ */
+export async function getCityById(cityId) {
+  try {
+    const { data, error } = await supabase.from("cities").select("id, name_th, name_en").eq("id", cityId).is("deleted_at", null).single();
+
+    if (error) {
+      if (error.code === "PGRST116") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get active rooms in city that fit the guests
+ * @param {string} cityId - City ID
+ * @param {number} adults - Number of adults
+ * @param {number} children - Number of children
+ * @returns {Promise<Array>} Rooms with hotel_id and total_room
+ */
+export async function getRoomsInCityByCapacity(cityId, adults, children) {
+  try {
+    // 1. Get visible hotels in city
+    const { data: hotels, error: hotelsError } = await supabase
+      .from("hotels")
+      .select("id, hotels_cities_map!inner(city_id)")
+      .eq("hotels_cities_map.city_id", cityId)
+      .eq("is_active", true)
+      .is("deleted_at", null);
+
+    if (hotelsError) throw hotelsError;
+
+    if (!hotels?.length) return [];
+
+    // 2. Get rooms that can hold the guests
+    const { data: rooms, error: roomsError } = await supabase
+      .from("rooms")
+      .select("id, hotel_id, name_th, name_en, total_room, max_adult, max_children")
+      .in(
+        "hotel_id",
+        hotels.map((h) => h.id)
+      )
+      .eq("is_active", true)
+      .is("deleted_at", null)
+      .gte("max_adult", adults)
+      .gte("max_children", children);
+
+    if (roomsError) throw roomsError;
+
+    return rooms || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get hotels by IDs (list columns)
+ * @param {string[]} hotelIds - Hotel IDs
+ * @returns {Promise<Array>} Hotels
+ */
+export async function getHotelsByIds(hotelIds) {
+  try {
+    const { data, error } = await supabase.from("hotels").select("id, name_th, name_en, excerpt_th, excerpt_en, image").in("id", hotelIds);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const hotelSearchRepository = {
+  getCityById,
+  getRoomsInCityByCapacity,
+  getHotelsByIds,
+};
@@ -0,0 +1,165 @@
+// repositories/hotel/hotel-update.repository.js
+
+import { supabase } from "../../config/database.js";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Get hotel by ID
+ * @param {string} hotelId - Hotel ID
+ * @returns {Promise<Object|null>} Hotel or null
+ */
+export async function getHotelById(hotelId) {
+  try {
+    const { data, error } = await supabase.from("hotels").select("*").eq("id", hotelId).is("deleted_at", null).single();
+
+    if (error) {
+      if (error.code === "PGRST116") {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update hotel columns
+ * @param {string} hotelId - Hotel ID
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<Object>} Updated hotel
+ */
+export async function updateHotel(hotelId, fields) {
+  try {
+    const { data, error } = await supabase.from("hotels").update(fields).eq("id", hotelId).select().single();
+
+    if (error) {
+      if (error.code === "23505") {
+        const duplicateError = new Error("Hotel name already exists");
+        duplicateError.code = "DUPLICATE_HOTEL";
+        duplicateError.statusCode = 409;
+        throw duplicateError;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get mapped IDs of a hotel from a mapping table
+ * @param {string} table - Mapping table
+ * @param {string} column - Mapped ID column
+ * @param {string} hotelId - Hotel ID
+ * @returns {Promise<string[]>} Mapped IDs
+ */
+async function getMappedIds(table, column, hotelId) {
+  const { data, error } = await supabase.from(table).select(column).eq("hotel_id", hotelId);
+
+  if (error) throw error;
+
+  return (data || []).map((row) => row[column]);
+}
+
+/**
+ * Make a hotel mapping table match the given set
+ * Only removes and inserts the difference so unchanged rows stay untouched
+ * @param {string} table - Mapping table
+ * @param {string} column - Mapped ID column
+ * @param {string} hotelId - Hotel ID
+ * @param {string[]} ids - Desired mapped IDs
+ * @returns {Promise<string[]>} Mapped IDs after sync
+ */
+async function syncMappings(table, column, hotelId, ids) {
+  const currentIds = await getMappedIds(table, column, hotelId);
+
+  const toRemove = currentIds.filter((id) => !ids.includes(id));
+  const toAdd = ids.filter((id) => !currentIds.includes(id));
+
+  if (toRemove.length > 0) {
+    const { error } = await supabase.from(table).delete().eq("hotel_id", hotelId).in(column, toRemove);
+    if (error) throw error;
+  }
+
+  if (toAdd.length > 0) {
+    const rows = toAdd.map((id) => ({
+      id: uuidv4(),
+      hotel_id: hotelId,
+      [column]: id,
+    }));
+
+    const { error } = await supabase.from(table).insert(rows);
+    if (error) throw error;
+  }
+
+  return ids;
+}
+
+/**
+ * Replace hotel city mappings
+ * @param {string} hotelId - Hotel ID
+ * @param {string[]} cityIds - City IDs
+ * @returns {Promise<string[]>} City IDs
+ */
+export async function syncCityMappings(hotelId, cityIds) {
+  try {
+    return await syncMappings("hotels_cities_map", "city_id", hotelId, cityIds);
+  } catch (error) {
+    const mappingError = new Error("Failed to update city mappings");
+    mappingError.code = "CITY_MAPPING_ERROR";
+    mappingError.details = error;
+    throw mappingError;
+  }
+}
+
+/**
+ * Replace hotel option mappings
+ * @param {string} hotelId - Hotel ID
+ * @param {string[]} optionIds - Hotel option IDs
+ * @returns {Promise<string[]>} Hotel option IDs
+ */
+export async function syncOptionMappings(hotelId, optionIds) {
+  try {
+    return await syncMappings("hotels_options_map", "hotel_option_id", hotelId, optionIds);
+  } catch (error) {
+    const mappingError = new Error("Failed to update option mappings");
+    mappingError.code = "OPTION_MAPPING_ERROR";
+    mappingError.details = error;
+    throw mappingError;
+  }
+}
+
+/**
+ * Get current city and option IDs of a hotel
+ * @param {string} hotelId - Hotel ID
+ * @returns {Promise<Object>} { city_ids, hotel_option_ids }
+ */
+export async function getHotelMappings(hotelId) {
+  try {
+    const [cityIds, optionIds] = await Promise.all([
+      getMappedIds("hotels_cities_map", "city_id", hotelId),
+      getMappedIds("hotels_options_map", "hotel_option_id", hotelId),
+    ]);
+
+    return {
+      city_ids: cityIds,
+      hotel_option_ids: optionIds,
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const hotelUpdateRepository = {
+  getById: getHotelById,
+  update: updateHotel,
+  syncCityMappings,
+  syncOptionMappings,
+  getHotelMappings,
+};
@@ -0,0 +1,101 @@
+// repositories/idempotency/idempotency.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Reserve an idempotency key
+ * @param {Object} keyData - user_id, idempotency_key, method, path, request_hash, expires_at
+ * @returns {Promise<Object|null>} Created row, or null if the key is already taken
+ */
+export async function createIdempotencyKey(keyData) {
+  try {
+    const { data, error } = await supabase
+      .from("idempotency_keys")
+      .insert({ ...keyData, status: "processing", create_at: new Date().toISOString() })
+      .select()
+      .single();
+
+    if (error) {
+      // Key already reserved by an earlier request
+      if (error.code === "23505") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find idempotency key of a user
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>} Stored row or null
+ */
+export async function findIdempotencyKey(userId, key) {
+  try {
+    const { data, error } = await supabase
+      .from("idempotency_keys")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("idempotency_key", key)
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Store the response of a finished request
+ * @param {string} id - Row ID
+ * @param {number} responseStatus - HTTP status
+ * @param {Object} responseBody - JSON response body
+ * @returns {Promise<void>}
+ */
+export async function completeIdempotencyKey(id, responseStatus, responseBody) {
+  try {
+    const { error } = await supabase
+      .from("idempotency_keys")
+      .update({
+        status: "completed",
+        response_status: responseStatus,
+        response_body: responseBody,
+      })
+      .eq("id", id);
+
+    if (error) throw error;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Delete idempotency key (request failed - allow retry)
+ * @param {string} id - Row ID
+ * @returns {Promise<void>}
+ */
+export async function deleteIdempotencyKey(id) {
+  try {
+    const { error } = await supabase.from("idempotency_keys").delete().eq("id", id);
+
+    if (error) throw error;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const idempotencyRepository = {
+  create: createIdempotencyKey,
+  findByKey: findIdempotencyKey,
+  complete: completeIdempotencyKey,
+  delete: deleteIdempotencyKey,
+};
@@ -1,53 +1,34 @@
 // repositories/image/image-collection.repository.js
 
 import { supabase } from "../../config/database.js";
-import { v4 as uuidv4 } from "uuid";
+import { buildResponsiveImage } from "../../utils/image.util.js";
+import { getVariantsByUrls } from "./image-variant.repository.js";
 
 /**
- * Create multiple image assets
- * @param {Array<Object>} imagesData - Array of image data to insert
- * @returns {Promise<Object>} Result with successful and failed operations
+ * Create image assets for an entity in one transaction (create_image_collection)
+ * A new cover image replaces the current cover in the same transaction
+ * @param {string} contentType - Type of content
+ * @param {string} contentId - UUID of the content
+ * @param {Array<Object>} imagesData - Image rows (url, alt, caption, is_cover, sort_order)
+ * @returns {Promise<Array>} Created image assets
  */
-export async function createImageAssets(imagesData) {
-  const results = {
-    successful: [],
-    failed: [],
-  };
-
+export async function createImageAssets(contentType, contentId, imagesData) {
   try {
-    // Process each image
-    for (const imageData of imagesData) {
-      try {
-        const id = uuidv4();
-
-        const newImageAsset = {
-          id,
-          content_type: imageData.content_type, // ใช้ชื่อ column ใหม่
-          content_id: imageData.content_id, // ใช้ชื่อ column ใหม่
-          url: imageData.url,
-          alt: imageData.alt || null,
-          caption: imageData.caption || null,
-          is_cover: imageData.is_cover,
-          sort_order: imageData.sort_order || 0,
-        };
-
-        const { data, error } = await supabase.from("image_assets").insert(newImageAsset).select().single();
-
-        if (error) {
-          throw error;
-        }
-
-        results.successful.push(data);
-      } catch (error) {
-        results.failed.push({
-          url: imageData.url,
-          error: error.message,
-          code: getErrorCode(error),
-        });
-      }
+    const { data, error } = await supabase.rpc("create_image_collection", {
+      p_content_type: contentType,
+      p_content_id: contentId,
+      p_images: imagesData,
+    });
+
+    if (error) {
+      const insertError = new Error("Failed to create image assets");
+      insertError.code = getErrorCode(error);
+      insertError.statusCode = ["23505", "PT409"].includes(error.code) ? 409 : 400;
+      insertError.details = error.message;
+      throw insertError;
     }
 
-    return results;
+    return data || [];
   } catch (error) {
     throw error;
   }
@@ -68,6 +49,7 @@ export async function checkDuplicateImageUrl(url, contentType, contentId) {
       .eq("url", url)
       .eq("content_type", contentType) // ใช้ชื่อ column ใหม่
       .eq("content_id", contentId)
+      .is("deleted_at", null) // Deleted images can be added again
       .single();
 
     if (error) {
@@ -85,44 +67,155 @@ export async function checkDuplicateImageUrl(url, contentType, contentId) {
 }
 
 /**
- * Get existing images for content (to check/update cover image)
+ * Get visible gallery images for content (cover first, then sort order)
+ * Each image carries a srcset-ready "responsive" object built from its derivatives
  * @param {string} contentType - Type of content
  * @param {string} contentId - UUID of the content
- * @returns {Promise<Array>} Array of existing images
+ * @returns {Promise<Array>} Array of images
  */
-export async function getExistingImages(contentType, contentId) {
+export async function getGalleryImages(contentType, contentId) {
   try {
     const { data, error } = await supabase
       .from("image_assets")
-      .select("id, url, is_cover, sort_order")
-      .eq("content_type", contentType) // ใช้ชื่อ column ใหม่
+      .select("id, url, alt, caption, is_cover, sort_order")
+      .eq("content_type", contentType)
       .eq("content_id", contentId)
+      .is("deleted_at", null)
+      .order("is_cover", { ascending: false })
       .order("sort_order", { ascending: true });
 
     if (error) {
       throw error;
     }
 
-    return data || [];
+    const images = data || [];
+    const variantsByUrl = await getVariantsByUrls(images.map((image) => image.url));
+
+    return images.map((image) => ({
+      ...image,
+      responsive: buildResponsiveImage(image.url, variantsByUrl[image.url]),
+    }));
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get a single visible image
+ * @param {string} imageId - UUID of the image
+ * @returns {Promise<Object|null>} Image or null if not found
+ */
+export async function getImageById(imageId) {
+  try {
+    const { data, error } = await supabase
+      .from("image_assets")
+      .select("id, content_type, content_id, url, alt, caption, is_cover, sort_order")
+      .eq("id", imageId)
+      .is("deleted_at", null)
+      .single();
+
+    if (error) {
+      // PGRST116 means no rows found
+      if (error.code === "PGRST116") {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update alt / caption of an image
+ * @param {string} imageId - UUID of the image
+ * @param {Object} updateData - Fields to update (alt, caption)
+ * @returns {Promise<Object|null>} Updated image or null if not found
+ */
+export async function updateImage(imageId, updateData) {
+  try {
+    const { data, error } = await supabase
+      .from("image_assets")
+      .update(updateData)
+      .eq("id", imageId)
+      .is("deleted_at", null)
+      .select("id, content_type, content_id, url, alt, caption, is_cover, sort_order")
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
   } catch (error) {
     throw error;
   }
 }
 
 /**
- * Update existing images to remove cover status
+ * Make an image the cover of its gallery in one transaction (set_image_cover)
+ * @param {string} imageId - UUID of the image
+ * @returns {Promise<Object|null>} Updated image or null if not found
+ */
+export async function setImageCover(imageId) {
+  try {
+    const { data, error } = await supabase.rpc("set_image_cover", { p_image_id: imageId });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Soft delete an image in one transaction (delete_image_asset), with its deletion audit log
+ * If it was the cover, the first remaining image becomes the cover
+ * @param {string} imageId - UUID of the image
+ * @param {string} deletedAt - Deletion timestamp
+ * @param {string} userId - User performing the deletion
+ * @returns {Promise<Object|null>} { image, was_cover, new_cover_id } or null if not found
+ */
+export async function deleteImage(imageId, deletedAt, userId) {
+  try {
+    const { data, error } = await supabase.rpc("delete_image_asset", {
+      p_image_id: imageId,
+      p_user_id: userId,
+      p_deleted_at: deletedAt,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Set sort order of a gallery from an ordered id list (reorder_image_assets)
  * @param {string} contentType - Type of content
  * @param {string} contentId - UUID of the content
+ * @param {Array<string>} imageIds - Image ids in display order
  * @returns {Promise<void>}
  */
-export async function removeCoverStatus(contentType, contentId) {
+export async function reorderImages(contentType, contentId, imageIds) {
   try {
-    const { error } = await supabase
-      .from("image_assets")
-      .update({ is_cover: false })
-      .eq("content_type", contentType) // ใช้ชื่อ column ใหม่
-      .eq("content_id", contentId)
-      .eq("is_cover", true);
+    const { error } = await supabase.rpc("reorder_image_assets", {
+      p_content_type: contentType,
+      p_content_id: contentId,
+      p_image_ids: imageIds,
+    });
 
     if (error) {
       throw error;
@@ -138,6 +231,11 @@ export async function removeCoverStatus(contentType, contentId) {
  * @returns {string} Error code
  */
 function getErrorCode(error) {
+  // Duplicate raised by create_image_collection (PT409, message = error code)
+  if (error.code === "PT409") {
+    return error.message;
+  }
+
   // Handle Supabase error codes
   if (error.code === "23505") {
     return "DUPLICATE_IMAGE";
@@ -161,6 +259,10 @@ function getErrorCode(error) {
 export const imageCollectionRepository = {
   create: createImageAssets,
   checkDuplicateImageUrl,
-  getExistingImages,
-  removeCoverStatus,
+  getGalleryImages,
+  getImageById,
+  updateImage,
+  setImageCover,
+  deleteImage,
+  reorderImages,
 };
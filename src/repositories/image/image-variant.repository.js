@@ -0,0 +1,65 @@
+// repositories/image/image-variant.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Save derivative rows of one source image (upsert on source_url + variant + format)
+ * @param {Array<Object>} variants - Rows (source_url, variant, format, url, width, height)
+ * @returns {Promise<Array>} Saved rows
+ */
+export async function saveVariants(variants) {
+  try {
+    if (!variants.length) return [];
+
+    const { data, error } = await supabase
+      .from("image_variants")
+      .upsert(variants, { onConflict: "source_url,variant,format" })
+      .select("source_url, variant, format, url, width, height");
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get derivatives of many source images
+ * @param {Array<string>} sourceUrls - Source image URLs
+ * @returns {Promise<Object>} Map of source_url -> Array of variant rows
+ */
+export async function getVariantsByUrls(sourceUrls) {
+  try {
+    const urls = [...new Set(sourceUrls.filter(Boolean))];
+    if (!urls.length) return {};
+
+    const { data, error } = await supabase
+      .from("image_variants")
+      .select("source_url, variant, format, url, width, height")
+      .in("source_url", urls)
+      .order("width", { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const variantsByUrl = {};
+    (data || []).forEach((row) => {
+      if (!variantsByUrl[row.source_url]) variantsByUrl[row.source_url] = [];
+      variantsByUrl[row.source_url].push(row);
+    });
+
+    return variantsByUrl;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const imageVariantRepository = {
+  saveVariants,
+  getVariantsByUrls,
+};
@@ -0,0 +1,24 @@
+// repositories/language/language.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Get active language codes in display order
+ * @returns {Promise<string[]>} Language codes
+ */
+export async function getActiveLanguageCodes() {
+  try {
+    const { data, error } = await supabase.from("languages").select("code").eq("is_active", true).order("sort_order");
+
+    if (error) throw error;
+
+    return (data || []).map((row) => row.code);
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const languageRepository = {
+  getActiveLanguageCodes,
+};
@@ -0,0 +1,123 @@
+// repositories/room/room-availability.repository.js
+
+import { supabase } from "../../config/database.js";
+import { BOOKING_STATUS } from "../../constants/booking-status.constant.js";
+
+/**
+ * Get room inventory info
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object|null>} Room or null if not found / inactive
+ */
+export async function getRoomInventory(roomId) {
+  try {
+    const { data, error } = await supabase
+      .from("rooms")
+      .select("id, name_th, name_en, hotel_id, total_room, max_adult, max_children")
+      .eq("id", roomId)
+      .eq("is_active", true)
+      .is("deleted_at", null)
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get bookings that occupy at least one night in the range
+ * A booking occupies nights check_in .. check_out - 1
+ * Pending bookings only count while their hold has not expired
+ * @param {string} roomId - Room ID
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Day after last night (YYYY-MM-DD)
+ * @returns {Promise<Array>} Bookings with check_in, check_out, units, status
+ */
+export async function getOccupyingBookings(roomId, from, to) {
+  try {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from("bookings")
+      .select("id, check_in, check_out, units, status")
+      .eq("room_id", roomId)
+      .lt("check_in", to)
+      .gt("check_out", from)
+      .or(`status.eq.${BOOKING_STATUS.CONFIRMED},and(status.eq.${BOOKING_STATUS.PENDING},hold_expires_at.gt.${now})`);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get bookings that occupy any night from a date on
+ * Same rules as getOccupyingBookings
+ * @param {string} roomId - Room ID
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @returns {Promise<Array>} Bookings with check_in, check_out, units, status
+ */
+export async function getUpcomingOccupyingBookings(roomId, from) {
+  try {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from("bookings")
+      .select("id, check_in, check_out, units, status")
+      .eq("room_id", roomId)
+      .gt("check_out", from)
+      .or(`status.eq.${BOOKING_STATUS.CONFIRMED},and(status.eq.${BOOKING_STATUS.PENDING},hold_expires_at.gt.${now})`);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get bookings of several rooms that occupy at least one night in the range
+ * Same rules as getOccupyingBookings
+ * @param {string[]} roomIds - Room IDs
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Day after last night (YYYY-MM-DD)
+ * @returns {Promise<Array>} Bookings with room_id, check_in, check_out, units, status
+ */
+export async function getOccupyingBookingsForRooms(roomIds, from, to) {
+  try {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from("bookings")
+      .select("id, room_id, check_in, check_out, units, status")
+      .in("room_id", roomIds)
+      .lt("check_in", to)
+      .gt("check_out", from)
+      .or(`status.eq.${BOOKING_STATUS.CONFIRMED},and(status.eq.${BOOKING_STATUS.PENDING},hold_expires_at.gt.${now})`);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const roomAvailabilityRepository = {
+  getRoomInventory,
+  getOccupyingBookings,
+  getUpcomingOccupyingBookings,
+  getOccupyingBookingsForRooms,
+};
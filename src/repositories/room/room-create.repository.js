@@ -4,17 +4,23 @@ import { supabase } from "../../config/database.js";
 import { v4 as uuidv4 } from "uuid";
 
 /**
- * Create a new room with basic information
+ * Create a new room with option mappings, prices, translations, SEO metadata and images
+ * Runs in one database transaction (create_room_aggregate) - nothing is saved if any part fails
  * @param {Object} roomData - Room data to insert
- * @returns {Promise<Object>} Created room
+ * @param {Object} related - Related rows
+ * @param {string[]} related.room_option_ids - Room option IDs
+ * @param {Object} related.base_price - Weekly base price
+ * @param {Array} related.season_base_prices - Season prices
+ * @param {Array} related.override_prices - Override prices
+ * @param {Array} related.translations - Translation rows (field, lang, value)
+ * @param {Array} related.seo_data - SEO rows (slug, lang, title, description, og_image)
+ * @param {Array} related.images - Image rows (url, alt, caption, is_cover, sort_order)
+ * @returns {Promise<Object>} { room, base_price, season_base_prices, override_prices, translations, seo_metadata, images }
  */
-export async function createRoom(roomData) {
+export async function createRoom(roomData, related = {}) {
   try {
-    const id = uuidv4();
-    const now = new Date().toISOString();
-
     const newRoom = {
-      id,
+      id: uuidv4(),
       name_th: roomData.name_th,
       name_en: roomData.name_en,
       room_size: roomData.room_size,
@@ -23,12 +29,25 @@ export async function createRoom(roomData) {
       max_adult: roomData.max_adult,
       max_children: roomData.max_children,
       total_room: roomData.total_room,
-      create_at: now,
+      create_at: new Date().toISOString(),
       hotel_id: roomData.hotel_id,
       is_active: roomData.is_active ?? false,
     };
 
-    const { data, error } = await supabase.from("rooms").insert(newRoom).select().single();
+    const { data, error } = await supabase.rpc("create_room_aggregate", {
+      p_room: newRoom,
+      p_option_ids: related.room_option_ids || [],
+      p_base_price: related.base_price || null,
+      p_season_prices: related.season_base_prices || [],
+      p_override_prices: (related.override_prices || []).map((override) => ({
+        ...override,
+        note: override.note || null,
+        is_active: override.is_active ?? true,
+      })),
+      p_translations: related.translations || [],
+      p_seo: related.seo_data || [],
+      p_images: related.images || [],
+    });
 
     if (error) {
       handleRoomError(error);
@@ -40,32 +59,6 @@ export async function createRoom(roomData) {
   }
 }
 
-/**
- * Create room option mappings
- * @param {string} roomId - Room ID
- * @param {string[]} optionIds - Array of room option IDs
- * @returns {Promise<void>}
- */
-export async function createRoomOptions(roomId, optionIds) {
-  if (!optionIds || optionIds.length === 0) return;
-
-  try {
-    const mappings = optionIds.map((optionId) => ({
-      id: uuidv4(),
-      room_id: roomId,
-      room_option_id: optionId,
-    }));
-
-    const { error } = await supabase.from("room_options_map").insert(mappings);
-
-    if (error) {
-      throw error;
-    }
-  } catch (error) {
-    throw error;
-  }
-}
-
 /**
  * Create base price for room
  * @param {string} roomId - Room ID
@@ -176,16 +169,18 @@ export async function createOverridePrices(roomId, overridePrices) {
  * @param {string} nameTh - Thai name to check
  * @param {string} nameEn - English name to check
  * @param {string} hotelId - Hotel ID
+ * @param {string} excludeId - Room ID to exclude (for updates)
  * @returns {Promise<boolean>} True if exists
  */
-export async function roomNameExists(nameTh, nameEn, hotelId) {
+export async function roomNameExists(nameTh, nameEn, hotelId, excludeId = null) {
   try {
-    const { data, error } = await supabase
-      .from("rooms")
-      .select("id")
-      .eq("hotel_id", hotelId)
-      .or(`name_th.eq.${nameTh},name_en.eq.${nameEn}`)
-      .single();
+    let query = supabase.from("rooms").select("id").eq("hotel_id", hotelId).or(`name_th.eq.${nameTh},name_en.eq.${nameEn}`);
+
+    if (excludeId) {
+      query = query.neq("id", excludeId);
+    }
+
+    const { data, error } = await query.single();
 
     if (error) {
       if (error.code === "PGRST116") {
@@ -207,7 +202,7 @@ export async function roomNameExists(nameTh, nameEn, hotelId) {
  */
 export async function hotelExists(hotelId) {
   try {
-    const { data, error } = await supabase.from("hotels").select("id").eq("id", hotelId).single();
+    const { data, error } = await supabase.from("hotels").select("id").eq("id", hotelId).is("deleted_at", null).single();
 
     if (error) {
       if (error.code === "PGRST116") {
@@ -284,42 +279,6 @@ export async function getExistingOverridePrices(roomId) {
   }
 }
 
-/**
- * Delete room and all related data (for rollback)
- * @param {string} roomId - Room ID to delete
- * @returns {Promise<void>}
- */
-export async function deleteRoomCascade(roomId) {
-  try {
-    // Order matters due to foreign key constraints
-    const tables = [
-      "room_override_prices",
-      "room_season_base_prices",
-      "room_base_prices",
-      "room_options_map",
-      "seo_metadata",
-      "image_assets",
-      "rooms",
-    ];
-
-    for (const table of tables) {
-      if (table === "seo_metadata") {
-        await supabase.from(table).delete().eq("page_type", "room").eq("page_id", roomId);
-      } else if (table === "image_assets") {
-        await supabase.from(table).delete().eq("content_type", "room").eq("content_id", roomId);
-      } else {
-        await supabase
-          .from(table)
-          .delete()
-          .eq(table === "rooms" ? "id" : "room_id", roomId);
-      }
-    }
-  } catch (error) {
-    console.error("Error in cascade delete:", error);
-    // Don't throw - this is cleanup
-  }
-}
-
 /**
  * Handle room creation errors
  * @param {Object} error - Supabase error object
@@ -328,18 +287,36 @@ function handleRoomError(error) {
   if (error.code === "23502") {
     const nullError = new Error("Required field is missing");
     nullError.code = "MISSING_FIELD";
+    nullError.statusCode = 400;
     throw nullError;
   }
 
+  // Duplicate SEO slug / image: raised by the aggregate function as PT409 with the error code as message
+  if (error.code === "PT409" && error.message === "SLUG_EXISTS") {
+    const slugError = new Error("SEO metadata with this slug already exists");
+    slugError.code = "SLUG_EXISTS";
+    slugError.statusCode = 409;
+    throw slugError;
+  }
+
+  if (error.code === "PT409" && error.message === "DUPLICATE_IMAGE") {
+    const imageError = new Error("This image URL already exists for this entity");
+    imageError.code = "DUPLICATE_IMAGE";
+    imageError.statusCode = 409;
+    throw imageError;
+  }
+
   if (error.code === "23505") {
     const duplicateError = new Error("Room name already exists");
     duplicateError.code = "DUPLICATE_ROOM";
+    duplicateError.statusCode = 409;
     throw duplicateError;
   }
 
   if (error.code === "23503") {
     const fkError = new Error("Invalid hotel reference");
     fkError.code = "INVALID_REFERENCE";
+    fkError.statusCode = 400;
     throw fkError;
   }
 
@@ -349,7 +326,6 @@ function handleRoomError(error) {
 // Export as object for consistency
 export const roomCreateRepository = {
   createRoom,
-  createRoomOptions,
   createBasePrice,
   createSeasonBasePrices,
   createOverridePrices,
@@ -358,5 +334,4 @@ export const roomCreateRepository = {
   validateRoomOptionIds,
   getExistingSeasonPrices,
   getExistingOverridePrices,
-  deleteRoomCascade,
 };
@@ -0,0 +1,59 @@
+// repositories/room/room-detail.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Get visible room by ID with its hotel
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object|null>} Room or null
+ */
+export async function getRoomById(roomId) {
+  try {
+    const { data, error } = await supabase
+      .from("rooms")
+      .select(
+        `
+        id, hotel_id, name_th, name_en, room_size, description_th, description_en,
+        max_adult, max_children, total_room, is_active,
+        hotels!inner(id, name_th, name_en)
+      `
+      )
+      .eq("id", roomId)
+      .eq("is_active", true)
+      .is("deleted_at", null)
+      .is("hotels.deleted_at", null)
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get options mapped to room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Array>} Room options
+ */
+export async function getRoomOptions(roomId) {
+  try {
+    const { data, error } = await supabase.from("room_options_map").select("room_options(id, name_th, name_en, icon, is_bed)").eq("room_id", roomId);
+
+    if (error) throw error;
+
+    return (data || []).map((item) => item.room_options).filter(Boolean);
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const roomDetailRepository = {
+  getRoomById,
+  getRoomOptions,
+};
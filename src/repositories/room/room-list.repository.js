@@ -1,12 +1,16 @@
 // repositories/room/room-list.repository.js
 
 import { supabase } from "../../config/database.js";
-import { ACTIVE_LANGUAGES } from "../../constants/languages.constant.js";
+import { getColumnLanguage } from "../../constants/languages.constant.js";
+import { getActiveLanguages } from "../../config/languages.js";
+import { localizeFields } from "../../utils/language.util.js";
+import { attachTranslations } from "../translation/translation.repository.js";
 
 /**
  * Get rooms by hotel slug with pagination
+ * When lang is given, *_th / *_en fields are collapsed into one field
  */
-export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
+export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0, lang = null) {
   try {
     // 1. Get hotel ID from slug (try all languages)
     const { data: seoData, error: seoError } = await supabase
@@ -14,6 +18,7 @@ export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
       .select("page_id")
       .eq("page_type", "hotel")
       .eq("slug", hotelSlug)
+      .is("deleted_at", null)
       .limit(1);
 
     if (seoError || !seoData || seoData.length === 0) {
@@ -30,6 +35,8 @@ export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
 
     if (hotelError) throw hotelError;
 
+    const [hotel] = await attachTranslations("hotel", [hotelInfo]);
+
     // 3. Get rooms with count
     const {
       data: rooms,
@@ -40,7 +47,8 @@ export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
       .select("*", { count: "exact" })
       .eq("hotel_id", hotelId)
       .eq("is_active", true)
-      .order("name_en")
+      .is("deleted_at", null)
+      .order(`name_${getColumnLanguage(lang)}`)
       .range(offset, offset + limit - 1);
 
     if (roomsError) throw roomsError;
@@ -48,7 +56,7 @@ export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
     // If no rooms found
     if (!rooms || rooms.length === 0) {
       return {
-        hotel: hotelInfo,
+        hotel: lang ? localizeFields(hotel, lang) : hotel,
         rooms: [],
         pagination: {
           total: 0,
@@ -89,7 +97,8 @@ export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
         .select("page_id, slug, lang")
         .eq("page_type", "room")
         .in("page_id", roomIds)
-        .in("lang", ACTIVE_LANGUAGES),
+        .in("lang", getActiveLanguages())
+        .is("deleted_at", null),
     ]);
 
     if (optionsResult.error) throw optionsResult.error;
@@ -99,13 +108,25 @@ export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
     const optionsByRoom = {};
     const slugsByRoom = {};
 
+    // Translate each option once
+    const uniqueOptions = {};
+    const translatedOptions = {};
+
+    optionsResult.data.forEach((item) => {
+      if (item.room_options) uniqueOptions[item.room_options.id] = item.room_options;
+    });
+
+    (await attachTranslations("room_option", Object.values(uniqueOptions))).forEach((option) => {
+      translatedOptions[option.id] = option;
+    });
+
     // Group options by room
     optionsResult.data.forEach((item) => {
       if (!optionsByRoom[item.room_id]) {
         optionsByRoom[item.room_id] = [];
       }
       if (item.room_options) {
-        optionsByRoom[item.room_id].push(item.room_options);
+        optionsByRoom[item.room_id].push(translatedOptions[item.room_options.id]);
       }
     });
 
@@ -118,7 +139,7 @@ export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
     });
 
     // 7. Format rooms with all data
-    const formattedRooms = rooms.map((room) => {
+    const roomResults = rooms.map((room) => {
       const result = {
         id: room.id,
         name_th: room.name_th,
@@ -134,16 +155,20 @@ export async function getRoomsByHotelSlug(hotelSlug, limit = 20, offset = 0) {
       };
 
       // Add slugs for each language
-      ACTIVE_LANGUAGES.forEach((lang) => {
-        result[`slug_${lang}`] = slugsByRoom[room.id]?.[lang] || "";
+      getActiveLanguages().forEach((slugLang) => {
+        result[`slug_${slugLang}`] = slugsByRoom[room.id]?.[slugLang] || "";
       });
 
       return result;
     });
 
+    // Fill other languages from translations
+    const translatedRooms = await attachTranslations("room", roomResults);
+    const formattedRooms = lang ? localizeFields(translatedRooms, lang) : translatedRooms;
+
     // 8. Return formatted response
     return {
-      hotel: hotelInfo,
+      hotel: lang ? localizeFields(hotel, lang) : hotel,
       rooms: formattedRooms,
       pagination: {
         total: count,
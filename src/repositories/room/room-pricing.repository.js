@@ -0,0 +1,193 @@
+// repositories/room/room-pricing.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Get weekday base price for room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object|null>} Base price row or null
+ */
+export async function getBasePrice(roomId) {
+  try {
+    const { data, error } = await supabase.from("room_base_prices").select("*").eq("room_id", roomId).limit(1);
+
+    if (error) throw error;
+
+    return data?.[0] || null;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get season prices that cover at least one day in range
+ * @param {string} roomId - Room ID
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Last night, inclusive (YYYY-MM-DD)
+ * @returns {Promise<Array>} Season price rows
+ */
+export async function getSeasonPricesInRange(roomId, from, to) {
+  try {
+    const { data, error } = await supabase
+      .from("room_season_base_prices")
+      .select("*")
+      .eq("room_id", roomId)
+      .lte("start_date", to)
+      .gte("end_date", from)
+      .order("start_date");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get active override prices that cover at least one day in range
+ * @param {string} roomId - Room ID
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Last night, inclusive (YYYY-MM-DD)
+ * @returns {Promise<Array>} Override price rows
+ */
+export async function getOverridePricesInRange(roomId, from, to) {
+  try {
+    const { data, error } = await supabase
+      .from("room_override_prices")
+      .select("*")
+      .eq("room_id", roomId)
+      .eq("is_active", true)
+      .lte("start_date", to)
+      .gte("end_date", from)
+      .order("start_date");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get weekday base prices of several rooms
+ * @param {string[]} roomIds - Room IDs
+ * @returns {Promise<Array>} Base price rows
+ */
+export async function getBasePricesForRooms(roomIds) {
+  try {
+    const { data, error } = await supabase.from("room_base_prices").select("*").in("room_id", roomIds);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get season prices of several rooms that cover at least one day in range
+ * @param {string[]} roomIds - Room IDs
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Last night, inclusive (YYYY-MM-DD)
+ * @returns {Promise<Array>} Season price rows
+ */
+export async function getSeasonPricesInRangeForRooms(roomIds, from, to) {
+  try {
+    const { data, error } = await supabase
+      .from("room_season_base_prices")
+      .select("*")
+      .in("room_id", roomIds)
+      .lte("start_date", to)
+      .gte("end_date", from)
+      .order("start_date");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get active override prices of several rooms that cover at least one day in range
+ * @param {string[]} roomIds - Room IDs
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Last night, inclusive (YYYY-MM-DD)
+ * @returns {Promise<Array>} Override price rows
+ */
+export async function getOverridePricesInRangeForRooms(roomIds, from, to) {
+  try {
+    const { data, error } = await supabase
+      .from("room_override_prices")
+      .select("*")
+      .in("room_id", roomIds)
+      .eq("is_active", true)
+      .lte("start_date", to)
+      .gte("end_date", from)
+      .order("start_date");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get season prices that have not ended yet
+ * @param {string} roomId - Room ID
+ * @param {string} from - Date to compare against (YYYY-MM-DD)
+ * @returns {Promise<Array>} Season price rows
+ */
+export async function getCurrentSeasonPrices(roomId, from) {
+  try {
+    const { data, error } = await supabase.from("room_season_base_prices").select("*").eq("room_id", roomId).gte("end_date", from).order("start_date");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get active override prices that have not ended yet
+ * @param {string} roomId - Room ID
+ * @param {string} from - Date to compare against (YYYY-MM-DD)
+ * @returns {Promise<Array>} Override price rows
+ */
+export async function getCurrentOverridePrices(roomId, from) {
+  try {
+    const { data, error } = await supabase
+      .from("room_override_prices")
+      .select("*")
+      .eq("room_id", roomId)
+      .eq("is_active", true)
+      .gte("end_date", from)
+      .order("start_date");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const roomPricingRepository = {
+  getBasePrice,
+  getSeasonPricesInRange,
+  getOverridePricesInRange,
+  getBasePricesForRooms,
+  getSeasonPricesInRangeForRooms,
+  getOverridePricesInRangeForRooms,
+  getCurrentSeasonPrices,
+  getCurrentOverridePrices,
+};
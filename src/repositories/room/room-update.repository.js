@@ -0,0 +1,193 @@
+// repositories/room/room-update.repository.js
+
+import { supabase } from "../../config/database.js";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Get room by ID
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object|null>} Room or null
+ */
+export async function getRoomById(roomId) {
+  try {
+    const { data, error } = await supabase.from("rooms").select("*").eq("id", roomId).is("deleted_at", null).single();
+
+    if (error) {
+      if (error.code === "PGRST116") {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update room columns
+ * @param {string} roomId - Room ID
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<Object>} Updated room
+ */
+export async function updateRoom(roomId, fields) {
+  try {
+    const { data, error } = await supabase.from("rooms").update(fields).eq("id", roomId).select().single();
+
+    if (error) {
+      if (error.code === "23505") {
+        const duplicateError = new Error("Room name already exists");
+        duplicateError.code = "DUPLICATE_ROOM";
+        duplicateError.statusCode = 409;
+        throw duplicateError;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Make room option mappings match the given set
+ * @param {string} roomId - Room ID
+ * @param {string[]} optionIds - Desired room option IDs
+ * @returns {Promise<string[]>} Room option IDs
+ */
+export async function syncRoomOptions(roomId, optionIds) {
+  try {
+    const { data, error } = await supabase.from("room_options_map").select("room_option_id").eq("room_id", roomId);
+
+    if (error) throw error;
+
+    const currentIds = (data || []).map((row) => row.room_option_id);
+    const toRemove = currentIds.filter((id) => !optionIds.includes(id));
+    const toAdd = optionIds.filter((id) => !currentIds.includes(id));
+
+    if (toRemove.length > 0) {
+      const { error: deleteError } = await supabase.from("room_options_map").delete().eq("room_id", roomId).in("room_option_id", toRemove);
+      if (deleteError) throw deleteError;
+    }
+
+    if (toAdd.length > 0) {
+      const mappings = toAdd.map((optionId) => ({
+        id: uuidv4(),
+        room_id: roomId,
+        room_option_id: optionId,
+      }));
+
+      const { error: insertError } = await supabase.from("room_options_map").insert(mappings);
+      if (insertError) throw insertError;
+    }
+
+    return optionIds;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update base price columns of room
+ * @param {string} roomId - Room ID
+ * @param {Object} prices - price_<day> columns to update
+ * @returns {Promise<Object|null>} Updated base price or null if room has none
+ */
+export async function updateBasePrice(roomId, prices) {
+  try {
+    const { data, error } = await supabase.from("room_base_prices").update(prices).eq("room_id", roomId).select();
+
+    if (error) throw error;
+
+    return data?.[0] || null;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get all season prices of room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Array>} Season prices
+ */
+export async function getSeasonPrices(roomId) {
+  try {
+    const { data, error } = await supabase.from("room_season_base_prices").select("*").eq("room_id", roomId).order("start_date");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get all override prices of room (active and inactive)
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Array>} Override prices
+ */
+export async function getOverridePrices(roomId) {
+  try {
+    const { data, error } = await supabase.from("room_override_prices").select("*").eq("room_id", roomId).order("start_date");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update one price row of room
+ * @param {string} table - room_season_base_prices | room_override_prices
+ * @param {string} roomId - Room ID
+ * @param {string} priceId - Price row ID
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<Object>} Updated row
+ */
+export async function updatePriceRow(table, roomId, priceId, fields) {
+  try {
+    const { data, error } = await supabase.from(table).update(fields).eq("id", priceId).eq("room_id", roomId).select().single();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Delete price rows of room
+ * @param {string} table - room_season_base_prices | room_override_prices
+ * @param {string} roomId - Room ID
+ * @param {string[]} priceIds - Price row IDs
+ * @returns {Promise<void>}
+ */
+export async function deletePriceRows(table, roomId, priceIds) {
+  if (!priceIds || priceIds.length === 0) return;
+
+  try {
+    const { error } = await supabase.from(table).delete().eq("room_id", roomId).in("id", priceIds);
+
+    if (error) throw error;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const roomUpdateRepository = {
+  getById: getRoomById,
+  update: updateRoom,
+  syncRoomOptions,
+  updateBasePrice,
+  getSeasonPrices,
+  getOverridePrices,
+  updatePriceRow,
+  deletePriceRows,
+};
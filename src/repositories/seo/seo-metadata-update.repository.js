@@ -0,0 +1,67 @@
+// repositories/seo/seo-metadata-update.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Get a visible SEO metadata row by ID
+ * @param {string} id - SEO metadata ID
+ * @returns {Promise<Object|null>} SEO metadata or null if not found
+ */
+export async function getSeoMetadataById(id) {
+  try {
+    const { data, error } = await supabase
+      .from("seo_metadata")
+      .select("id, page_type, page_id, slug, lang, title, description, og_image")
+      .eq("id", id)
+      .is("deleted_at", null)
+      .single();
+
+    if (error) {
+      // PGRST116 means no rows found
+      if (error.code === "PGRST116") {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update SEO metadata in one transaction (update_seo_metadata)
+ * A changed slug is recorded in seo_slug_history
+ * @param {string} id - SEO metadata ID
+ * @param {Object} fields - Fields to update (slug, title, description, og_image)
+ * @returns {Promise<Object|null>} Updated SEO metadata or null if not found
+ */
+export async function updateSeoMetadata(id, fields) {
+  try {
+    const { data, error } = await supabase.rpc("update_seo_metadata", {
+      p_id: id,
+      p_fields: fields,
+    });
+
+    if (error) {
+      if (error.code === "23505") {
+        const duplicateError = new Error("SEO metadata with this slug already exists");
+        duplicateError.code = "SLUG_EXISTS";
+        duplicateError.statusCode = 409;
+        throw duplicateError;
+      }
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const seoMetadataUpdateRepository = {
+  getById: getSeoMetadataById,
+  update: updateSeoMetadata,
+};
@@ -9,7 +9,7 @@ import { supabase } from "../../config/database.js";
  */
 export async function getSeoMetadataBySlug(slug) {
   try {
-    const { data, error } = await supabase.from("seo_metadata").select("*").eq("slug", slug);
+    const { data, error } = await supabase.from("seo_metadata").select("*").eq("slug", slug).is("deleted_at", null);
 
     if (error) {
       throw error;
@@ -21,7 +21,88 @@ export async function getSeoMetadataBySlug(slug) {
   }
 }
 
+/**
+ * Get page ID for a slug of given page type (any language)
+ * @param {string} pageType - Page type
+ * @param {string} slug - Slug
+ * @returns {Promise<string|null>} Page ID or null
+ */
+export async function getPageIdBySlug(pageType, slug) {
+  try {
+    const { data, error } = await supabase
+      .from("seo_metadata")
+      .select("page_id")
+      .eq("page_type", pageType)
+      .eq("slug", slug)
+      .is("deleted_at", null)
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data?.[0]?.page_id || null;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get SEO metadata of one page for given languages
+ * @param {string} pageType - Page type
+ * @param {string} pageId - Page ID
+ * @param {Array<string>} languages - Languages to include
+ * @returns {Promise<Array>} Array of SEO metadata
+ */
+export async function getSeoMetadataByPage(pageType, pageId, languages) {
+  try {
+    const { data, error } = await supabase
+      .from("seo_metadata")
+      .select("page_type, page_id, slug, lang, title, description, og_image")
+      .eq("page_type", pageType)
+      .eq("page_id", pageId)
+      .in("lang", languages)
+      .is("deleted_at", null);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find where an old slug moved to (seo_slug_history)
+ * @param {string} slug - Old slug
+ * @returns {Promise<Object|null>} Current SEO row { page_type, page_id, slug, lang } or null
+ */
+export async function getRedirectBySlug(slug) {
+  try {
+    const { data, error } = await supabase
+      .from("seo_slug_history")
+      .select("old_slug, seo_metadata!inner(page_type, page_id, slug, lang)")
+      .eq("old_slug", slug)
+      .is("seo_metadata.deleted_at", null)
+      .order("create_at", { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data?.[0]?.seo_metadata || null;
+  } catch (error) {
+    throw error;
+  }
+}
+
 // Export as object for consistency
 export const seoMetadataGetRepository = {
   getBySlug: getSeoMetadataBySlug,
+  getPageIdBySlug,
+  getByPage: getSeoMetadataByPage,
+  getRedirectBySlug,
 };
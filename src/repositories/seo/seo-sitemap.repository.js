@@ -0,0 +1,82 @@
+// repositories/seo/seo-sitemap.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Rows per request (PostgREST returns at most 1000 rows at a time)
+ */
+const BATCH_SIZE = 1000;
+
+/**
+ * Get all visible SEO rows for the sitemap
+ * @param {Array<string>} pageTypes - Page types to include
+ * @param {Array<string>} languages - Languages to include
+ * @returns {Promise<Array>} Rows (page_type, page_id, slug, lang, update_at)
+ */
+export async function getSitemapRows(pageTypes, languages) {
+  try {
+    const rows = [];
+
+    for (let from = 0; ; from += BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from("seo_metadata")
+        .select("id, page_type, page_id, slug, lang, update_at")
+        .in("page_type", pageTypes)
+        .in("lang", languages)
+        .is("deleted_at", null)
+        .order("id")
+        .range(from, from + BATCH_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      rows.push(...data);
+
+      if (data.length < BATCH_SIZE) break;
+    }
+
+    return rows;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get IDs of content that is switched off (is_active = false)
+ * @param {string} table - hotels or rooms
+ * @returns {Promise<Array<string>>} Inactive IDs
+ */
+export async function getInactiveIds(table) {
+  try {
+    const ids = [];
+
+    for (let from = 0; ; from += BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select("id")
+        .eq("is_active", false)
+        .is("deleted_at", null)
+        .order("id")
+        .range(from, from + BATCH_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      ids.push(...data.map((row) => row.id));
+
+      if (data.length < BATCH_SIZE) break;
+    }
+
+    return ids;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const seoSitemapRepository = {
+  getSitemapRows,
+  getInactiveIds,
+};
@@ -0,0 +1,109 @@
+// repositories/translation/translation.repository.js
+
+import { supabase } from "../../config/database.js";
+import { TRANSLATABLE_FIELDS } from "../../constants/languages.constant.js";
+import { getActiveLanguages } from "../../config/languages.js";
+
+/**
+ * Get translations of several entities
+ * @param {string} entityType - Entity type (hotel, room, city, ...)
+ * @param {string[]} entityIds - Entity IDs
+ * @param {string[]} languages - Languages to include
+ * @returns {Promise<Array>} Rows with entity_id, field, lang, value
+ */
+export async function getTranslations(entityType, entityIds, languages) {
+  try {
+    const { data, error } = await supabase
+      .from("translations")
+      .select("entity_id, field, lang, value")
+      .eq("entity_type", entityType)
+      .in("entity_id", entityIds)
+      .in("lang", languages);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Insert or update translation rows
+ * @param {Array} rows - Rows with entity_type, entity_id, field, lang, value
+ * @returns {Promise<Array>} Saved rows
+ */
+export async function upsertTranslations(rows) {
+  try {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from("translations")
+      .upsert(
+        rows.map((row) => ({ ...row, update_at: now })),
+        { onConflict: "entity_type,entity_id,field,lang" }
+      )
+      .select("entity_id, field, lang, value");
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Fill <field>_<lang> keys of records for every active language
+ * Only fields the records already carry (in any language) are filled
+ * Translation rows win over th/en columns; missing translations become ""
+ * @param {string} entityType - Entity type (hotel, room, city, ...)
+ * @param {Array} records - Records with id and <field>_<lang> keys
+ * @returns {Promise<Array>} Records with all active languages
+ */
+export async function attachTranslations(entityType, records) {
+  try {
+    if (!records?.length) return records || [];
+
+    const languages = getActiveLanguages();
+    const rows = await getTranslations(
+      entityType,
+      records.map((r) => r.id),
+      languages
+    );
+
+    // Group by entity -> field -> lang
+    const byEntity = {};
+
+    rows.forEach((row) => {
+      if (!byEntity[row.entity_id]) byEntity[row.entity_id] = {};
+      if (!byEntity[row.entity_id][row.field]) byEntity[row.entity_id][row.field] = {};
+      byEntity[row.entity_id][row.field][row.lang] = row.value;
+    });
+
+    return records.map((record) => {
+      const result = { ...record };
+
+      TRANSLATABLE_FIELDS[entityType].forEach((field) => {
+        const hasField = Object.keys(record).some((key) => key.startsWith(`${field}_`));
+
+        if (!hasField) return;
+
+        languages.forEach((lang) => {
+          result[`${field}_${lang}`] = byEntity[record.id]?.[field]?.[lang] ?? record[`${field}_${lang}`] ?? "";
+        });
+      });
+
+      return result;
+    });
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const translationRepository = {
+  getTranslations,
+  upsertTranslations,
+  attachTranslations,
+};
@@ -0,0 +1,99 @@
+// repositories/user/hotel-manager.repository.js
+
+import { supabase } from "../../config/database.js";
+import { CONTENT_TYPES } from "../../constants/content-types.js";
+
+/**
+ * Get IDs of hotels a user is assigned to manage
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} Hotel IDs
+ */
+export async function getAssignedHotelIds(userId) {
+  try {
+    const { data, error } = await supabase.from("hotel_managers").select("hotel_id").eq("user_id", userId);
+
+    if (error) throw error;
+
+    return (data || []).map((row) => row.hotel_id);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Resolve the hotel that owns a piece of content
+ * @param {string} contentType - Content type (hotel, room, ...), "image_asset" for a single gallery image or "seo_metadata" for a single SEO row
+ * @param {string} contentId - Content ID
+ * @returns {Promise<string|null>} Hotel ID, or null if content is not hotel-scoped or not found
+ */
+export async function resolveHotelId(contentType, contentId) {
+  try {
+    if (!contentId) return null;
+
+    if (contentType === CONTENT_TYPES.HOTEL) {
+      return contentId;
+    }
+
+    if (contentType === CONTENT_TYPES.ROOM) {
+      const { data, error } = await supabase.from("rooms").select("hotel_id").eq("id", contentId).single();
+
+      if (error) {
+        if (error.code === "PGRST116") {
+          return null;
+        }
+        throw error;
+      }
+
+      return data.hotel_id;
+    }
+
+    // Gallery image belongs to whatever its content belongs to
+    if (contentType === "image_asset") {
+      const { data, error } = await supabase
+        .from("image_assets")
+        .select("content_type, content_id")
+        .eq("id", contentId)
+        .is("deleted_at", null)
+        .single();
+
+      if (error) {
+        if (error.code === "PGRST116") {
+          return null;
+        }
+        throw error;
+      }
+
+      return resolveHotelId(data.content_type, data.content_id);
+    }
+
+    // SEO row belongs to whatever its page belongs to
+    if (contentType === "seo_metadata") {
+      const { data, error } = await supabase
+        .from("seo_metadata")
+        .select("page_type, page_id")
+        .eq("id", contentId)
+        .is("deleted_at", null)
+        .single();
+
+      if (error) {
+        if (error.code === "PGRST116") {
+          return null;
+        }
+        throw error;
+      }
+
+      return resolveHotelId(data.page_type, data.page_id);
+    }
+
+    // Cities, countries, pages and blogs are not owned by a hotel
+    return null;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const hotelManagerRepository = {
+  getAssignedHotelIds,
+  resolveHotelId,
+};
@@ -0,0 +1,101 @@
+// repositories/user/user-action-token.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Store a new single-use token (hashed)
+ * @param {Object} tokenData - user_id, purpose, token_hash, expires_at
+ * @returns {Promise<Object>} Created row
+ */
+export async function createActionToken(tokenData) {
+  try {
+    const { data, error } = await supabase
+      .from("user_action_tokens")
+      .insert({ ...tokenData, create_at: new Date().toISOString() })
+      .select("id, user_id, purpose, expires_at")
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find token by hash and purpose
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {string} purpose - Token purpose
+ * @returns {Promise<Object|null>} Token row or null
+ */
+export async function findActionTokenByHash(tokenHash, purpose) {
+  try {
+    const { data, error } = await supabase
+      .from("user_action_tokens")
+      .select("*")
+      .eq("token_hash", tokenHash)
+      .eq("purpose", purpose)
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Mark token as used if it has not been used yet
+ * @param {string} id - Token ID
+ * @returns {Promise<boolean>} True if this call used it
+ */
+export async function markActionTokenUsed(id) {
+  try {
+    const { data, error } = await supabase
+      .from("user_action_tokens")
+      .update({ used_at: new Date().toISOString() })
+      .eq("id", id)
+      .is("used_at", null)
+      .select("id");
+
+    if (error) throw error;
+
+    return data.length > 0;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Invalidate every unused token of a user for one purpose
+ * @param {string} userId - User ID
+ * @param {string} purpose - Token purpose
+ * @returns {Promise<void>}
+ */
+export async function invalidateUserActionTokens(userId, purpose) {
+  try {
+    const { error } = await supabase
+      .from("user_action_tokens")
+      .update({ used_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .eq("purpose", purpose)
+      .is("used_at", null);
+
+    if (error) throw error;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const userActionTokenRepository = {
+  createActionToken,
+  findActionTokenByHash,
+  markActionTokenUsed,
+  invalidateUserActionTokens,
+};
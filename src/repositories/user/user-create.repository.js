@@ -2,6 +2,8 @@
 
 import { supabase } from "../../config/database.js";
 import { v4 as uuidv4 } from "uuid";
+import { DEFAULT_USER_ROLE } from "../../constants/roles.constant.js";
+import { USER_STATUS } from "../../constants/auth.constant.js";
 
 /**
  * Create a new user
@@ -26,7 +28,8 @@ export async function createUser(userData) {
       user_image: userData.user_image || null,
       create_at: now,
       birthday: userData.birthday,
-      status: "active",
+      status: USER_STATUS.PENDING, // Active once email is verified
+      role: DEFAULT_USER_ROLE,
     };
 
     const { data, error } = await supabase.from("users").insert(newUser).select().single();
@@ -0,0 +1,182 @@
+// repositories/user/user-token.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Store a new refresh token (hashed)
+ * @param {Object} tokenData - id, user_id, family_id, token_hash, expires_at, user_agent, ip
+ * @returns {Promise<Object>} Created row
+ */
+export async function createRefreshToken(tokenData) {
+  try {
+    const { data, error } = await supabase
+      .from("refresh_tokens")
+      .insert({ ...tokenData, create_at: new Date().toISOString() })
+      .select("id, user_id, family_id, expires_at")
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find refresh token by hash
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} Refresh token row or null
+ */
+export async function findRefreshTokenByHash(tokenHash) {
+  try {
+    const { data, error } = await supabase.from("refresh_tokens").select("*").eq("token_hash", tokenHash).single();
+
+    if (error) {
+      if (error.code === "PGRST116") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Revoke one refresh token if it is still active
+ * @param {string} id - Refresh token ID
+ * @param {string} replacedBy - ID of the token that replaces it (rotation)
+ * @returns {Promise<boolean>} True if this call revoked it
+ */
+export async function revokeRefreshToken(id, replacedBy = null) {
+  try {
+    const { data, error } = await supabase
+      .from("refresh_tokens")
+      .update({ revoked_at: new Date().toISOString(), replaced_by: replacedBy })
+      .eq("id", id)
+      .is("revoked_at", null)
+      .select("id");
+
+    if (error) throw error;
+
+    return data.length > 0;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Revoke every active token of a family
+ * @param {string} familyId - Token family ID
+ * @returns {Promise<number>} Revoked count
+ */
+export async function revokeTokenFamily(familyId) {
+  try {
+    const { data, error } = await supabase
+      .from("refresh_tokens")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("family_id", familyId)
+      .is("revoked_at", null)
+      .select("id");
+
+    if (error) throw error;
+
+    return data.length;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Revoke every active refresh token of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Revoked count
+ */
+export async function revokeUserRefreshTokens(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("refresh_tokens")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .is("revoked_at", null)
+      .select("id");
+
+    if (error) throw error;
+
+    return data.length;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find active user for a new token payload
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User or null
+ */
+export async function findActiveUserById(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("users")
+      .select("id, email, fname, lname, role")
+      .eq("id", userId)
+      .eq("status", "active")
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Add access token to revocation list
+ * @param {Object} tokenData - jti, user_id, expires_at
+ * @returns {Promise<void>}
+ */
+export async function revokeAccessToken(tokenData) {
+  try {
+    const { error } = await supabase
+      .from("revoked_tokens")
+      .upsert({ ...tokenData, create_at: new Date().toISOString() }, { onConflict: "jti", ignoreDuplicates: true });
+
+    if (error) throw error;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Check if access token is on revocation list
+ * @param {string} jti - Token ID
+ * @returns {Promise<boolean>} True if revoked
+ */
+export async function isAccessTokenRevoked(jti) {
+  try {
+    const { data, error } = await supabase.from("revoked_tokens").select("jti").eq("jti", jti).limit(1);
+
+    if (error) throw error;
+
+    return data.length > 0;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const userTokenRepository = {
+  createRefreshToken,
+  findRefreshTokenByHash,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeUserRefreshTokens,
+  findActiveUserById,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+};
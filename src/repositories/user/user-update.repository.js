@@ -0,0 +1,47 @@
+// repositories/user/user-update.repository.js
+
+import { supabase } from "../../config/database.js";
+
+/**
+ * Find user by ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User (with password hash) or null
+ */
+export async function findUserById(userId) {
+  try {
+    const { data, error } = await supabase.from("users").select("*").eq("id", userId).single();
+
+    if (error) {
+      if (error.code === "PGRST116") return null;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update user columns
+ * @param {string} userId - User ID
+ * @param {Object} updates - Columns to update
+ * @returns {Promise<Object>} Updated user
+ */
+export async function updateUser(userId, updates) {
+  try {
+    const { data, error } = await supabase.from("users").update(updates).eq("id", userId).select().single();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const userUpdateRepository = {
+  findUserById,
+  updateUser,
+};
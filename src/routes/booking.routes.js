@@ -0,0 +1,54 @@
+// routes/booking.routes.js
+
+import express from "express";
+import { validateBookingCreate } from "../validators/booking/booking-create.validator.js";
+import { validateBookingList, validateBookingId } from "../validators/booking/booking-list.validator.js";
+import { handleValidationErrors } from "../validators/validation.handler.js";
+import { xssClean } from "../middlewares/xss-protection.middleware.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+import { createBooking } from "../controllers/booking/booking-create.controller.js";
+import { getMyBookings, getMyBooking } from "../controllers/booking/booking-list.controller.js";
+import { confirmBooking, cancelBooking } from "../controllers/booking/booking-status.controller.js";
+
+const router = express.Router();
+
+// All booking routes require a logged-in user
+router.use(authenticate);
+
+/**
+ * POST /api/booking
+ * Create a booking and hold inventory until confirmed
+ */
+router.post(
+  "/",
+  xssClean, // XSS prevention
+  validateBookingCreate, // Input validation
+  handleValidationErrors, // Validation error handler
+  createBooking // Controller
+);
+
+/**
+ * GET /api/booking
+ * Get bookings of the logged-in user
+ */
+router.get("/", xssClean, validateBookingList, handleValidationErrors, getMyBookings);
+
+/**
+ * GET /api/booking/:id
+ * Get one booking of the logged-in user
+ */
+router.get("/:id", validateBookingId, handleValidationErrors, getMyBooking);
+
+/**
+ * POST /api/booking/:id/confirm
+ * Confirm a pending booking before its hold expires
+ */
+router.post("/:id/confirm", validateBookingId, handleValidationErrors, confirmBooking);
+
+/**
+ * POST /api/booking/:id/cancel
+ * Cancel a pending or confirmed booking
+ */
+router.post("/:id/cancel", validateBookingId, handleValidationErrors, cancelBooking);
+
+export default router;
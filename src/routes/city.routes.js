@@ -2,10 +2,16 @@
 
 import express from "express";
 import { validateCityCreate } from "../validators/city/city-create.validator.js";
+import { validateCityList } from "../validators/city/city-list.validator.js";
 import { handleValidationErrors } from "../validators/validation.handler.js";
+import { validateContentDelete } from "../validators/content/content-delete.validator.js";
 import { xssClean } from "../middlewares/xss-protection.middleware.js";
+import { authenticate, authorize } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../constants/roles.constant.js";
+import { CONTENT_TYPES } from "../constants/content-types.js";
 import { createCity } from "../controllers/city/city-create.controller.js";
 import { getCityList } from "../controllers/city/city-list.controller.js";
+import { deleteContent, restoreContent } from "../controllers/content/content-delete.controller.js";
 
 const router = express.Router();
 
@@ -15,16 +21,46 @@ const router = express.Router();
  */
 router.post(
   "/",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
   xssClean, // XSS prevention
   validateCityCreate, // Input validation
   handleValidationErrors, // Validation error handler
   createCity // Controller
 );
 
-export default router;
-
 /**
  * GET /api/city/list
  * Get list of cities with hotels
  */
-router.get("/list", getCityList);
+router.get("/list", validateCityList, handleValidationErrors, getCityList);
+
+/**
+ * DELETE /api/city/:id
+ * Soft delete city and hide its dependants
+ */
+router.delete(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
+  xssClean, // XSS prevention
+  validateContentDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  deleteContent(CONTENT_TYPES.CITY) // Controller
+);
+
+/**
+ * POST /api/city/:id/restore
+ * Restore soft deleted city and dependants deleted with it
+ */
+router.post(
+  "/:id/restore",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
+  xssClean, // XSS prevention
+  validateContentDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  restoreContent(CONTENT_TYPES.CITY) // Controller
+);
+
+export default router;
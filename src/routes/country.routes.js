@@ -3,8 +3,13 @@
 import express from "express";
 import { validateCountryCreate } from "../validators/country/country-create.validator.js";
 import { handleValidationErrors } from "../validators/validation.handler.js";
+import { validateContentDelete } from "../validators/content/content-delete.validator.js";
 import { xssClean } from "../middlewares/xss-protection.middleware.js";
+import { authenticate, authorize } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../constants/roles.constant.js";
+import { CONTENT_TYPES } from "../constants/content-types.js";
 import { createCountry } from "../controllers/country/country-create.controller.js";
+import { deleteContent, restoreContent } from "../controllers/content/content-delete.controller.js";
 
 const router = express.Router();
 
@@ -14,10 +19,40 @@ const router = express.Router();
  */
 router.post(
   "/",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
   xssClean, // XSS prevention
   validateCountryCreate, // Input validation
   handleValidationErrors, // Validation error handler
   createCountry // Controller
 );
 
+/**
+ * DELETE /api/country/:id
+ * Soft delete country and hide its dependants
+ */
+router.delete(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
+  xssClean, // XSS prevention
+  validateContentDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  deleteContent(CONTENT_TYPES.COUNTRY) // Controller
+);
+
+/**
+ * POST /api/country/:id/restore
+ * Restore soft deleted country and dependants deleted with it
+ */
+router.post(
+  "/:id/restore",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
+  xssClean, // XSS prevention
+  validateContentDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  restoreContent(CONTENT_TYPES.COUNTRY) // Controller
+);
+
 export default router;
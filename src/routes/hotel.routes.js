@@ -3,10 +3,22 @@
 import express from "express";
 import { validateHotelCreate } from "../validators/hotel/hotel-create.validator.js";
 import { validateHotelList } from "../validators/hotel/hotel-list.validator.js";
+import { validateHotelUpdate } from "../validators/hotel/hotel-update.validator.js";
+import { validateHotelDetail } from "../validators/hotel/hotel-detail.validator.js";
+import { validateHotelSearch } from "../validators/hotel/hotel-search.validator.js";
 import { handleValidationErrors } from "../validators/validation.handler.js";
+import { validateContentDelete } from "../validators/content/content-delete.validator.js";
 import { xssClean } from "../middlewares/xss-protection.middleware.js";
+import { authenticate, authorize, authorizeHotelAccess } from "../middlewares/auth.middleware.js";
+import { idempotency } from "../middlewares/idempotency.middleware.js";
+import { USER_ROLES } from "../constants/roles.constant.js";
+import { CONTENT_TYPES } from "../constants/content-types.js";
 import { createHotel } from "../controllers/hotel/hotel-create.controller.js";
 import { getHotelList } from "../controllers/hotel/hotel-list.controller.js";
+import { updateHotel } from "../controllers/hotel/hotel-update.controller.js";
+import { getHotelDetail } from "../controllers/hotel/hotel-detail.controller.js";
+import { searchHotels } from "../controllers/hotel/hotel-search.controller.js";
+import { deleteContent, restoreContent } from "../controllers/content/content-delete.controller.js";
 
 const router = express.Router();
 
@@ -16,6 +28,9 @@ const router = express.Router();
  */
 router.post(
   "/",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
+  idempotency, // Replay retries with the same Idempotency-Key
   xssClean, // XSS prevention
   validateHotelCreate, // Input validation
   handleValidationErrors, // Validation error handler
@@ -28,4 +43,60 @@ router.post(
  */
 router.get("/list", validateHotelList, handleValidationErrors, getHotelList);
 
+/**
+ * GET /api/hotel/search
+ * Search hotels in a city with rooms available for the stay
+ */
+router.get("/search", xssClean, validateHotelSearch, handleValidationErrors, searchHotels);
+
+/**
+ * GET /api/hotel/:slug
+ * Get full hotel record by slug (any language)
+ * Must stay below other GET routes so it does not shadow them
+ */
+router.get("/:slug", validateHotelDetail, handleValidationErrors, getHotelDetail);
+
+/**
+ * PATCH /api/hotel/:id
+ * Partially update a hotel, including city and option mappings
+ */
+router.patch(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  xssClean, // XSS prevention
+  validateHotelUpdate, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: CONTENT_TYPES.HOTEL, id: req.params.id }]), // Assigned hotels only
+  updateHotel // Controller
+);
+
+/**
+ * DELETE /api/hotel/:id
+ * Soft delete hotel and hide its dependants
+ */
+router.delete(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
+  xssClean, // XSS prevention
+  validateContentDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  deleteContent(CONTENT_TYPES.HOTEL) // Controller
+);
+
+/**
+ * POST /api/hotel/:id/restore
+ * Restore soft deleted hotel and dependants deleted with it
+ */
+router.post(
+  "/:id/restore",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN), // Admin only
+  xssClean, // XSS prevention
+  validateContentDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  restoreContent(CONTENT_TYPES.HOTEL) // Controller
+);
+
 export default router;
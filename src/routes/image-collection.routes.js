@@ -2,9 +2,25 @@
 
 import express from "express";
 import { validateImageCollection } from "../validators/image-collection.validator.js";
+import {
+  validateImageGalleryParams,
+  validateImageId,
+  validateImageUpdate,
+  validateImageReorder,
+} from "../validators/image-gallery.validator.js";
 import { handleValidationErrors } from "../validators/validation.handler.js";
 import { xssClean } from "../middlewares/xss-protection.middleware.js";
+import { authenticate, authorize, authorizeHotelAccess } from "../middlewares/auth.middleware.js";
+import { idempotency } from "../middlewares/idempotency.middleware.js";
+import { USER_ROLES } from "../constants/roles.constant.js";
 import { createImageCollection } from "../controllers/image/image-collection.controller.js";
+import {
+  listImages,
+  updateImage,
+  setCoverImage,
+  deleteImage,
+  reorderImages,
+} from "../controllers/image/image-gallery.controller.js";
 
 const router = express.Router();
 
@@ -14,10 +30,85 @@ const router = express.Router();
  */
 router.post(
   "/",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  idempotency, // Replay retries with the same Idempotency-Key
   xssClean, // XSS prevention
   validateImageCollection, // Input validation
   handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: req.body.content_type, id: req.body.content_id }]), // Assigned hotels only
   createImageCollection // Controller
 );
 
+/**
+ * GET /api/image-collection/:content_type/:content_id
+ * List gallery images of an entity
+ */
+router.get(
+  "/:content_type/:content_id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  validateImageGalleryParams, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: req.params.content_type, id: req.params.content_id }]), // Assigned hotels only
+  listImages // Controller
+);
+
+/**
+ * PUT /api/image-collection/:content_type/:content_id/order
+ * Reorder gallery by an ordered list of image ids
+ */
+router.put(
+  "/:content_type/:content_id/order",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  validateImageReorder, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: req.params.content_type, id: req.params.content_id }]), // Assigned hotels only
+  reorderImages // Controller
+);
+
+/**
+ * PUT /api/image-collection/:id/cover
+ * Make an image the cover of its gallery
+ */
+router.put(
+  "/:id/cover",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  validateImageId, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: "image_asset", id: req.params.id }]), // Assigned hotels only
+  setCoverImage // Controller
+);
+
+/**
+ * PATCH /api/image-collection/:id
+ * Update alt / caption of an image
+ */
+router.patch(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  xssClean, // XSS prevention
+  validateImageUpdate, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: "image_asset", id: req.params.id }]), // Assigned hotels only
+  updateImage // Controller
+);
+
+/**
+ * DELETE /api/image-collection/:id
+ * Soft delete an image (the next image becomes cover if needed)
+ */
+router.delete(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  validateImageId, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: "image_asset", id: req.params.id }]), // Assigned hotels only
+  deleteImage // Controller
+);
+
 export default router;
@@ -3,10 +3,24 @@
 import express from "express";
 import { validateRoomCreate } from "../validators/room/room-create.validator.js";
 import { validateRoomList } from "../validators/room/room-list.validator.js";
+import { validateRoomAvailability } from "../validators/room/room-availability.validator.js";
+import { validateRoomQuote } from "../validators/room/room-quote.validator.js";
+import { validateRoomUpdate } from "../validators/room/room-update.validator.js";
+import { validateRoomDetail } from "../validators/room/room-detail.validator.js";
 import { handleValidationErrors } from "../validators/validation.handler.js";
+import { validateContentDelete } from "../validators/content/content-delete.validator.js";
 import { xssClean } from "../middlewares/xss-protection.middleware.js";
+import { authenticate, authorize, authorizeHotelAccess } from "../middlewares/auth.middleware.js";
+import { idempotency } from "../middlewares/idempotency.middleware.js";
+import { USER_ROLES } from "../constants/roles.constant.js";
+import { CONTENT_TYPES } from "../constants/content-types.js";
 import { createRoom } from "../controllers/room/room-create.controller.js";
 import { getRoomList } from "../controllers/room/room-list.controller.js";
+import { getRoomAvailability } from "../controllers/room/room-availability.controller.js";
+import { getRoomQuote } from "../controllers/room/room-quote.controller.js";
+import { updateRoom } from "../controllers/room/room-update.controller.js";
+import { getRoomDetail } from "../controllers/room/room-detail.controller.js";
+import { deleteContent, restoreContent } from "../controllers/content/content-delete.controller.js";
 
 const router = express.Router();
 
@@ -16,9 +30,13 @@ const router = express.Router();
  */
 router.post(
   "/",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  idempotency, // Replay retries with the same Idempotency-Key
   xssClean, // XSS prevention
   validateRoomCreate, // Input validation
   handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: CONTENT_TYPES.HOTEL, id: req.body.room_data.hotel_id }]), // Assigned hotels only
   createRoom // Controller
 );
 
@@ -34,4 +52,86 @@ router.get(
   getRoomList // Controller
 );
 
+/**
+ * GET /api/room/:slug
+ * Get full room record with options, images, SEO and current prices
+ * Must stay below other GET routes so it does not shadow them
+ */
+router.get(
+  "/:slug",
+  xssClean, // XSS prevention for params
+  validateRoomDetail, // Input validation
+  handleValidationErrors, // Validation error handler
+  getRoomDetail // Controller
+);
+
+/**
+ * GET /api/room/:id/availability
+ * Get per-night sellable units for a date range
+ */
+router.get(
+  "/:id/availability",
+  xssClean, // XSS prevention for query params
+  validateRoomAvailability, // Input validation
+  handleValidationErrors, // Validation error handler
+  getRoomAvailability // Controller
+);
+
+/**
+ * POST /api/room/:id/quote
+ * Get nightly price breakdown and total for a stay
+ */
+router.post(
+  "/:id/quote",
+  xssClean, // XSS prevention
+  validateRoomQuote, // Input validation
+  handleValidationErrors, // Validation error handler
+  getRoomQuote // Controller
+);
+
+/**
+ * PATCH /api/room/:id
+ * Partially update room fields, options, base/season/override prices
+ */
+router.patch(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  xssClean, // XSS prevention
+  validateRoomUpdate, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: CONTENT_TYPES.ROOM, id: req.params.id }]), // Assigned hotels only
+  updateRoom // Controller
+);
+
+/**
+ * DELETE /api/room/:id
+ * Soft delete room and hide its dependants
+ */
+router.delete(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  xssClean, // XSS prevention
+  validateContentDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: CONTENT_TYPES.ROOM, id: req.params.id }]), // Assigned hotels only
+  deleteContent(CONTENT_TYPES.ROOM) // Controller
+);
+
+/**
+ * POST /api/room/:id/restore
+ * Restore soft deleted room and dependants deleted with it
+ */
+router.post(
+  "/:id/restore",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  xssClean, // XSS prevention
+  validateContentDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: CONTENT_TYPES.ROOM, id: req.params.id }]), // Assigned hotels only
+  restoreContent(CONTENT_TYPES.ROOM) // Controller
+);
+
 export default router;
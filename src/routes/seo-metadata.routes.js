@@ -2,11 +2,19 @@
 
 import express from "express";
 import { validateSeoMetadataGet } from "../validators/seo/seo-metadata.validator.js";
-import { validateSeoMetadataCreateArray } from "../validators/seo/seo-metadata-create.validator.js";
+import {
+  validateSeoMetadataCreateArray,
+  validateSeoMetadataUpdate,
+  validateSeoMetadataDelete,
+} from "../validators/seo/seo-metadata-create.validator.js";
 import { handleValidationErrors } from "../validators/validation.handler.js";
 import { xssClean } from "../middlewares/xss-protection.middleware.js";
+import { authenticate, authorize, authorizeHotelAccess } from "../middlewares/auth.middleware.js";
+import { idempotency } from "../middlewares/idempotency.middleware.js";
+import { USER_ROLES } from "../constants/roles.constant.js";
 import { createSeoMetadata } from "../controllers/seo/seo-metadata-create.controller.js";
 import { getSeoMetadata } from "../controllers/seo/seo-metadata.controller.js";
+import { updateSeoMetadata, deleteSeoMetadata } from "../controllers/seo/seo-metadata-update.controller.js";
 
 const router = express.Router();
 
@@ -16,12 +24,49 @@ const router = express.Router();
  */
 router.post(
   "/",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  idempotency, // Replay retries with the same Idempotency-Key
   xssClean, // XSS prevention
   validateSeoMetadataCreateArray, // Array validation
   handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => req.body.seo_data.map((seo) => ({ type: seo.page_type, id: seo.page_id }))), // Assigned hotels only
   createSeoMetadata // Controller
 );
 
+/**
+ * PATCH /api/seo-metadata/:id
+ * Update SEO metadata; a changed slug keeps redirecting from the old one
+ */
+router.patch(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  xssClean, // XSS prevention
+  validateSeoMetadataUpdate, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: "seo_metadata", id: req.params.id }]), // Assigned hotels only
+  updateSeoMetadata // Controller
+);
+
+/**
+ * DELETE /api/seo-metadata/:id
+ * Soft delete SEO metadata
+ */
+router.delete(
+  "/:id",
+  authenticate, // Require login
+  authorize(USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER), // Admin or hotel manager
+  validateSeoMetadataDelete, // Input validation
+  handleValidationErrors, // Validation error handler
+  authorizeHotelAccess((req) => [{ type: "seo_metadata", id: req.params.id }]), // Assigned hotels only
+  deleteSeoMetadata // Controller
+);
+
+/**
+ * GET /api/seo-metadata?slug=
+ * SEO metadata by slug, or a redirect payload when the slug was renamed
+ */
 router.get(
   "/",
   xssClean, // XSS protection สำหรับ query params
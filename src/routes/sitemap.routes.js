@@ -0,0 +1,27 @@
+// routes/sitemap.routes.js
+
+import express from "express";
+import { validateSitemapPage } from "../validators/seo/seo-sitemap.validator.js";
+import { handleValidationErrors } from "../validators/validation.handler.js";
+import { getSitemap } from "../controllers/seo/seo-sitemap.controller.js";
+
+const router = express.Router();
+
+/**
+ * GET /sitemap.xml
+ * Sitemap built from seo_metadata (a sitemap index when split)
+ */
+router.get("/sitemap.xml", getSitemap);
+
+/**
+ * GET /sitemap-:page.xml
+ * One chunk of a split sitemap
+ */
+router.get(
+  "/sitemap-:page(\\d+).xml",
+  validateSitemapPage, // Input validation
+  handleValidationErrors, // Validation error handler
+  getSitemap // Controller
+);
+
+export default router;
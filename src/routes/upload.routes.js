@@ -0,0 +1,26 @@
+// routes/upload.routes.js
+
+import express from "express";
+import { validateUpload } from "../validators/upload/upload.validator.js";
+import { handleValidationErrors } from "../validators/validation.handler.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+import { uploadSingleImage } from "../middlewares/upload.middleware.js";
+import { uploadImage } from "../controllers/upload/upload.controller.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/upload
+ * Upload an image (multipart/form-data: file, folder)
+ * Returns a storage URL for image fields (images.*.url, user_image, og_image)
+ */
+router.post(
+  "/",
+  authenticate, // Require login
+  uploadSingleImage("file"), // Parse multipart file (type + size limits)
+  validateUpload, // Input validation
+  handleValidationErrors, // Validation error handler
+  uploadImage // Controller
+);
+
+export default router;
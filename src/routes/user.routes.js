@@ -1,11 +1,20 @@
 import express from "express";
 import { validateUserRegister } from "../validators/user/user-register.validator.js";
 import { validateUserLogin } from "../validators/user/user-login.validator.js";
+import { validateRefreshToken, validateLogout } from "../validators/user/user-token.validator.js";
+import { validateForgotPassword, validateResetPassword } from "../validators/user/user-password.validator.js";
+import { validateVerifyEmail, validateResendVerification } from "../validators/user/user-verification.validator.js";
+import { validateUserProfileUpdate, validateChangePassword } from "../validators/user/user-profile.validator.js";
 import { handleValidationErrors } from "../validators/validation.handler.js";
 import { xssClean } from "../middlewares/xss-protection.middleware.js";
 import { createUser } from "../controllers/user/user-create.controller.js";
 import { loginUser } from "../controllers/user/user-login.controller.js";
+import { refreshToken, logoutUser } from "../controllers/user/user-token.controller.js";
+import { forgotPassword, resetPassword } from "../controllers/user/user-password.controller.js";
+import { verifyEmail, resendVerification } from "../controllers/user/user-verification.controller.js";
+import { getMyProfile, updateMyProfile, changeMyPassword } from "../controllers/user/user-profile.controller.js";
 import { authenticate } from "../middlewares/auth.middleware.js";
+import { loginIpLimiter, loginEmailLimiter, registerIpLimiter, registerEmailLimiter } from "../middlewares/rate-limit.middleware.js";
 
 const router = express.Router();
 
@@ -15,6 +24,8 @@ const router = express.Router();
  */
 router.post(
   "/",
+  registerIpLimiter, // Throttle per IP
+  registerEmailLimiter, // Throttle per email
   xssClean, // XSS prevention
   validateUserRegister, // Input validation
   handleValidationErrors, // Validation error handler
@@ -27,10 +38,121 @@ router.post(
  */
 router.post(
   "/login",
+  loginIpLimiter, // Throttle per IP
+  loginEmailLimiter, // Throttle per email
   xssClean, // XSS prevention
   validateUserLogin, // Input validation
   handleValidationErrors, // Validation error handler
   loginUser // Controller
 );
 
+/**
+ * POST /api/user/refresh
+ * Exchange refresh token for a new access token (rotates refresh token)
+ */
+router.post(
+  "/refresh",
+  xssClean, // XSS prevention
+  validateRefreshToken, // Input validation
+  handleValidationErrors, // Validation error handler
+  refreshToken // Controller
+);
+
+/**
+ * POST /api/user/logout
+ * Revoke current access token and refresh token (or all devices)
+ */
+router.post(
+  "/logout",
+  authenticate, // Require login
+  xssClean, // XSS prevention
+  validateLogout, // Input validation
+  handleValidationErrors, // Validation error handler
+  logoutUser // Controller
+);
+
+/**
+ * POST /api/user/verify-email
+ * Verify email address with token from registration email
+ */
+router.post(
+  "/verify-email",
+  xssClean, // XSS prevention
+  validateVerifyEmail, // Input validation
+  handleValidationErrors, // Validation error handler
+  verifyEmail // Controller
+);
+
+/**
+ * POST /api/user/resend-verification
+ * Send a new verification email
+ */
+router.post(
+  "/resend-verification",
+  xssClean, // XSS prevention
+  validateResendVerification, // Input validation
+  handleValidationErrors, // Validation error handler
+  resendVerification // Controller
+);
+
+/**
+ * POST /api/user/forgot-password
+ * Send password reset email
+ */
+router.post(
+  "/forgot-password",
+  xssClean, // XSS prevention
+  validateForgotPassword, // Input validation
+  handleValidationErrors, // Validation error handler
+  forgotPassword // Controller
+);
+
+/**
+ * POST /api/user/reset-password
+ * Reset password with token from email
+ */
+router.post(
+  "/reset-password",
+  xssClean, // XSS prevention
+  validateResetPassword, // Input validation
+  handleValidationErrors, // Validation error handler
+  resetPassword // Controller
+);
+
+/**
+ * GET /api/user/me
+ * Get current user profile
+ */
+router.get(
+  "/me",
+  authenticate, // Require login
+  getMyProfile // Controller
+);
+
+/**
+ * PATCH /api/user/me
+ * Update current user profile (address, province, phones, user_image, birthday)
+ */
+router.patch(
+  "/me",
+  authenticate, // Require login
+  xssClean, // XSS prevention
+  validateUserProfileUpdate, // Input validation
+  handleValidationErrors, // Validation error handler
+  updateMyProfile // Controller
+);
+
+/**
+ * POST /api/user/me/password
+ * Change current user password
+ */
+router.post(
+  "/me/password",
+  authenticate, // Require login
+  xssClean, // XSS prevention
+  validateChangePassword, // Input validation
+  handleValidationErrors, // Validation error handler
+  changeMyPassword // Controller
+);
+
 export default router;
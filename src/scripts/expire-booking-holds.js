@@ -0,0 +1,16 @@
+import { bookingStatusService } from "../services/booking/booking-status.service.js";
+
+const run = async () => {
+  try {
+    const count = await bookingStatusService.expireHolds();
+    console.log(`⏱️  Expired booking holds: ${count}`);
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Failed to expire booking holds:", error.message);
+    process.exit(1);
+  }
+};
+
+run();
+
+//node src/scripts/expire-booking-holds.js (run from cron)
@@ -0,0 +1,123 @@
+// services/booking/booking-create.service.js
+
+import { bookingCreateRepository } from "../../repositories/booking/booking-create.repository.js";
+import { roomAvailabilityRepository } from "../../repositories/room/room-availability.repository.js";
+import { buildAvailabilityCalendar } from "../room/room-availability.service.js";
+import { quoteStay } from "../room/room-quote.service.js";
+import { BOOKING_STATUS, DEFAULT_BOOKING_HOLD_MINUTES } from "../../constants/booking-status.constant.js";
+import { enumerateNights } from "../../utils/date.util.js";
+
+/**
+ * Get per-night availability for a stay
+ * @param {Object} room - Room inventory
+ * @param {string} checkIn - First night
+ * @param {string} checkOut - Day after last night
+ * @returns {Promise<Array>} Availability per night
+ */
+async function getStayCalendar(room, checkIn, checkOut) {
+  const bookings = await roomAvailabilityRepository.getOccupyingBookings(room.id, checkIn, checkOut);
+  return buildAvailabilityCalendar(room.total_room, bookings, enumerateNights(checkIn, checkOut));
+}
+
+/**
+ * Create a booking that holds inventory until it is confirmed
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} bookingData - Booking data from controller
+ * @returns {Promise<Object>} Created booking with quote
+ */
+export async function createBooking(userId, bookingData) {
+  try {
+    const { room_id, check_in, check_out, units, adults, children, note } = bookingData;
+
+    // 1. Validate room exists and is active
+    const room = await roomAvailabilityRepository.getRoomInventory(room_id);
+
+    if (!room) {
+      const error = new Error("Room not found");
+      error.code = "ROOM_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // 2. Check guests fit into the booked units
+    if (adults > room.max_adult * units || children > room.max_children * units) {
+      const error = new Error(`Each unit allows up to ${room.max_adult} adults and ${room.max_children} children`);
+      error.code = "EXCEEDS_CAPACITY";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // 3. Check inventory for every night
+    const calendar = await getStayCalendar(room, check_in, check_out);
+    const unavailableDates = calendar.filter((night) => night.available < units).map((night) => night.date);
+
+    if (unavailableDates.length > 0) {
+      const error = new Error("Room is not available for the selected dates");
+      error.code = "ROOM_UNAVAILABLE";
+      error.statusCode = 409;
+      error.details = { unavailable_dates: unavailableDates };
+      throw error;
+    }
+
+    // 4. Price the stay
+    const quote = await quoteStay(room_id, check_in, check_out);
+
+    // 5. Create pending booking with hold
+    const holdMinutes = parseInt(process.env.BOOKING_HOLD_MINUTES) || DEFAULT_BOOKING_HOLD_MINUTES;
+    const holdExpiresAt = new Date(Date.now() + holdMinutes * 60 * 1000).toISOString();
+
+    const newBooking = await bookingCreateRepository.create({
+      user_id: userId,
+      room_id,
+      check_in,
+      check_out,
+      units,
+      adults,
+      children,
+      total_price: Math.round(quote.total * units * 100) / 100,
+      price_breakdown: quote.nights,
+      note: note?.trim() || null,
+      status: BOOKING_STATUS.PENDING,
+      hold_expires_at: holdExpiresAt,
+    });
+
+    // 6. Re-check inventory in case another booking took the last units meanwhile
+    const recheck = await getStayCalendar(room, check_in, check_out);
+    const oversold = recheck.some((night) => night.booked + night.held > night.total);
+
+    if (oversold) {
+      await bookingCreateRepository.deleteBooking(newBooking.id);
+
+      const error = new Error("Room is not available for the selected dates");
+      error.code = "ROOM_UNAVAILABLE";
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // 7. Log success
+    console.log("Booking hold created:", {
+      id: newBooking.id,
+      user_id: userId,
+      room_id,
+      check_in,
+      check_out,
+      units,
+      hold_expires_at: holdExpiresAt,
+    });
+
+    return newBooking;
+  } catch (error) {
+    console.error("BookingCreateService error:", {
+      code: error.code,
+      message: error.message,
+      userId,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const bookingCreateService = {
+  create: createBooking,
+};
@@ -0,0 +1,66 @@
+// services/booking/booking-list.service.js
+
+import { bookingListRepository } from "../../repositories/booking/booking-list.repository.js";
+import { bookingStatusRepository } from "../../repositories/booking/booking-status.repository.js";
+
+/**
+ * Get bookings of the authenticated user
+ * @param {string} userId - User ID
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Bookings and pagination
+ */
+export async function getMyBookings(userId, params = {}) {
+  try {
+    const { status, limit = 20, offset = 0 } = params;
+
+    // Expire stale holds first so statuses are current
+    await bookingStatusRepository.expireHolds({ userId });
+
+    return await bookingListRepository.getBookingsByUser(userId, { status, limit, offset });
+  } catch (error) {
+    console.error("BookingListService error:", {
+      message: error.message,
+      code: error.code,
+      userId,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Get one booking of the authenticated user
+ * @param {string} userId - User ID
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Booking
+ */
+export async function getMyBooking(userId, bookingId) {
+  try {
+    await bookingStatusRepository.expireHolds({ userId });
+
+    const booking = await bookingListRepository.getBookingById(bookingId, userId);
+
+    if (!booking) {
+      const error = new Error("Booking not found");
+      error.code = "BOOKING_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return booking;
+  } catch (error) {
+    console.error("BookingListService error:", {
+      message: error.message,
+      code: error.code,
+      bookingId,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object
+export const bookingListService = {
+  getMyBookings,
+  getMyBooking,
+};
@@ -0,0 +1,161 @@
+// services/booking/booking-status.service.js
+
+import { bookingListRepository } from "../../repositories/booking/booking-list.repository.js";
+import { bookingStatusRepository } from "../../repositories/booking/booking-status.repository.js";
+import { BOOKING_STATUS } from "../../constants/booking-status.constant.js";
+
+/**
+ * Get booking owned by user or throw 404
+ * @param {string} userId - User ID
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Booking
+ */
+async function getOwnedBooking(userId, bookingId) {
+  const booking = await bookingListRepository.getBookingById(bookingId, userId);
+
+  if (!booking) {
+    const error = new Error("Booking not found");
+    error.code = "BOOKING_NOT_FOUND";
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return booking;
+}
+
+/**
+ * Build error for a booking that is not in an allowed status
+ * @param {Object} booking - Booking
+ * @param {string} action - Attempted action
+ * @returns {Error} Error with 409 status
+ */
+function invalidStatusError(booking, action) {
+  const error = new Error(`Cannot ${action} a booking with status '${booking.status}'`);
+  error.code = "INVALID_BOOKING_STATUS";
+  error.statusCode = 409;
+  return error;
+}
+
+/**
+ * Confirm a pending booking while its hold is still valid
+ * @param {string} userId - User ID
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Confirmed booking
+ */
+export async function confirmBooking(userId, bookingId) {
+  try {
+    // 1. Get booking
+    const booking = await getOwnedBooking(userId, bookingId);
+
+    if (booking.status !== BOOKING_STATUS.PENDING) {
+      throw invalidStatusError(booking, "confirm");
+    }
+
+    // 2. Expire if hold has passed
+    if (new Date(booking.hold_expires_at) <= new Date()) {
+      await bookingStatusRepository.transitionStatus(bookingId, [BOOKING_STATUS.PENDING], {
+        status: BOOKING_STATUS.EXPIRED,
+      });
+
+      const error = new Error("Booking hold has expired");
+      error.code = "HOLD_EXPIRED";
+      error.statusCode = 410;
+      throw error;
+    }
+
+    // 3. Confirm (only if still pending)
+    const confirmed = await bookingStatusRepository.transitionStatus(bookingId, [BOOKING_STATUS.PENDING], {
+      status: BOOKING_STATUS.CONFIRMED,
+      confirmed_at: new Date().toISOString(),
+      hold_expires_at: null,
+    });
+
+    if (!confirmed) {
+      throw invalidStatusError(await getOwnedBooking(userId, bookingId), "confirm");
+    }
+
+    console.log("Booking confirmed:", { id: bookingId, user_id: userId });
+
+    return confirmed;
+  } catch (error) {
+    console.error("BookingStatusService error:", {
+      code: error.code,
+      message: error.message,
+      bookingId,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Cancel a pending or confirmed booking
+ * @param {string} userId - User ID
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} Cancelled booking
+ */
+export async function cancelBooking(userId, bookingId) {
+  try {
+    const cancellable = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+    // 1. Get booking
+    const booking = await getOwnedBooking(userId, bookingId);
+
+    if (!cancellable.includes(booking.status)) {
+      throw invalidStatusError(booking, "cancel");
+    }
+
+    // 2. Cancel (only if status has not changed meanwhile)
+    const cancelled = await bookingStatusRepository.transitionStatus(bookingId, cancellable, {
+      status: BOOKING_STATUS.CANCELLED,
+      cancelled_at: new Date().toISOString(),
+      hold_expires_at: null,
+    });
+
+    if (!cancelled) {
+      throw invalidStatusError(await getOwnedBooking(userId, bookingId), "cancel");
+    }
+
+    console.log("Booking cancelled:", { id: bookingId, user_id: userId });
+
+    return cancelled;
+  } catch (error) {
+    console.error("BookingStatusService error:", {
+      code: error.code,
+      message: error.message,
+      bookingId,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Expire all pending bookings whose hold has passed
+ * @returns {Promise<number>} Number of expired bookings
+ */
+export async function expireHolds() {
+  try {
+    const count = await bookingStatusRepository.expireHolds();
+
+    if (count > 0) {
+      console.log("Expired booking holds:", { count, timestamp: new Date().toISOString() });
+    }
+
+    return count;
+  } catch (error) {
+    console.error("BookingStatusService error:", {
+      code: error.code,
+      message: error.message,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const bookingStatusService = {
+  confirm: confirmBooking,
+  cancel: cancelBooking,
+  expireHolds,
+};
@@ -1,6 +1,8 @@
 // services/city/city-create.service.js
 
 import { cityCreateRepository } from "../../repositories/city/city-create.repository.js";
+import { translationService } from "../translation/translation.service.js";
+import { imageVariantService } from "../image/image-variant.service.js";
 
 /**
  * Create a new city
@@ -40,13 +42,20 @@ export async function createCity(cityData) {
     // 4. Create city in database
     const newCity = await cityCreateRepository.create(cleanedData);
 
-    // 5. Log success
+    // 5. Save translations (th/en columns + other languages)
+    const translations = await translationService.save("city", newCity.id, cleanedData, cityData.translations);
+    newCity.translations = translationService.groupTranslations(translations);
+
+    // 6. Log success
     console.log("City created successfully:", {
       id: newCity.id,
       name_en: newCity.name_en,
       country_id: newCity.country_id,
     });
 
+    // 7. Generate image derivatives in the background (lists use the original until they exist)
+    imageVariantService.generateForUrls([newCity.image]);
+
     return newCity;
   } catch (error) {
     // Log error for monitoring
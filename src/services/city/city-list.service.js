@@ -2,12 +2,14 @@ import { cityListRepository } from "../../repositories/city/city-list.repository
 
 /**
  * Get list of cities with hotels
+ * @param {Object} params - Query parameters
+ * @param {string} params.lang - Response language (optional)
  * @returns {Promise<Object>} Cities data
  */
-export async function getCityList() {
+export async function getCityList(params = {}) {
   try {
     // Get cities from repository
-    const result = await cityListRepository.getCitiesWithHotels();
+    const result = await cityListRepository.getCitiesWithHotels(params.lang);
 
     // Log for monitoring
     console.log("City list fetched:", {
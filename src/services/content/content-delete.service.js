@@ -0,0 +1,213 @@
+// services/content/content-delete.service.js
+
+import { contentDeleteRepository } from "../../repositories/content/content-delete.repository.js";
+import { CONTENT_TYPES, getTableName } from "../../constants/content-types.js";
+
+/**
+ * Content that is hidden together with its parent
+ */
+const CHILDREN = {
+  [CONTENT_TYPES.HOTEL]: [{ type: CONTENT_TYPES.ROOM, column: "hotel_id" }],
+  [CONTENT_TYPES.COUNTRY]: [{ type: CONTENT_TYPES.CITY, column: "country_id" }],
+};
+
+/**
+ * Parent that must be visible before content can be restored
+ */
+const PARENT = {
+  [CONTENT_TYPES.ROOM]: { type: CONTENT_TYPES.HOTEL, column: "hotel_id" },
+  [CONTENT_TYPES.CITY]: { type: CONTENT_TYPES.COUNTRY, column: "country_id" },
+};
+
+/**
+ * Build error with code and status
+ */
+function createError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Add count to summary
+ */
+function addCount(summary, table, count) {
+  summary[table] = (summary[table] || 0) + count;
+}
+
+/**
+ * Soft delete content, its SEO rows, its images and its children
+ * @param {string} type - Content type
+ * @param {string[]} ids - Content IDs
+ * @param {string} deletedAt - Deletion timestamp
+ * @param {string} userId - User ID
+ * @param {Object} summary - Affected row counts (mutated)
+ */
+async function cascadeDelete(type, ids, deletedAt, userId, summary) {
+  // Children first, while they are still visible
+  for (const child of CHILDREN[type] || []) {
+    const childIds = await contentDeleteRepository.getIds(getTableName(child.type), { [child.column]: ids });
+
+    if (childIds.length > 0) {
+      await cascadeDelete(child.type, childIds, deletedAt, userId, summary);
+    }
+  }
+
+  addCount(summary, "seo_metadata", await contentDeleteRepository.markDeleted("seo_metadata", { page_type: type, page_id: ids }, deletedAt, userId));
+  addCount(summary, "image_assets", await contentDeleteRepository.markDeleted("image_assets", { content_type: type, content_id: ids }, deletedAt, userId));
+  addCount(summary, getTableName(type), await contentDeleteRepository.markDeleted(getTableName(type), { id: ids }, deletedAt, userId));
+}
+
+/**
+ * Restore content, SEO rows, images and children deleted at the same time
+ * @param {string} type - Content type
+ * @param {string[]} ids - Content IDs
+ * @param {string} deletedAt - Deletion timestamp to restore
+ * @param {Object} summary - Affected row counts (mutated)
+ */
+async function cascadeRestore(type, ids, deletedAt, summary) {
+  addCount(summary, getTableName(type), await contentDeleteRepository.markRestored(getTableName(type), { id: ids }, deletedAt));
+  addCount(summary, "seo_metadata", await contentDeleteRepository.markRestored("seo_metadata", { page_type: type, page_id: ids }, deletedAt));
+  addCount(summary, "image_assets", await contentDeleteRepository.markRestored("image_assets", { content_type: type, content_id: ids }, deletedAt));
+
+  for (const child of CHILDREN[type] || []) {
+    const childIds = await contentDeleteRepository.getIds(getTableName(child.type), { [child.column]: ids }, deletedAt);
+
+    if (childIds.length > 0) {
+      await cascadeRestore(child.type, childIds, deletedAt, summary);
+    }
+  }
+}
+
+/**
+ * Soft delete content and hide its dependants
+ * @param {string} type - Content type (hotel, room, city, country)
+ * @param {string} id - Content ID
+ * @param {Object} options - Deletion options
+ * @param {string} options.userId - User performing the deletion
+ * @param {string} options.reason - Optional reason for audit log
+ * @returns {Promise<Object>} Deletion result with affected counts
+ */
+export async function softDelete(type, id, { userId, reason = null }) {
+  try {
+    const table = getTableName(type);
+
+    // 1. Check content exists and is visible
+    const entity = await contentDeleteRepository.getEntity(table, id);
+
+    if (!entity) {
+      throw createError(`${type} not found`, `${type.toUpperCase()}_NOT_FOUND`, 404);
+    }
+
+    if (entity.deleted_at) {
+      throw createError(`${type} is already deleted`, "ALREADY_DELETED", 409);
+    }
+
+    // 2. Delete with one timestamp so restore can find the same rows
+    const deletedAt = new Date().toISOString();
+    const affected = {};
+    await cascadeDelete(type, [id], deletedAt, userId, affected);
+
+    // 3. Audit
+    await contentDeleteRepository.createAuditLog({
+      entity_type: type,
+      entity_id: id,
+      action: "delete",
+      user_id: userId,
+      reason,
+      affected,
+    });
+
+    console.log("Content soft deleted:", { type, id, userId, affected });
+
+    return {
+      id,
+      type,
+      deleted_at: deletedAt,
+      affected,
+    };
+  } catch (error) {
+    console.error("ContentDeleteService error:", {
+      code: error.code,
+      message: error.message,
+      type,
+      id,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Restore soft deleted content and the dependants deleted with it
+ * @param {string} type - Content type (hotel, room, city, country)
+ * @param {string} id - Content ID
+ * @param {Object} options - Restore options
+ * @param {string} options.userId - User performing the restore
+ * @param {string} options.reason - Optional reason for audit log
+ * @returns {Promise<Object>} Restore result with affected counts
+ */
+export async function restore(type, id, { userId, reason = null }) {
+  try {
+    const table = getTableName(type);
+    const parent = PARENT[type];
+
+    // 1. Check content exists and is deleted
+    const entity = await contentDeleteRepository.getEntity(table, id, parent?.column);
+
+    if (!entity) {
+      throw createError(`${type} not found`, `${type.toUpperCase()}_NOT_FOUND`, 404);
+    }
+
+    if (!entity.deleted_at) {
+      throw createError(`${type} is not deleted`, "NOT_DELETED", 409);
+    }
+
+    // 2. Parent must be visible first
+    if (parent) {
+      const parentEntity = await contentDeleteRepository.getEntity(getTableName(parent.type), entity[parent.column]);
+
+      if (parentEntity?.deleted_at) {
+        throw createError(`Restore the ${parent.type} first`, "PARENT_DELETED", 409);
+      }
+    }
+
+    // 3. Restore everything deleted together with it
+    const affected = {};
+    await cascadeRestore(type, [id], entity.deleted_at, affected);
+
+    // 4. Audit
+    await contentDeleteRepository.createAuditLog({
+      entity_type: type,
+      entity_id: id,
+      action: "restore",
+      user_id: userId,
+      reason,
+      affected,
+    });
+
+    console.log("Content restored:", { type, id, userId, affected });
+
+    return {
+      id,
+      type,
+      affected,
+    };
+  } catch (error) {
+    console.error("ContentDeleteService error:", {
+      code: error.code,
+      message: error.message,
+      type,
+      id,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const contentDeleteService = {
+  softDelete,
+  restore,
+};
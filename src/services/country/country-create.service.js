@@ -1,6 +1,7 @@
 // services/country/country-create.service.js
 
 import { countryCreateRepository } from "../../repositories/country/country-create.repository.js";
+import { translationService } from "../translation/translation.service.js";
 
 /**
  * Create a new country
@@ -29,7 +30,11 @@ export async function createCountry(countryData) {
     // 3. Create country in database
     const newCountry = await countryCreateRepository.create(cleanedData);
 
-    // 4. Log success
+    // 4. Save translations (th/en columns + other languages)
+    const translations = await translationService.save("country", newCountry.id, cleanedData, countryData.translations);
+    newCountry.translations = translationService.groupTranslations(translations);
+
+    // 5. Log success
     console.log("Country created successfully:", {
       id: newCountry.id,
       name_en: newCountry.name_en,
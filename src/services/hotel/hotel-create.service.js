@@ -1,13 +1,19 @@
 // services/hotel/hotel-create.service.js
 
 import { hotelCreateRepository } from "../../repositories/hotel/hotel-create.repository.js";
+import { translationService } from "../translation/translation.service.js";
+import { seoMetadataCreateService } from "../seo/seo-metadata-create.service.js";
+import { imageCollectionService } from "../image/image-collection.service.js";
+import { imageVariantService } from "../image/image-variant.service.js";
 
 /**
- * Create a new hotel
+ * Create a new hotel with optional SEO metadata and images (all or nothing)
  * @param {Object} hotelData - Hotel data from controller
- * @returns {Promise<Object>} Created hotel
+ * @param {Array} seoData - SEO metadata per language
+ * @param {Array} images - Image gallery
+ * @returns {Promise<Object>} { hotel, seo_metadata, images }
  */
-export async function createHotel(hotelData) {
+export async function createHotel(hotelData, seoData = [], images = []) {
   try {
     // 1. Clean and prepare data with safe trimming
     const cleanedData = {
@@ -62,18 +68,41 @@ export async function createHotel(hotelData) {
       }
     }
 
-    // 5. Create hotel in database with all related data
-    const newHotel = await hotelCreateRepository.create(cleanedData);
+    // 5. Prepare SEO metadata and check slugs are free
+    const seoRows = (seoData || []).map((seo) => seoMetadataCreateService.cleanSeoData({ ...seo, page_type: "hotel" }));
 
-    // 6. Log success
+    for (const seo of seoRows) {
+      await seoMetadataCreateService.assertSlugAvailable(seo);
+    }
+
+    // 6. Create hotel, mappings, translations, SEO and images in one transaction
+    const result = await hotelCreateRepository.create(cleanedData, {
+      translations: translationService.buildTranslationRows("hotel", null, cleanedData, hotelData.translations),
+      seo_data: seoRows,
+      images: (images || []).map(imageCollectionService.cleanImageData),
+    });
+
+    const newHotel = result.hotel;
+    newHotel.translations = translationService.groupTranslations(result.translations);
+
+    // 7. Log success
     console.log("Hotel created successfully:", {
       id: newHotel.id,
       name_en: newHotel.name_en,
       cities: cleanedData.city_ids.length,
       options: cleanedData.hotel_option_ids.length,
+      seo: result.seo_metadata.length,
+      images: result.images.length,
     });
 
-    return newHotel;
+    // 8. Generate image derivatives in the background (lists use the original until they exist)
+    imageVariantService.generateForUrls([newHotel.image, ...result.images.map((image) => image.url)]);
+
+    return {
+      hotel: newHotel,
+      seo_metadata: result.seo_metadata,
+      images: result.images,
+    };
   } catch (error) {
     // Log error for monitoring
     console.error("HotelCreateService error:", {
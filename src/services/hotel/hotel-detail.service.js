@@ -0,0 +1,88 @@
+// services/hotel/hotel-detail.service.js
+
+import { hotelDetailRepository } from "../../repositories/hotel/hotel-detail.repository.js";
+import { seoMetadataGetRepository } from "../../repositories/seo/seo-metadata.repository.js";
+import { groupSeoByLanguage } from "../seo/seo-metadata.service.js";
+import { imageCollectionRepository } from "../../repositories/image/image-collection.repository.js";
+import { translationRepository } from "../../repositories/translation/translation.repository.js";
+import { getActiveLanguages } from "../../config/languages.js";
+import { CONTENT_TYPES } from "../../constants/content-types.js";
+
+/**
+ * Summarize active rooms for hotel page
+ * @param {Array} rooms - Active rooms
+ * @returns {Object} Room summary
+ */
+function summarizeRooms(rooms) {
+  return {
+    total: rooms.length,
+    max_adult: rooms.reduce((max, room) => Math.max(max, room.max_adult || 0), 0),
+    max_children: rooms.reduce((max, room) => Math.max(max, room.max_children || 0), 0),
+    rooms,
+  };
+}
+
+/**
+ * Get full hotel record by slug (any language)
+ * @param {string} slug - Hotel slug
+ * @returns {Promise<Object>} Hotel with cities, options, images, SEO and rooms
+ */
+export async function getHotelDetail(slug) {
+  try {
+    // 1. Resolve slug to hotel ID
+    const hotelId = await seoMetadataGetRepository.getPageIdBySlug(CONTENT_TYPES.HOTEL, slug);
+    const hotel = hotelId ? await hotelDetailRepository.getHotelById(hotelId) : null;
+
+    if (!hotel) {
+      const error = new Error("Hotel not found");
+      error.code = "HOTEL_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // 2. Parallel fetch related data
+    const [cities, hotelOptions, images, seoRows, rooms] = await Promise.all([
+      hotelDetailRepository.getHotelCities(hotelId),
+      hotelDetailRepository.getHotelOptions(hotelId),
+      imageCollectionRepository.getGalleryImages(CONTENT_TYPES.HOTEL, hotelId),
+      seoMetadataGetRepository.getByPage(CONTENT_TYPES.HOTEL, hotelId, getActiveLanguages()),
+      hotelDetailRepository.getHotelRooms(hotelId),
+    ]);
+
+    // 3. Fill other languages from translations
+    const [[translatedHotel], translatedCities, translatedOptions, translatedRooms] = await Promise.all([
+      translationRepository.attachTranslations("hotel", [hotel]),
+      translationRepository.attachTranslations("city", cities),
+      translationRepository.attachTranslations("hotel_option", hotelOptions),
+      translationRepository.attachTranslations("room", rooms),
+    ]);
+
+    console.log("Hotel detail fetched:", {
+      slug,
+      hotel_id: hotelId,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      ...translatedHotel,
+      cities: translatedCities,
+      hotel_options: translatedOptions,
+      images,
+      seo: groupSeoByLanguage(seoRows),
+      room_summary: summarizeRooms(translatedRooms),
+    };
+  } catch (error) {
+    console.error("HotelDetailService error:", {
+      message: error.message,
+      code: error.code,
+      slug,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object
+export const hotelDetailService = {
+  getHotelDetail,
+};
@@ -3,29 +3,32 @@
 import { hotelListRepository } from "../../repositories/hotel/hotel-list.repository.js";
 
 /**
- * Get hotels (all or by city)
+ * Get hotels (all or by city) with filters and sorting
  * @param {Object} params - Query parameters
  * @returns {Promise<Object>} Hotels data
  */
 export async function getHotels(params) {
   try {
-    const { citySlug, limit = 20, offset = 0 } = params;
-
-    let result;
-
-    // If citySlug provided, get hotels by city
-    if (citySlug) {
-      result = await hotelListRepository.getHotelsByCitySlug(citySlug, limit, offset);
-    } else {
-      // Otherwise, get all hotels with pagination
-      result = await hotelListRepository.getAllHotels(limit, offset);
-    }
+    const { citySlug, optionIds, minPrice, maxPrice, search, sort, lang, limit = 20, offset = 0 } = params;
+
+    const result = await hotelListRepository.getHotels({
+      citySlug,
+      optionIds,
+      minPrice,
+      maxPrice,
+      search,
+      sort,
+      lang,
+      limit,
+      offset,
+    });
 
     // Log for monitoring
     console.log("Hotel list fetched:", {
       type: citySlug ? "by_city" : "all",
       city_slug: citySlug || null,
-      count: result.total || result.hotels.length,
+      sort: sort || "name",
+      count: result.pagination.total,
       timestamp: new Date().toISOString(),
     });
 
@@ -0,0 +1,223 @@
+// services/hotel/hotel-search.service.js
+
+import { hotelSearchRepository } from "../../repositories/hotel/hotel-search.repository.js";
+import { hotelListRepository } from "../../repositories/hotel/hotel-list.repository.js";
+import { roomAvailabilityRepository } from "../../repositories/room/room-availability.repository.js";
+import { roomPricingRepository } from "../../repositories/room/room-pricing.repository.js";
+import { seoMetadataGetRepository } from "../../repositories/seo/seo-metadata.repository.js";
+import { buildAvailabilityCalendar } from "../room/room-availability.service.js";
+import { buildQuote } from "../room/room-quote.service.js";
+import { CONTENT_TYPES } from "../../constants/content-types.js";
+import { addDays, enumerateNights } from "../../utils/date.util.js";
+import { localizeFields } from "../../utils/language.util.js";
+
+/**
+ * Keep rooms with at least one free unit on every night of the stay
+ * @param {Array} rooms - Candidate rooms
+ * @param {Array} bookings - Bookings occupying the stay
+ * @param {string[]} nights - Nights of the stay
+ * @returns {Array} Available rooms
+ */
+function filterAvailableRooms(rooms, bookings, nights) {
+  return rooms.filter((room) => {
+    const roomBookings = bookings.filter((booking) => booking.room_id === room.id);
+    const calendar = buildAvailabilityCalendar(room.total_room, roomBookings, nights);
+
+    return calendar.every((night) => night.available > 0);
+  });
+}
+
+/**
+ * Group rows by room_id
+ * @param {Array} rows - Rows with room_id
+ * @returns {Object} Rows keyed by room ID
+ */
+function groupByRoom(rows) {
+  const byRoom = {};
+
+  rows.forEach((row) => {
+    if (!byRoom[row.room_id]) byRoom[row.room_id] = [];
+    byRoom[row.room_id].push(row);
+  });
+
+  return byRoom;
+}
+
+/**
+ * Quote available rooms, skipping rooms without a base price
+ * Pricing tiers of all rooms are loaded in one query per tier
+ * @param {Array} rooms - Available rooms
+ * @param {string} checkIn - Check-in date
+ * @param {string} checkOut - Check-out date
+ * @returns {Promise<Array>} Rooms with quote
+ */
+async function quoteRooms(rooms, checkIn, checkOut) {
+  if (!rooms.length) return [];
+
+  const roomIds = rooms.map((room) => room.id);
+  const lastNight = addDays(checkOut, -1);
+
+  const [basePrices, seasonPrices, overridePrices] = await Promise.all([
+    roomPricingRepository.getBasePricesForRooms(roomIds),
+    roomPricingRepository.getSeasonPricesInRangeForRooms(roomIds, checkIn, lastNight),
+    roomPricingRepository.getOverridePricesInRangeForRooms(roomIds, checkIn, lastNight),
+  ]);
+
+  const baseByRoom = Object.fromEntries(basePrices.map((row) => [row.room_id, row]));
+  const seasonsByRoom = groupByRoom(seasonPrices);
+  const overridesByRoom = groupByRoom(overridePrices);
+
+  return rooms
+    .filter((room) => baseByRoom[room.id])
+    .map((room) => ({
+      room,
+      quote: buildQuote(checkIn, checkOut, {
+        basePrice: baseByRoom[room.id],
+        seasonPrices: seasonsByRoom[room.id],
+        overridePrices: overridesByRoom[room.id],
+      }),
+    }));
+}
+
+/**
+ * Format cheapest room of a hotel
+ * @param {Object} match - Cheapest room and its quote
+ * @param {string} lang - Response language (optional)
+ * @returns {Object} Lowest price info
+ */
+function formatLowestPrice(match, lang) {
+  const lowestPrice = {
+    room_id: match.room.id,
+    room_name_th: match.room.name_th,
+    room_name_en: match.room.name_en,
+    total: match.quote.total,
+    average_per_night: match.quote.average_per_night,
+  };
+
+  return lang ? localizeFields(lowestPrice, lang) : lowestPrice;
+}
+
+/**
+ * Search hotels in a city with rooms free for the whole stay
+ * Hotels are sorted by lowest quoted total
+ * @param {Object} params - Search parameters
+ * @param {string} params.citySlug - City slug (any language)
+ * @param {string} params.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} params.checkOut - Check-out date (YYYY-MM-DD)
+ * @param {number} params.adults - Number of adults
+ * @param {number} params.children - Number of children
+ * @param {number} params.limit - Page size
+ * @param {number} params.offset - Page offset
+ * @param {string} params.lang - Response language (optional)
+ * @returns {Promise<Object>} Matching hotels with lowest price
+ */
+export async function searchHotels(params) {
+  try {
+    const { citySlug, checkIn, checkOut, adults = 1, children = 0, limit = 20, offset = 0, lang = null } = params;
+
+    // 1. Resolve city
+    const cityId = await seoMetadataGetRepository.getPageIdBySlug(CONTENT_TYPES.CITY, citySlug);
+    const city = cityId ? await hotelSearchRepository.getCityById(cityId) : null;
+
+    if (!city) {
+      const error = new Error("City not found");
+      error.code = "CITY_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // 2. Rooms in city that fit the guests
+    const nights = enumerateNights(checkIn, checkOut);
+    const candidateRooms = await hotelSearchRepository.getRoomsInCityByCapacity(cityId, adults, children);
+
+    // 3. Keep rooms free for the whole stay
+    const bookings = candidateRooms.length
+      ? await roomAvailabilityRepository.getOccupyingBookingsForRooms(
+          candidateRooms.map((r) => r.id),
+          checkIn,
+          checkOut
+        )
+      : [];
+
+    const availableRooms = filterAvailableRooms(candidateRooms, bookings, nights);
+
+    // 4. Quote and keep cheapest room per hotel
+    const quotedRooms = await quoteRooms(availableRooms, checkIn, checkOut);
+    const byHotel = {};
+
+    quotedRooms.forEach(({ room, quote }) => {
+      const current = byHotel[room.hotel_id];
+
+      if (!current) {
+        byHotel[room.hotel_id] = { available_room_types: 1, room, quote };
+        return;
+      }
+
+      current.available_room_types += 1;
+
+      if (quote.total < current.quote.total) {
+        current.room = room;
+        current.quote = quote;
+      }
+    });
+
+    // 5. Sort by lowest total and paginate
+    const matches = Object.values(byHotel).sort((a, b) => a.quote.total - b.quote.total);
+    const total = matches.length;
+    const page = matches.slice(offset, offset + limit);
+
+    // 6. Format hotels of this page
+    const hotels = page.length ? await hotelSearchRepository.getHotelsByIds(page.map((m) => m.room.hotel_id)) : [];
+    const formattedHotels = await hotelListRepository.formatHotels(hotels, lang);
+    const hotelsById = Object.fromEntries(formattedHotels.map((h) => [h.id, h]));
+
+    const results = page
+      .filter((match) => hotelsById[match.room.hotel_id])
+      .map((match) => ({
+        ...hotelsById[match.room.hotel_id],
+        available_room_types: match.available_room_types,
+        lowest_price: formatLowestPrice(match, lang),
+      }));
+
+    console.log("Hotel search:", {
+      city_slug: citySlug,
+      check_in: checkIn,
+      check_out: checkOut,
+      adults,
+      children,
+      count: total,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      city: lang ? localizeFields(city, lang) : city,
+      check_in: checkIn,
+      check_out: checkOut,
+      total_nights: nights.length,
+      adults,
+      children,
+      hotels: results,
+      pagination: {
+        total,
+        limit,
+        offset,
+        current_page: Math.floor(offset / limit) + 1,
+        total_pages: Math.ceil(total / limit),
+        has_more: offset + limit < total,
+      },
+    };
+  } catch (error) {
+    console.error("HotelSearchService error:", {
+      message: error.message,
+      code: error.code,
+      citySlug: params.citySlug,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object
+export const hotelSearchService = {
+  searchHotels,
+};
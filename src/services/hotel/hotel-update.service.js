@@ -0,0 +1,166 @@
+// services/hotel/hotel-update.service.js
+
+import { hotelUpdateRepository } from "../../repositories/hotel/hotel-update.repository.js";
+import { hotelCreateRepository } from "../../repositories/hotel/hotel-create.repository.js";
+import { translationService } from "../translation/translation.service.js";
+import { imageVariantService } from "../image/image-variant.service.js";
+
+/**
+ * Hotel columns that can be changed through update
+ */
+const UPDATABLE_FIELDS = [
+  "name_th",
+  "name_en",
+  "excerpt_th",
+  "excerpt_en",
+  "description_th",
+  "description_en",
+  "checkin_time",
+  "checkout_time",
+  "image",
+  "location_txt_th",
+  "location_txt_en",
+  "google_map_link",
+  "is_active",
+];
+
+/**
+ * Pick provided hotel columns and trim strings
+ * Empty values are ignored (all hotel columns are required)
+ * @param {Object} hotelData - Partial hotel data
+ * @returns {Object} Columns to update
+ */
+function pickUpdatableFields(hotelData) {
+  const fields = {};
+
+  UPDATABLE_FIELDS.forEach((field) => {
+    const value = typeof hotelData[field] === "string" ? hotelData[field].trim() : hotelData[field];
+
+    if (value !== undefined && value !== null && value !== "") {
+      fields[field] = value;
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Update hotel fields and city/option mappings
+ * @param {string} hotelId - Hotel ID
+ * @param {Object} hotelData - Partial hotel data from controller
+ * @returns {Promise<Object>} Updated hotel with mappings
+ */
+export async function updateHotel(hotelId, hotelData) {
+  try {
+    // 1. Check hotel exists
+    const currentHotel = await hotelUpdateRepository.getById(hotelId);
+
+    if (!currentHotel) {
+      const error = new Error("Hotel not found");
+      error.code = "HOTEL_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const fields = pickUpdatableFields(hotelData);
+    const cityIds = hotelData.city_ids;
+    const optionIds = hotelData.hotel_option_ids;
+    const translations = hotelData.translations;
+
+    if (Object.keys(fields).length === 0 && !cityIds && !optionIds && !translations) {
+      const error = new Error("No fields to update");
+      error.code = "NO_CHANGES";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // 2. Check new name is not used by another hotel
+    if (fields.name_th || fields.name_en) {
+      const nameExists = await hotelCreateRepository.nameExists(
+        fields.name_th || currentHotel.name_th,
+        fields.name_en || currentHotel.name_en,
+        hotelId
+      );
+
+      if (nameExists) {
+        const error = new Error("Hotel name already exists");
+        error.code = "HOTEL_EXISTS";
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+
+    // 3. Validate city IDs if provided
+    if (cityIds?.length > 0) {
+      const validCities = await hotelCreateRepository.validateCityIds(cityIds);
+
+      if (!validCities) {
+        const error = new Error("One or more city IDs are invalid");
+        error.code = "INVALID_CITY_ID";
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    // 4. Validate hotel option IDs if provided
+    if (optionIds?.length > 0) {
+      const validOptions = await hotelCreateRepository.validateHotelOptionIds(optionIds);
+
+      if (!validOptions) {
+        const error = new Error("One or more hotel option IDs are invalid");
+        error.code = "INVALID_OPTION_ID";
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    // 5. Update hotel columns
+    const updatedHotel = Object.keys(fields).length > 0 ? await hotelUpdateRepository.update(hotelId, fields) : currentHotel;
+
+    // 6. Sync mappings
+    if (cityIds) {
+      await hotelUpdateRepository.syncCityMappings(hotelId, cityIds);
+    }
+
+    if (optionIds) {
+      await hotelUpdateRepository.syncOptionMappings(hotelId, optionIds);
+    }
+
+    const mappings = await hotelUpdateRepository.getHotelMappings(hotelId);
+
+    // 7. Save changed translations (th/en columns + other languages)
+    await translationService.save("hotel", hotelId, fields, translations);
+
+    // 8. Generate derivatives of a new image in the background
+    if (fields.image) {
+      imageVariantService.generateForUrls([fields.image]);
+    }
+
+    // 9. Log success
+    console.log("Hotel updated successfully:", {
+      id: hotelId,
+      fields: Object.keys(fields),
+      cities_updated: !!cityIds,
+      options_updated: !!optionIds,
+      translations_updated: translations ? Object.keys(translations) : [],
+    });
+
+    return {
+      ...updatedHotel,
+      ...mappings,
+    };
+  } catch (error) {
+    console.error("HotelUpdateService error:", {
+      code: error.code,
+      message: error.message,
+      hotelId,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const hotelUpdateService = {
+  update: updateHotel,
+};
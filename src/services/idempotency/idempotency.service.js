@@ -0,0 +1,167 @@
+// services/idempotency/idempotency.service.js
+
+import crypto from "crypto";
+import { idempotencyRepository } from "../../repositories/idempotency/idempotency.repository.js";
+import { DEFAULT_IDEMPOTENCY_KEY_TTL_HOURS, IDEMPOTENCY_LOCK_TIMEOUT_MS } from "../../constants/idempotency.constant.js";
+
+/**
+ * JSON.stringify with sorted object keys, so key order does not change the hash
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of the request a key was first used with
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(method, path, body) {
+  return crypto.createHash("sha256").update(`${method} ${path} ${stableStringify(body)}`).digest("hex");
+}
+
+/**
+ * Check if a stored key can no longer be used (expired, or abandoned while processing)
+ * @param {Object} record - Stored key
+ * @returns {boolean}
+ */
+function isStale(record) {
+  const now = Date.now();
+
+  if (new Date(record.expires_at).getTime() <= now) return true;
+
+  return record.status === "processing" && now - new Date(record.create_at).getTime() > IDEMPOTENCY_LOCK_TIMEOUT_MS;
+}
+
+/**
+ * Build key in progress error
+ * @returns {Error} IDEMPOTENCY_KEY_IN_PROGRESS error
+ */
+function createInProgressError() {
+  const error = new Error("A request with this Idempotency-Key is still being processed");
+  error.code = "IDEMPOTENCY_KEY_IN_PROGRESS";
+  error.statusCode = 409;
+  return error;
+}
+
+/**
+ * Start a request with an idempotency key
+ * @param {Object} params - userId, key, method, path, body
+ * @returns {Promise<Object>} { record } for a new request, or { replay: { status, body } } for a retry
+ */
+export async function beginRequest({ userId, key, method, path, body }) {
+  try {
+    const ttlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_IDEMPOTENCY_KEY_TTL_HOURS;
+    const requestHash = hashRequest(method, path, body);
+
+    const reserve = () =>
+      idempotencyRepository.create({
+        user_id: userId,
+        idempotency_key: key,
+        method,
+        path,
+        request_hash: requestHash,
+        expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString(),
+      });
+
+    // 1. Reserve key (first request)
+    let record = await reserve();
+    if (record) return { record };
+
+    // 2. Key exists - drop it if stale and reserve again
+    let existing = await idempotencyRepository.findByKey(userId, key);
+
+    if (!existing || isStale(existing)) {
+      if (existing) await idempotencyRepository.delete(existing.id);
+
+      record = await reserve();
+      if (record) return { record };
+
+      existing = await idempotencyRepository.findByKey(userId, key);
+    }
+
+    // 3. Competing request took the key and then released it (stale / server error): client can retry
+    if (!existing) {
+      throw createInProgressError();
+    }
+
+    // 4. Same key must be reused with the same request
+    if (existing.request_hash !== requestHash) {
+      const error = new Error("This Idempotency-Key was already used with a different request");
+      error.code = "IDEMPOTENCY_KEY_MISMATCH";
+      error.statusCode = 422;
+      throw error;
+    }
+
+    // 5. Original request still running
+    if (existing.status !== "completed") {
+      throw createInProgressError();
+    }
+
+    // 6. Replay stored response
+    return {
+      replay: {
+        status: existing.response_status,
+        body: existing.response_body,
+      },
+    };
+  } catch (error) {
+    console.error("IdempotencyService error:", {
+      code: error.code,
+      message: error.message,
+      userId,
+      path,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Store response of a request started with beginRequest
+ * Server errors are not stored so the client can retry with the same key
+ * @param {Object} record - Reserved key
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON response body
+ * @returns {Promise<void>}
+ */
+export async function finishRequest(record, status, body) {
+  try {
+    if (status >= 500 || body === undefined) {
+      await idempotencyRepository.delete(record.id);
+      return;
+    }
+
+    await idempotencyRepository.complete(record.id, status, body);
+  } catch (error) {
+    console.error("IdempotencyService error:", {
+      code: error.code,
+      message: error.message,
+      id: record.id,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const idempotencyService = {
+  begin: beginRequest,
+  finish: finishRequest,
+};
@@ -1,6 +1,22 @@
 // services/image/image-collection.service.js
 
 import { imageCollectionRepository } from "../../repositories/image/image-collection.repository.js";
+import { imageVariantService } from "./image-variant.service.js";
+
+/**
+ * Clean image data before insert
+ * @param {Object} image - Image from request
+ * @returns {Object} Image row (url, alt, caption, is_cover, sort_order)
+ */
+export function cleanImageData(image) {
+  return {
+    url: image.url.trim(),
+    alt: image.alt?.trim() || null,
+    caption: image.caption?.trim() || null,
+    is_cover: image.is_cover,
+    sort_order: image.sort_order || 0,
+  };
+}
 
 /**
  * Create image collection for an entity
@@ -11,19 +27,7 @@ export async function createImageCollection(requestData) {
   try {
     const { content_type, content_id, images } = requestData;
 
-    // 1. Get existing images to check if we need to update cover status
-    const existingImages = await imageCollectionRepository.getExistingImages(content_type, content_id);
-
-    // 2. Check if any new image is marked as cover
-    const newCoverImage = images.find((img) => img.is_cover === true);
-    const hasExistingCover = existingImages.some((img) => img.is_cover === true);
-
-    // 3. If new cover image and existing cover exists, remove old cover status
-    if (newCoverImage && hasExistingCover) {
-      await imageCollectionRepository.removeCoverStatus(content_type, content_id);
-    }
-
-    // 4. Check for duplicate URLs before processing
+    // 1. Check for duplicate URLs before processing
     const processedImages = [];
     const duplicateErrors = [];
 
@@ -37,19 +41,11 @@ export async function createImageCollection(requestData) {
           code: "DUPLICATE_IMAGE",
         });
       } else {
-        processedImages.push({
-          content_type,
-          content_id,
-          url: image.url.trim(),
-          alt: image.alt?.trim() || null,
-          caption: image.caption?.trim() || null,
-          is_cover: image.is_cover,
-          sort_order: image.sort_order || 0,
-        });
+        processedImages.push(cleanImageData(image));
       }
     }
 
-    // 5. If all images are duplicates, return error
+    // 2. If all images are duplicates, return error
     if (processedImages.length === 0 && duplicateErrors.length > 0) {
       const error = new Error("All images already exist for this entity");
       error.code = "ALL_DUPLICATES";
@@ -58,16 +54,15 @@ export async function createImageCollection(requestData) {
       throw error;
     }
 
-    // 6. Create image assets in database
-    const results = await imageCollectionRepository.create(processedImages);
+    // 3. Create image assets in one transaction (new cover replaces the current one)
+    const createdImages = await imageCollectionRepository.create(content_type, content_id, processedImages);
 
-    // 7. Combine results
-    const allFailed = [...duplicateErrors, ...results.failed];
+    // 4. Combine results
     const totalRequested = images.length;
-    const totalSuccess = results.successful.length;
-    const totalFailed = allFailed.length;
+    const totalSuccess = createdImages.length;
+    const totalFailed = duplicateErrors.length;
 
-    // 8. Log operation
+    // 5. Log operation
     console.log("Image collection creation completed:", {
       content_type: content_type,
       content_id: content_id,
@@ -76,20 +71,13 @@ export async function createImageCollection(requestData) {
       failed: totalFailed,
     });
 
-    // 9. Determine response status and format
-    if (totalSuccess === 0) {
-      // All failed
-      const error = new Error("Failed to create any image assets");
-      error.code = "ALL_FAILED";
-      error.statusCode = 400;
-      error.details = allFailed;
-      throw error;
-    }
+    // 6. Generate image derivatives in the background (lists use the original until they exist)
+    imageVariantService.generateForUrls(createdImages.map((image) => image.url));
 
     // Return success or partial success
     return {
-      image_assets: results.successful,
-      errors: allFailed.length > 0 ? allFailed : undefined,
+      image_assets: createdImages,
+      errors: duplicateErrors.length > 0 ? duplicateErrors : undefined,
       summary: {
         total: totalRequested,
         success: totalSuccess,
@@ -112,4 +100,5 @@ export async function createImageCollection(requestData) {
 // Export as object for consistency
 export const imageCollectionService = {
   create: createImageCollection,
+  cleanImageData,
 };
@@ -0,0 +1,171 @@
+// services/image/image-gallery.service.js
+
+import { imageCollectionRepository } from "../../repositories/image/image-collection.repository.js";
+
+/**
+ * Build image not found error
+ * @returns {Error} IMAGE_NOT_FOUND error
+ */
+function createNotFoundError() {
+  const error = new Error("Image not found");
+  error.code = "IMAGE_NOT_FOUND";
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * List gallery images of an entity (cover first, then sort order)
+ * @param {string} contentType - Type of content
+ * @param {string} contentId - UUID of the content
+ * @returns {Promise<Array>} Images
+ */
+export async function listImages(contentType, contentId) {
+  try {
+    return await imageCollectionRepository.getGalleryImages(contentType, contentId);
+  } catch (error) {
+    // Log error for monitoring
+    console.error("ImageGalleryService error:", {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Update alt / caption of an image
+ * Empty string clears the field
+ * @param {string} imageId - UUID of the image
+ * @param {Object} data - { alt, caption }
+ * @returns {Promise<Object>} Updated image
+ */
+export async function updateImage(imageId, data) {
+  try {
+    // 1. Keep only provided fields
+    const updateData = {};
+    if (data.alt !== undefined) updateData.alt = data.alt?.trim() || null;
+    if (data.caption !== undefined) updateData.caption = data.caption?.trim() || null;
+
+    // 2. Update
+    const image = await imageCollectionRepository.updateImage(imageId, updateData);
+    if (!image) {
+      throw createNotFoundError();
+    }
+
+    return image;
+  } catch (error) {
+    // Log error for monitoring
+    console.error("ImageGalleryService error:", {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Make an image the cover of its gallery
+ * The previous cover is unset in the same transaction
+ * @param {string} imageId - UUID of the image
+ * @returns {Promise<Object>} Updated image
+ */
+export async function setCover(imageId) {
+  try {
+    const image = await imageCollectionRepository.setImageCover(imageId);
+    if (!image) {
+      throw createNotFoundError();
+    }
+
+    return image;
+  } catch (error) {
+    // Log error for monitoring
+    console.error("ImageGalleryService error:", {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Soft delete an image from its gallery
+ * Deleting the cover promotes the first remaining image
+ * @param {string} imageId - UUID of the image
+ * @param {Object} options - Deletion options
+ * @param {string} options.userId - User performing the deletion
+ * @returns {Promise<Object>} { image, was_cover, new_cover_id }
+ */
+export async function deleteImage(imageId, { userId }) {
+  try {
+    // Soft delete, cover promotion and audit log in one transaction
+    const deletedAt = new Date().toISOString();
+    const result = await imageCollectionRepository.deleteImage(imageId, deletedAt, userId);
+    if (!result) {
+      throw createNotFoundError();
+    }
+
+    return result;
+  } catch (error) {
+    // Log error for monitoring
+    console.error("ImageGalleryService error:", {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Reorder the gallery of an entity
+ * imageIds must list every image of the gallery exactly once
+ * @param {string} contentType - Type of content
+ * @param {string} contentId - UUID of the content
+ * @param {Array<string>} imageIds - Image ids in display order
+ * @returns {Promise<Array>} Images in their new order
+ */
+export async function reorderImages(contentType, contentId, imageIds) {
+  try {
+    // 1. Compare with the current gallery
+    const currentImages = await imageCollectionRepository.getGalleryImages(contentType, contentId);
+    const currentIds = new Set(currentImages.map((image) => image.id));
+
+    if (imageIds.length !== currentIds.size || !imageIds.every((id) => currentIds.has(id))) {
+      const error = new Error("image_ids must list every image of this gallery exactly once");
+      error.code = "IMAGE_IDS_MISMATCH";
+      error.statusCode = 400;
+      error.details = { expected: currentIds.size, received: imageIds.length };
+      throw error;
+    }
+
+    // 2. Apply new order in one transaction
+    await imageCollectionRepository.reorderImages(contentType, contentId, imageIds);
+
+    return await imageCollectionRepository.getGalleryImages(contentType, contentId);
+  } catch (error) {
+    // Log error for monitoring
+    console.error("ImageGalleryService error:", {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const imageGalleryService = {
+  list: listImages,
+  update: updateImage,
+  setCover,
+  delete: deleteImage,
+  reorder: reorderImages,
+};
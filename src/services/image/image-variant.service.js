@@ -0,0 +1,171 @@
+// services/image/image-variant.service.js
+
+import sharp from "sharp";
+import { v4 as uuidv4 } from "uuid";
+import { getStorageDriver, isStoragePublicUrl } from "../../config/storage.js";
+import { IMAGE_VARIANTS, IMAGE_VARIANT_FORMATS, DEFAULT_UPLOAD_MAX_SIZE_MB } from "../../constants/upload.constant.js";
+import { imageVariantRepository } from "../../repositories/image/image-variant.repository.js";
+
+/**
+ * Generate, store and record derivatives of one image
+ * @param {Object} params - buffer (source file), basePath (storage path without extension), sourceUrl
+ * @returns {Promise<Array>} Saved image_variants rows (original first)
+ */
+export async function generateVariants({ buffer, basePath, sourceUrl }) {
+  try {
+    // 1. Size of the source (EXIF rotation applied)
+    const metadata = await sharp(buffer).metadata();
+    const rows = [
+      {
+        source_url: sourceUrl,
+        variant: "original",
+        format: metadata.format,
+        url: sourceUrl,
+        width: metadata.autoOrient?.width ?? metadata.width,
+        height: metadata.autoOrient?.height ?? metadata.height,
+      },
+    ];
+
+    // 2. Resize and encode every variant / format, then store it
+    const driver = getStorageDriver();
+
+    for (const variant of Object.values(IMAGE_VARIANTS)) {
+      for (const [format, contentType] of Object.entries(IMAGE_VARIANT_FORMATS)) {
+        const { data, info } = await sharp(buffer)
+          .rotate()
+          .resize({
+            width: variant.width,
+            height: variant.height,
+            fit: variant.fit,
+            withoutEnlargement: true,
+          })
+          .toFormat(format)
+          .toBuffer({ resolveWithObject: true });
+
+        const stored = await driver.upload({
+          filePath: `${basePath}_${variant.name}.${format}`,
+          buffer: data,
+          contentType,
+        });
+
+        rows.push({
+          source_url: sourceUrl,
+          variant: variant.name,
+          format,
+          url: stored.url,
+          width: info.width,
+          height: info.height,
+        });
+      }
+    }
+
+    // 3. Record next to the source image
+    return await imageVariantRepository.saveVariants(rows);
+  } catch (error) {
+    console.error("ImageVariantService error:", {
+      code: error.code,
+      message: error.message,
+      sourceUrl,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Download a stored image for derivative generation
+ * Only files of the configured storage are fetched, without following redirects,
+ * and the download stops once it is larger than the upload size limit
+ * @param {string} url - Source image URL
+ * @returns {Promise<Buffer>} File content
+ */
+async function downloadStoredImage(url) {
+  if (!isStoragePublicUrl(url)) {
+    throw new Error("Image URL is not a file of the configured storage");
+  }
+
+  const maxBytes = (parseInt(process.env.UPLOAD_MAX_SIZE_MB) || DEFAULT_UPLOAD_MAX_SIZE_MB) * 1024 * 1024;
+  const response = await fetch(url, { redirect: "error" });
+
+  if (!response.ok) {
+    throw new Error(`Failed to download image (HTTP ${response.status})`);
+  }
+
+  if (Number(response.headers.get("content-length")) > maxBytes) {
+    await response.body?.cancel();
+    throw new Error("Image is larger than the upload size limit");
+  }
+
+  // Content-Length can be missing or wrong: count while reading (leaving the loop cancels the stream)
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body) {
+    size += chunk.length;
+
+    if (size > maxBytes) {
+      throw new Error("Image is larger than the upload size limit");
+    }
+
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Generate derivatives for already stored images (registered by URL)
+ * Images that already have derivatives are skipped; a failing image does not stop the others
+ * @param {Array<string>} urls - Source image URLs
+ * @returns {Promise<Object>} { generated, skipped, failed }
+ */
+export async function generateVariantsForUrls(urls) {
+  const summary = { generated: 0, skipped: 0, failed: 0 };
+
+  try {
+    const uniqueUrls = [...new Set(urls.filter(Boolean))];
+    const existing = await imageVariantRepository.getVariantsByUrls(uniqueUrls);
+
+    for (const url of uniqueUrls) {
+      if (existing[url]?.length) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        // 1. Download source (configured storage only, size capped)
+        const buffer = await downloadStoredImage(url);
+
+        // 2. Derivatives go to their own folder: variants/<yyyy>/<mm>/<uuid>_<variant>.<format>
+        const now = new Date();
+        const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+
+        await generateVariants({
+          buffer,
+          basePath: `variants/${now.getUTCFullYear()}/${month}/${uuidv4()}`,
+          sourceUrl: url,
+        });
+
+        summary.generated++;
+      } catch (error) {
+        summary.failed++;
+        console.error("Image variant generation failed:", { url, message: error.message });
+      }
+    }
+  } catch (error) {
+    console.error("ImageVariantService error:", {
+      code: error.code,
+      message: error.message,
+    });
+  }
+
+  console.log("Image variants generated:", summary);
+
+  return summary;
+}
+
+// Export as object for consistency
+export const imageVariantService = {
+  generate: generateVariants,
+  generateForUrls: generateVariantsForUrls,
+};
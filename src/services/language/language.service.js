@@ -0,0 +1,36 @@
+// services/language/language.service.js
+
+import { languageRepository } from "../../repositories/language/language.repository.js";
+import { getActiveLanguages, setActiveLanguages } from "../../config/languages.js";
+
+/**
+ * Load active languages from the languages table
+ * Keeps the current list when the table is empty or unreachable
+ * @returns {Promise<string[]>} Active languages
+ */
+export async function loadActiveLanguages() {
+  try {
+    const codes = await languageRepository.getActiveLanguageCodes();
+
+    if (codes.length > 0) {
+      setActiveLanguages(codes);
+    }
+
+    console.log("Active languages loaded:", getActiveLanguages());
+
+    return getActiveLanguages();
+  } catch (error) {
+    console.error("LanguageService error:", {
+      message: error.message,
+      code: error.code,
+      fallback: getActiveLanguages(),
+    });
+
+    return getActiveLanguages();
+  }
+}
+
+// Export as object
+export const languageService = {
+  loadActiveLanguages,
+};
@@ -0,0 +1,72 @@
+// services/mail/mail.service.js
+
+import { getMailTransport, MAIL_FROM } from "../../config/mail.js";
+
+/**
+ * Build link to a frontend page
+ * @param {string} pagePath - Frontend path
+ * @param {string} token - Token query param
+ * @returns {string} Absolute URL
+ */
+const buildFrontendLink = (pagePath, token) => {
+  const baseUrl = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "");
+  return `${baseUrl}${pagePath}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send mail through the configured transport
+ * @param {Object} message - to, subject, text, html
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendMail = async (message) => {
+  const transport = getMailTransport();
+  const result = await transport.send({ from: MAIL_FROM, ...message });
+
+  console.log("Mail sent:", {
+    transport: transport.name,
+    to: message.to,
+    subject: message.subject,
+  });
+
+  return result;
+};
+
+/**
+ * Send email verification link
+ * @param {Object} user - User (email, fname)
+ * @param {string} token - Raw verification token
+ * @param {number} expiresInMinutes - Token lifetime
+ */
+export const sendVerificationEmail = (user, token, expiresInMinutes) => {
+  const link = buildFrontendLink("/verify-email", token);
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.fname},\n\nPlease verify your email address by opening the link below:\n${link}\n\nThis link expires in ${expiresInMinutes} minutes.`,
+    html: `<p>Hi ${user.fname},</p><p>Please verify your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>This link expires in ${expiresInMinutes} minutes.</p>`,
+  });
+};
+
+/**
+ * Send password reset link
+ * @param {Object} user - User (email, fname)
+ * @param {string} token - Raw reset token
+ * @param {number} expiresInMinutes - Token lifetime
+ */
+export const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = buildFrontendLink("/reset-password", token);
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.fname},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThis link expires in ${expiresInMinutes} minutes. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${user.fname},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">${link}</a></p><p>This link expires in ${expiresInMinutes} minutes. If you did not request this, you can ignore this email.</p>`,
+  });
+};
+
+export const mailService = {
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,103 @@
+// services/room/room-availability.service.js
+
+import { roomAvailabilityRepository } from "../../repositories/room/room-availability.repository.js";
+import { BOOKING_STATUS } from "../../constants/booking-status.constant.js";
+import { addDays, enumerateNights } from "../../utils/date.util.js";
+
+/**
+ * Build per-night availability from room inventory and occupying bookings
+ * @param {number} totalRoom - Sellable units of the room
+ * @param {Array} bookings - Bookings overlapping the range
+ * @param {string[]} nights - Nights to calculate (YYYY-MM-DD)
+ * @returns {Array<Object>} Availability per night
+ */
+export function buildAvailabilityCalendar(totalRoom, bookings, nights) {
+  return nights.map((date) => {
+    let booked = 0;
+    let held = 0;
+
+    for (const booking of bookings) {
+      // Booking occupies check_in .. check_out - 1
+      if (booking.check_in <= date && date < booking.check_out) {
+        if (booking.status === BOOKING_STATUS.CONFIRMED) {
+          booked += booking.units;
+        } else {
+          held += booking.units;
+        }
+      }
+    }
+
+    return {
+      date,
+      total: totalRoom,
+      booked,
+      held,
+      available: Math.max(totalRoom - booked - held, 0),
+    };
+  });
+}
+
+/**
+ * Get availability calendar for a room
+ * @param {Object} params - Query parameters
+ * @param {string} params.roomId - Room ID
+ * @param {string} params.from - First night (YYYY-MM-DD)
+ * @param {string} params.to - Last night, inclusive (YYYY-MM-DD)
+ * @returns {Promise<Object>} Room info and per-night availability
+ */
+export async function getRoomAvailability(params) {
+  try {
+    const { roomId, from, to } = params;
+
+    // 1. Get room inventory
+    const room = await roomAvailabilityRepository.getRoomInventory(roomId);
+
+    if (!room) {
+      const error = new Error("Room not found");
+      error.code = "ROOM_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // 2. Get bookings occupying any night in range
+    const rangeEnd = addDays(to, 1);
+    const bookings = await roomAvailabilityRepository.getOccupyingBookings(roomId, from, rangeEnd);
+
+    // 3. Calculate availability per night
+    const nights = buildAvailabilityCalendar(room.total_room, bookings, enumerateNights(from, rangeEnd));
+
+    const soldOutDates = nights.filter((night) => night.available === 0).map((night) => night.date);
+
+    return {
+      room: {
+        id: room.id,
+        name_th: room.name_th,
+        name_en: room.name_en,
+        hotel_id: room.hotel_id,
+        total_room: room.total_room,
+      },
+      from,
+      to,
+      nights,
+      summary: {
+        total_nights: nights.length,
+        min_available: Math.min(...nights.map((night) => night.available)),
+        sold_out_dates: soldOutDates,
+      },
+    };
+  } catch (error) {
+    console.error("RoomAvailabilityService error:", {
+      message: error.message,
+      code: error.code,
+      roomId: params.roomId,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object
+export const roomAvailabilityService = {
+  getRoomAvailability,
+  buildAvailabilityCalendar,
+};
@@ -1,6 +1,10 @@
 // services/room/room-create.service.js
 
 import { roomCreateRepository } from "../../repositories/room/room-create.repository.js";
+import { translationService } from "../translation/translation.service.js";
+import { seoMetadataCreateService } from "../seo/seo-metadata-create.service.js";
+import { imageCollectionService } from "../image/image-collection.service.js";
+import { imageVariantService } from "../image/image-variant.service.js";
 
 /**
  * Check if date ranges overlap
@@ -67,13 +71,11 @@ function checkOverrideOverlap(newOverrides, existingOverrides) {
 }
 
 /**
- * Create a new room with all related data
+ * Create a new room with all related data (all or nothing)
  * @param {Object} requestData - Complete room data from controller
  * @returns {Promise<Object>} Created room with all related data
  */
 export async function createRoom(requestData) {
-  let createdRoomId = null;
-
   try {
     const { room_data, room_option_ids, base_price, season_base_prices, override_prices, seo_data, images } = requestData;
 
@@ -107,64 +109,58 @@ export async function createRoom(requestData) {
       }
     }
 
-    // 4. Create room
-    const newRoom = await roomCreateRepository.createRoom(room_data);
-    createdRoomId = newRoom.id;
+    // 4. Prepare SEO metadata and check slugs are free
+    // (season/override overlaps within the request are checked in the validator)
+    const seoRows = (seo_data || []).map((seo) => seoMetadataCreateService.cleanSeoData({ ...seo, page_type: "room" }));
 
-    // 5. Create room options mapping
-    if (room_option_ids && room_option_ids.length > 0) {
-      await roomCreateRepository.createRoomOptions(createdRoomId, room_option_ids);
+    for (const seo of seoRows) {
+      await seoMetadataCreateService.assertSlugAvailable(seo);
     }
 
-    // 6. Create base price (required)
-    const createdBasePrice = await roomCreateRepository.createBasePrice(createdRoomId, base_price);
-
-    // 7. Check for season price overlaps if any
-    let createdSeasonPrices = [];
-    if (season_base_prices && season_base_prices.length > 0) {
-      // This is a new room, so no existing seasons yet
-      // Just check internal overlaps (already done in validator)
-      createdSeasonPrices = await roomCreateRepository.createSeasonBasePrices(createdRoomId, season_base_prices);
-    }
+    // 5. Create room, options, prices, translations, SEO and images in one transaction
+    const result = await roomCreateRepository.createRoom(room_data, {
+      room_option_ids,
+      base_price,
+      season_base_prices,
+      override_prices,
+      translations: translationService.buildTranslationRows("room", null, room_data, room_data.translations),
+      seo_data: seoRows,
+      images: (images || []).map(imageCollectionService.cleanImageData),
+    });
 
-    // 8. Check for override price overlaps if any
-    let createdOverridePrices = [];
-    if (override_prices && override_prices.length > 0) {
-      // This is a new room, so no existing overrides yet
-      // Just check internal overlaps (already done in validator)
-      createdOverridePrices = await roomCreateRepository.createOverridePrices(createdRoomId, override_prices);
-    }
+    const newRoom = result.room;
+    newRoom.translations = translationService.groupTranslations(result.translations);
 
-    // 9. Log success
+    // 6. Log success
     console.log("Room created successfully:", {
       id: newRoom.id,
       name_en: newRoom.name_en,
       hotel_id: newRoom.hotel_id,
       options: room_option_ids?.length || 0,
-      seasons: createdSeasonPrices.length,
-      overrides: createdOverridePrices.length,
+      seasons: result.season_base_prices.length,
+      overrides: result.override_prices.length,
+      seo: result.seo_metadata.length,
+      images: result.images.length,
     });
 
-    // 10. Return created data (without SEO and images - handled by controller)
+    // 7. Generate image derivatives in the background (lists use the original until they exist)
+    imageVariantService.generateForUrls(result.images.map((image) => image.url));
+
+    // 8. Return created data
     return {
       room: newRoom,
-      base_price: createdBasePrice,
-      season_base_prices: createdSeasonPrices,
-      override_prices: createdOverridePrices,
+      base_price: result.base_price,
+      season_base_prices: result.season_base_prices,
+      override_prices: result.override_prices,
       room_option_ids: room_option_ids || [],
+      seo_metadata: result.seo_metadata,
+      images: result.images,
     };
   } catch (error) {
-    // Rollback if room was created
-    if (createdRoomId) {
-      console.log("Rolling back room creation:", createdRoomId);
-      await roomCreateRepository.deleteRoomCascade(createdRoomId);
-    }
-
     // Log error
     console.error("RoomCreateService error:", {
       code: error.code,
       message: error.message,
-      roomId: createdRoomId,
     });
 
     throw error;
@@ -172,15 +168,47 @@ export async function createRoom(requestData) {
 }
 
 /**
- * Check date overlaps for existing room (for future update endpoint)
- * This function is exported for potential reuse
+ * Check for overlapping date ranges within the same request
+ * @param {Array} ranges - Incoming ranges
+ * @param {string} label - Label for error message
+ * @param {string} code - Error code
+ * @returns {Object|null} Error object if overlap found
+ */
+function checkInternalOverlap(ranges, label, code) {
+  for (let i = 0; i < ranges.length; i++) {
+    for (let j = i + 1; j < ranges.length; j++) {
+      if (checkDateOverlap(ranges[i], ranges[j])) {
+        return {
+          message: `${label} "${ranges[i].name}" overlaps with "${ranges[j].name}"`,
+          code,
+          statusCode: 409,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check date overlaps for existing room (used by update endpoint)
+ * @param {string} roomId - Room ID
+ * @param {Array} seasonPrices - Season prices to be stored (new or changed)
+ * @param {Array} overridePrices - Override prices to be stored (new or changed)
+ * @param {Object} excludeIds - Stored rows being changed or deleted in the same request
+ * @param {string[]} excludeIds.seasons - Season price IDs to ignore
+ * @param {string[]} excludeIds.overrides - Override price IDs to ignore
  */
-export async function checkRoomDateOverlaps(roomId, seasonPrices, overridePrices) {
+export async function checkRoomDateOverlaps(roomId, seasonPrices, overridePrices, excludeIds = {}) {
   try {
+    const excludeSeasonIds = excludeIds.seasons || [];
+    const excludeOverrideIds = excludeIds.overrides || [];
+
     // Get existing seasons
     if (seasonPrices && seasonPrices.length > 0) {
-      const existingSeasons = await roomCreateRepository.getExistingSeasonPrices(roomId);
-      const seasonError = checkSeasonOverlap(seasonPrices, existingSeasons);
+      const existingSeasons = (await roomCreateRepository.getExistingSeasonPrices(roomId)).filter(
+        (season) => !excludeSeasonIds.includes(season.id)
+      );
+      const seasonError = checkSeasonOverlap(seasonPrices, existingSeasons) || checkInternalOverlap(seasonPrices, "Season", "SEASON_OVERLAP");
       if (seasonError) {
         const error = new Error(seasonError.message);
         error.code = seasonError.code;
@@ -191,8 +219,13 @@ export async function checkRoomDateOverlaps(roomId, seasonPrices, overridePrices
 
     // Get existing active overrides
     if (overridePrices && overridePrices.length > 0) {
-      const existingOverrides = await roomCreateRepository.getExistingOverridePrices(roomId);
-      const overrideError = checkOverrideOverlap(overridePrices, existingOverrides);
+      const existingOverrides = (await roomCreateRepository.getExistingOverridePrices(roomId)).filter(
+        (override) => !excludeOverrideIds.includes(override.id)
+      );
+      const activeOverrides = overridePrices.filter((o) => o.is_active === true);
+      const overrideError =
+        checkOverrideOverlap(overridePrices, existingOverrides) ||
+        checkInternalOverlap(activeOverrides, "Override price", "OVERRIDE_OVERLAP");
       if (overrideError) {
         const error = new Error(overrideError.message);
         error.code = overrideError.code;
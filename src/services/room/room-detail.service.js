@@ -0,0 +1,85 @@
+// services/room/room-detail.service.js
+
+import { roomDetailRepository } from "../../repositories/room/room-detail.repository.js";
+import { roomPricingRepository } from "../../repositories/room/room-pricing.repository.js";
+import { seoMetadataGetRepository } from "../../repositories/seo/seo-metadata.repository.js";
+import { imageCollectionRepository } from "../../repositories/image/image-collection.repository.js";
+import { translationRepository } from "../../repositories/translation/translation.repository.js";
+import { groupSeoByLanguage } from "../seo/seo-metadata.service.js";
+import { getActiveLanguages } from "../../config/languages.js";
+import { CONTENT_TYPES } from "../../constants/content-types.js";
+import { formatDateOnly } from "../../utils/date.util.js";
+
+/**
+ * Get full room record by slug (any language)
+ * Prices include the base price and season/override prices that have not ended
+ * @param {string} slug - Room slug
+ * @returns {Promise<Object>} Room with options, images, SEO and prices
+ */
+export async function getRoomDetail(slug) {
+  try {
+    // 1. Resolve slug to room ID
+    const roomId = await seoMetadataGetRepository.getPageIdBySlug(CONTENT_TYPES.ROOM, slug);
+    const room = roomId ? await roomDetailRepository.getRoomById(roomId) : null;
+
+    if (!room) {
+      const error = new Error("Room not found");
+      error.code = "ROOM_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // 2. Parallel fetch related data
+    const today = formatDateOnly(new Date());
+
+    const [roomOptions, images, seoRows, basePrice, seasonPrices, overridePrices] = await Promise.all([
+      roomDetailRepository.getRoomOptions(roomId),
+      imageCollectionRepository.getGalleryImages(CONTENT_TYPES.ROOM, roomId),
+      seoMetadataGetRepository.getByPage(CONTENT_TYPES.ROOM, roomId, getActiveLanguages()),
+      roomPricingRepository.getBasePrice(roomId),
+      roomPricingRepository.getCurrentSeasonPrices(roomId, today),
+      roomPricingRepository.getCurrentOverridePrices(roomId, today),
+    ]);
+
+    // 3. Fill other languages from translations
+    const { hotels: hotel, ...roomData } = room;
+
+    const [[translatedRoom], [translatedHotel], translatedOptions] = await Promise.all([
+      translationRepository.attachTranslations("room", [roomData]),
+      translationRepository.attachTranslations("hotel", [hotel]),
+      translationRepository.attachTranslations("room_option", roomOptions),
+    ]);
+
+    console.log("Room detail fetched:", {
+      slug,
+      room_id: roomId,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      ...translatedRoom,
+      hotel: translatedHotel,
+      room_options: translatedOptions,
+      images,
+      seo: groupSeoByLanguage(seoRows),
+      prices: {
+        base_price: basePrice,
+        season_base_prices: seasonPrices,
+        override_prices: overridePrices,
+      },
+    };
+  } catch (error) {
+    console.error("RoomDetailService error:", {
+      message: error.message,
+      code: error.code,
+      slug,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object
+export const roomDetailService = {
+  getRoomDetail,
+};
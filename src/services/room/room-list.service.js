@@ -9,7 +9,7 @@ import { roomListRepository } from "../../repositories/room/room-list.repository
  */
 export async function getRoomsByHotelSlug(params) {
   try {
-    const { hotelSlug, limit = 20, offset = 0 } = params;
+    const { hotelSlug, limit = 20, offset = 0, lang = null } = params;
 
     // Validate slug
     if (!hotelSlug) {
@@ -20,7 +20,7 @@ export async function getRoomsByHotelSlug(params) {
     }
 
     // Get rooms from repository
-    const result = await roomListRepository.getRoomsByHotelSlug(hotelSlug, limit, offset);
+    const result = await roomListRepository.getRoomsByHotelSlug(hotelSlug, limit, offset, lang);
 
     // Log for monitoring
     console.log("Room list fetched:", {
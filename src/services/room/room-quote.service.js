@@ -0,0 +1,193 @@
+// services/room/room-quote.service.js
+
+import { roomPricingRepository } from "../../repositories/room/room-pricing.repository.js";
+import { roomAvailabilityRepository } from "../../repositories/room/room-availability.repository.js";
+import { addDays, enumerateNights, getWeekdayKey } from "../../utils/date.util.js";
+
+/**
+ * Price sources in resolution order
+ */
+export const PRICE_SOURCES = {
+  OVERRIDE: "override",
+  SEASON: "season",
+  BASE: "base",
+};
+
+/**
+ * Round to 2 decimal places
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Find the row whose start_date..end_date (inclusive) covers a date
+ * @param {Array} rows - Season or override rows
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|undefined} Matching row
+ */
+function findCoveringRow(rows, date) {
+  return rows.find((row) => row.start_date.slice(0, 10) <= date && date <= row.end_date.slice(0, 10));
+}
+
+/**
+ * Resolve the price of each night
+ * Order: override price -> season weekday price -> base weekday price
+ * @param {string[]} nights - Nights to price (YYYY-MM-DD)
+ * @param {Object} pricing - Pricing tiers
+ * @param {Object} pricing.basePrice - room_base_prices row
+ * @param {Array} pricing.seasonPrices - room_season_base_prices rows
+ * @param {Array} pricing.overridePrices - Active room_override_prices rows
+ * @returns {Array<Object>} Price breakdown per night
+ */
+export function resolveNightlyPrices(nights, { basePrice, seasonPrices = [], overridePrices = [] }) {
+  return nights.map((date) => {
+    const weekday = getWeekdayKey(date);
+
+    // 1. Override price (flat price for the date)
+    const override = findCoveringRow(overridePrices, date);
+    if (override) {
+      return {
+        date,
+        weekday,
+        price: Number(override.price),
+        source: PRICE_SOURCES.OVERRIDE,
+        source_id: override.id,
+        source_name: override.name,
+        is_promotion: !!override.is_promotion,
+      };
+    }
+
+    // 2. Season price (weekday column)
+    const season = findCoveringRow(seasonPrices, date);
+    if (season) {
+      return {
+        date,
+        weekday,
+        price: Number(season[`price_${weekday}`]),
+        source: PRICE_SOURCES.SEASON,
+        source_id: season.id,
+        source_name: season.name,
+        is_promotion: false,
+      };
+    }
+
+    // 3. Base price (weekday column)
+    return {
+      date,
+      weekday,
+      price: Number(basePrice[`price_${weekday}`]),
+      source: PRICE_SOURCES.BASE,
+      source_id: basePrice.id,
+      source_name: null,
+      is_promotion: false,
+    };
+  });
+}
+
+/**
+ * Build a quote from pricing tiers already loaded for the stay
+ * @param {string} checkIn - Check-in date (first night)
+ * @param {string} checkOut - Check-out date (day after last night)
+ * @param {Object} pricing - Pricing tiers (see resolveNightlyPrices)
+ * @returns {Object} Nightly breakdown and total
+ */
+export function buildQuote(checkIn, checkOut, pricing) {
+  // 1. Resolve each night
+  const nights = resolveNightlyPrices(enumerateNights(checkIn, checkOut), pricing);
+
+  // 2. Summarize
+  const total = roundPrice(nights.reduce((sum, night) => sum + night.price, 0));
+
+  return {
+    check_in: checkIn,
+    check_out: checkOut,
+    nights,
+    total_nights: nights.length,
+    total,
+    average_per_night: roundPrice(total / nights.length),
+  };
+}
+
+/**
+ * Quote a stay for a room
+ * @param {string} roomId - Room ID
+ * @param {string} checkIn - Check-in date (first night)
+ * @param {string} checkOut - Check-out date (day after last night)
+ * @returns {Promise<Object>} Nightly breakdown and total
+ */
+export async function quoteStay(roomId, checkIn, checkOut) {
+  const lastNight = addDays(checkOut, -1);
+
+  // 1. Load all pricing tiers for the stay
+  const [basePrice, seasonPrices, overridePrices] = await Promise.all([
+    roomPricingRepository.getBasePrice(roomId),
+    roomPricingRepository.getSeasonPricesInRange(roomId, checkIn, lastNight),
+    roomPricingRepository.getOverridePricesInRange(roomId, checkIn, lastNight),
+  ]);
+
+  if (!basePrice) {
+    const error = new Error("Room has no base price");
+    error.code = "PRICE_NOT_FOUND";
+    error.statusCode = 422;
+    throw error;
+  }
+
+  // 2. Resolve and summarize
+  return buildQuote(checkIn, checkOut, { basePrice, seasonPrices, overridePrices });
+}
+
+/**
+ * Get a price quote for a room
+ * @param {Object} params - Quote parameters
+ * @param {string} params.roomId - Room ID
+ * @param {string} params.checkIn - Check-in date (YYYY-MM-DD)
+ * @param {string} params.checkOut - Check-out date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Room info and quote
+ */
+export async function getRoomQuote(params) {
+  try {
+    const { roomId, checkIn, checkOut } = params;
+
+    // 1. Validate room exists and is active
+    const room = await roomAvailabilityRepository.getRoomInventory(roomId);
+
+    if (!room) {
+      const error = new Error("Room not found");
+      error.code = "ROOM_NOT_FOUND";
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // 2. Quote stay
+    const quote = await quoteStay(roomId, checkIn, checkOut);
+
+    return {
+      room: {
+        id: room.id,
+        name_th: room.name_th,
+        name_en: room.name_en,
+        hotel_id: room.hotel_id,
+      },
+      ...quote,
+    };
+  } catch (error) {
+    console.error("RoomQuoteService error:", {
+      message: error.message,
+      code: error.code,
+      roomId: params.roomId,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object
+export const roomQuoteService = {
+  getQuote: getRoomQuote,
+  quoteStay,
+  buildQuote,
+  resolveNightlyPrices,
+};
@@ -0,0 +1,275 @@
+// services/room/room-update.service.js
+
+import { roomUpdateRepository } from "../../repositories/room/room-update.repository.js";
+import { roomCreateRepository } from "../../repositories/room/room-create.repository.js";
+import { roomPricingRepository } from "../../repositories/room/room-pricing.repository.js";
+import { roomAvailabilityRepository } from "../../repositories/room/room-availability.repository.js";
+import { roomCreateService } from "./room-create.service.js";
+import { buildAvailabilityCalendar } from "./room-availability.service.js";
+import { translationService } from "../translation/translation.service.js";
+import { WEEKDAY_KEYS, formatDateOnly } from "../../utils/date.util.js";
+
+const SEASON_TABLE = "room_season_base_prices";
+const OVERRIDE_TABLE = "room_override_prices";
+
+/**
+ * Room columns that can be changed through update
+ */
+const ROOM_FIELDS = [
+  "name_th",
+  "name_en",
+  "room_size",
+  "description_th",
+  "description_en",
+  "max_adult",
+  "max_children",
+  "total_room",
+  "is_active",
+];
+
+const WEEKLY_PRICE_FIELDS = WEEKDAY_KEYS.map((day) => `price_${day}`);
+const SEASON_FIELDS = ["name", "start_date", "end_date", ...WEEKLY_PRICE_FIELDS];
+const OVERRIDE_FIELDS = ["name", "price", "start_date", "end_date", "is_promotion", "note", "is_active"];
+
+/**
+ * Pick provided fields from an object
+ * @param {Object} source - Input data
+ * @param {string[]} fields - Allowed fields
+ * @returns {Object} Provided fields only
+ */
+function pickFields(source = {}, fields) {
+  const picked = {};
+
+  fields.forEach((field) => {
+    if (source[field] !== undefined) {
+      picked[field] = typeof source[field] === "string" ? source[field].trim() : source[field];
+    }
+  });
+
+  return picked;
+}
+
+/**
+ * Build error with code and status
+ */
+function createError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Merge price row updates with stored rows and check they belong to the room
+ * @param {Array} updates - [{ id, ...fields }]
+ * @param {Array} storedRows - Rows of the room
+ * @param {string[]} fields - Allowed fields
+ * @param {string} label - Label for errors
+ * @returns {Array<Object>} [{ id, changes, merged }]
+ */
+function mergePriceUpdates(updates = [], storedRows, fields, label) {
+  return updates.map((update) => {
+    const stored = storedRows.find((row) => row.id === update.id);
+
+    if (!stored) {
+      throw createError(`${label} ${update.id} not found for this room`, `${label.toUpperCase().replace(/ /g, "_")}_NOT_FOUND`, 404);
+    }
+
+    const changes = pickFields(update, fields);
+    const merged = { ...stored, ...changes };
+
+    if (new Date(merged.end_date) < new Date(merged.start_date)) {
+      throw createError(`${label} "${merged.name}": end date must be after start date`, "INVALID_DATE_RANGE", 400);
+    }
+
+    return { id: update.id, changes, merged };
+  });
+}
+
+/**
+ * Check every ID to delete belongs to the room
+ */
+function assertOwnedIds(ids = [], storedRows, label) {
+  ids.forEach((id) => {
+    if (!storedRows.some((row) => row.id === id)) {
+      throw createError(`${label} ${id} not found for this room`, `${label.toUpperCase().replace(/ /g, "_")}_NOT_FOUND`, 404);
+    }
+  });
+}
+
+/**
+ * Check a lower total_room still covers every upcoming night already booked or held
+ * @param {string} roomId - Room ID
+ * @param {number} totalRoom - New total_room
+ */
+async function assertTotalRoomCoversBookings(roomId, totalRoom) {
+  const today = formatDateOnly(new Date());
+  const bookings = await roomAvailabilityRepository.getUpcomingOccupyingBookings(roomId, today);
+
+  // Occupancy only rises on a check-in night, so those are the nights to check
+  const nights = [...new Set(bookings.map((booking) => (booking.check_in > today ? booking.check_in : today)))];
+  const overbooked = buildAvailabilityCalendar(totalRoom, bookings, nights).find((night) => night.booked + night.held > totalRoom);
+
+  if (overbooked) {
+    throw createError(
+      `total_room cannot be lower than ${overbooked.booked + overbooked.held} rooms booked on ${overbooked.date}`,
+      "TOTAL_ROOM_BELOW_BOOKINGS",
+      409
+    );
+  }
+}
+
+/**
+ * Update room fields, option mappings and price tiers
+ * @param {string} roomId - Room ID
+ * @param {Object} requestData - Update data from controller
+ * @returns {Promise<Object>} Updated room with pricing
+ */
+export async function updateRoom(roomId, requestData) {
+  try {
+    const { room_data, room_option_ids, base_price, season_base_prices = {}, override_prices = {} } = requestData;
+
+    // 1. Check room exists
+    const currentRoom = await roomUpdateRepository.getById(roomId);
+
+    if (!currentRoom) {
+      throw createError("Room not found", "ROOM_NOT_FOUND", 404);
+    }
+
+    const roomFields = pickFields(room_data, ROOM_FIELDS);
+    const basePriceFields = pickFields(base_price, WEEKLY_PRICE_FIELDS);
+
+    // 2. Check new name is not used by another room of the same hotel
+    if (roomFields.name_th || roomFields.name_en) {
+      const nameExists = await roomCreateRepository.roomNameExists(
+        roomFields.name_th || currentRoom.name_th,
+        roomFields.name_en || currentRoom.name_en,
+        currentRoom.hotel_id,
+        roomId
+      );
+
+      if (nameExists) {
+        throw createError("Room name already exists in this hotel", "ROOM_EXISTS", 409);
+      }
+    }
+
+    // 3. Validate room option IDs if provided
+    if (room_option_ids?.length > 0) {
+      const validOptions = await roomCreateRepository.validateRoomOptionIds(room_option_ids);
+      if (!validOptions) {
+        throw createError("One or more room option IDs are invalid", "INVALID_OPTION_ID", 400);
+      }
+    }
+
+    // 4. Resolve season / override changes against stored rows
+    const [storedSeasons, storedOverrides] = await Promise.all([
+      roomUpdateRepository.getSeasonPrices(roomId),
+      roomUpdateRepository.getOverridePrices(roomId),
+    ]);
+
+    const seasonUpdates = mergePriceUpdates(season_base_prices.update, storedSeasons, SEASON_FIELDS, "Season price");
+    const overrideUpdates = mergePriceUpdates(override_prices.update, storedOverrides, OVERRIDE_FIELDS, "Override price");
+    assertOwnedIds(season_base_prices.delete, storedSeasons, "Season price");
+    assertOwnedIds(override_prices.delete, storedOverrides, "Override price");
+
+    // 5. A room without a base price needs all 7 days to create one
+    const hasBasePriceChanges = Object.keys(basePriceFields).length > 0;
+    const currentBasePrice = hasBasePriceChanges ? await roomPricingRepository.getBasePrice(roomId) : null;
+
+    if (hasBasePriceChanges && !currentBasePrice && Object.keys(basePriceFields).length < WEEKLY_PRICE_FIELDS.length) {
+      throw createError("Room has no base price; all 7 days are required", "MISSING_BASE_PRICE", 400);
+    }
+
+    // 6. Fewer rooms must still cover the rooms already booked / held
+    if (roomFields.total_room !== undefined && roomFields.total_room < currentRoom.total_room) {
+      await assertTotalRoomCoversBookings(roomId, roomFields.total_room);
+    }
+
+    // 7. Reject overlaps with what stays stored
+    await roomCreateService.checkDateOverlaps(
+      roomId,
+      [...(season_base_prices.create || []), ...seasonUpdates.map((u) => u.merged)],
+      [...(override_prices.create || []), ...overrideUpdates.map((u) => u.merged)],
+      {
+        seasons: [...seasonUpdates.map((u) => u.id), ...(season_base_prices.delete || [])],
+        overrides: [...overrideUpdates.map((u) => u.id), ...(override_prices.delete || [])],
+      }
+    );
+
+    // 8. Apply room changes
+    const updatedRoom = Object.keys(roomFields).length > 0 ? await roomUpdateRepository.update(roomId, roomFields) : currentRoom;
+
+    if (room_option_ids) {
+      await roomUpdateRepository.syncRoomOptions(roomId, room_option_ids);
+    }
+
+    await translationService.save("room", roomId, roomFields, room_data?.translations);
+
+    // 9. Apply base price
+    if (hasBasePriceChanges) {
+      if (currentBasePrice) {
+        await roomUpdateRepository.updateBasePrice(roomId, basePriceFields);
+      } else {
+        await roomCreateRepository.createBasePrice(roomId, basePriceFields);
+      }
+    }
+
+    // 10. Apply season prices (delete, update, create)
+    await roomUpdateRepository.deletePriceRows(SEASON_TABLE, roomId, season_base_prices.delete);
+    for (const update of seasonUpdates) {
+      await roomUpdateRepository.updatePriceRow(SEASON_TABLE, roomId, update.id, update.changes);
+    }
+    await roomCreateRepository.createSeasonBasePrices(roomId, season_base_prices.create);
+
+    // 11. Apply override prices (delete, update, create)
+    await roomUpdateRepository.deletePriceRows(OVERRIDE_TABLE, roomId, override_prices.delete);
+    for (const update of overrideUpdates) {
+      await roomUpdateRepository.updatePriceRow(OVERRIDE_TABLE, roomId, update.id, update.changes);
+    }
+    await roomCreateRepository.createOverridePrices(roomId, override_prices.create);
+
+    // 12. Load current pricing for response
+    const [basePrice, seasons, overrides] = await Promise.all([
+      roomPricingRepository.getBasePrice(roomId),
+      roomUpdateRepository.getSeasonPrices(roomId),
+      roomUpdateRepository.getOverridePrices(roomId),
+    ]);
+
+    console.log("Room updated successfully:", {
+      id: roomId,
+      fields: Object.keys(roomFields),
+      options_updated: !!room_option_ids,
+      base_price_updated: hasBasePriceChanges,
+      seasons: {
+        created: season_base_prices.create?.length || 0,
+        updated: seasonUpdates.length,
+        deleted: season_base_prices.delete?.length || 0,
+      },
+      overrides: {
+        created: override_prices.create?.length || 0,
+        updated: overrideUpdates.length,
+        deleted: override_prices.delete?.length || 0,
+      },
+    });
+
+    return {
+      room: updatedRoom,
+      base_price: basePrice,
+      season_base_prices: seasons,
+      override_prices: overrides,
+    };
+  } catch (error) {
+    console.error("RoomUpdateService error:", {
+      code: error.code,
+      message: error.message,
+      roomId,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const roomUpdateService = {
+  update: updateRoom,
+};
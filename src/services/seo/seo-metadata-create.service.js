@@ -2,6 +2,42 @@
 
 import { seoMetadataCreateRepository } from "../../repositories/seo/seo-metadata-create.repository.js";
 
+/**
+ * Clean SEO data before insert
+ * @param {Object} seoData - SEO data from request
+ * @returns {Object} Cleaned SEO data
+ */
+export function cleanSeoData(seoData) {
+  return {
+    page_type: seoData.page_type,
+    page_id: seoData.page_id || null,
+    slug: seoData.slug.toLowerCase().trim(),
+    lang: seoData.lang,
+    title: seoData.title.trim(),
+    description: seoData.description.trim(),
+    og_image: seoData.og_image?.trim() || null,
+  };
+}
+
+/**
+ * Ensure page_type + slug + lang is not taken
+ * @param {Object} cleanedData - Cleaned SEO data
+ */
+export async function assertSlugAvailable(cleanedData) {
+  const combinationExists = await seoMetadataCreateRepository.seoMetadataExistsBySlug(
+    cleanedData.page_type,
+    cleanedData.slug,
+    cleanedData.lang
+  );
+
+  if (combinationExists) {
+    const error = new Error(`This slug '${cleanedData.slug}' already exists for ${cleanedData.page_type} in ${cleanedData.lang}`);
+    error.code = "SLUG_EXISTS";
+    error.statusCode = 409;
+    throw error;
+  }
+}
+
 /**
  * Create new SEO metadata
  * @param {Object} seoData - SEO data from controller
@@ -10,29 +46,10 @@ import { seoMetadataCreateRepository } from "../../repositories/seo/seo-metadata
 export async function createSeoMetadata(seoData) {
   try {
     // 1. Clean and prepare data
-    const cleanedData = {
-      page_type: seoData.page_type,
-      page_id: seoData.page_id || null,
-      slug: seoData.slug.toLowerCase().trim(),
-      lang: seoData.lang,
-      title: seoData.title.trim(),
-      description: seoData.description.trim(),
-      og_image: seoData.og_image?.trim() || null,
-    };
+    const cleanedData = cleanSeoData(seoData);
 
     // 2. Check if combination of page_type + slug + lang already exists
-    const combinationExists = await seoMetadataCreateRepository.seoMetadataExistsBySlug(
-      cleanedData.page_type,
-      cleanedData.slug,
-      cleanedData.lang
-    );
-
-    if (combinationExists) {
-      const error = new Error(`This slug '${cleanedData.slug}' already exists for ${cleanedData.page_type} in ${cleanedData.lang}`);
-      error.code = "SLUG_EXISTS";
-      error.statusCode = 409;
-      throw error;
-    }
+    await assertSlugAvailable(cleanedData);
 
     // 3. Create SEO metadata in database
     const newSeoMetadata = await seoMetadataCreateRepository.create(cleanedData);
@@ -60,4 +77,6 @@ export async function createSeoMetadata(seoData) {
 // Export as object for consistency
 export const seoMetadataCreateService = {
   create: createSeoMetadata,
+  cleanSeoData,
+  assertSlugAvailable,
 };
@@ -0,0 +1,154 @@
+// services/seo/seo-metadata-update.service.js
+
+import { seoMetadataUpdateRepository } from "../../repositories/seo/seo-metadata-update.repository.js";
+import { contentDeleteRepository } from "../../repositories/content/content-delete.repository.js";
+import { assertSlugAvailable } from "./seo-metadata-create.service.js";
+
+/**
+ * Fields that can be changed after creation (page_type, page_id and lang are fixed)
+ */
+const UPDATABLE_FIELDS = ["slug", "title", "description", "og_image"];
+
+/**
+ * Build SEO metadata not found error
+ * @returns {Error} SEO_METADATA_NOT_FOUND error
+ */
+function createNotFoundError() {
+  const error = new Error("SEO metadata not found");
+  error.code = "SEO_METADATA_NOT_FOUND";
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Get visible SEO metadata or throw 404
+ * @param {string} id - SEO metadata ID
+ * @returns {Promise<Object>} SEO metadata
+ */
+async function getExisting(id) {
+  const seoMetadata = await seoMetadataUpdateRepository.getById(id);
+
+  if (!seoMetadata) {
+    throw createNotFoundError();
+  }
+
+  return seoMetadata;
+}
+
+/**
+ * Update SEO metadata
+ * The previous slug keeps working as a redirect to the new one
+ * @param {string} id - SEO metadata ID
+ * @param {Object} seoData - Partial SEO data from controller
+ * @returns {Promise<Object>} Updated SEO metadata and previous slug
+ */
+export async function updateSeoMetadata(id, seoData) {
+  try {
+    // 1. Check row exists
+    const current = await getExisting(id);
+
+    // 2. Clean provided fields
+    const fields = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (seoData[field] !== undefined) {
+        fields[field] = field === "og_image" ? seoData[field]?.trim() || null : seoData[field].trim();
+      }
+    });
+
+    if (fields.slug) {
+      fields.slug = fields.slug.toLowerCase();
+    }
+
+    // 3. New slug must be free for this page type and language
+    const slugChanged = fields.slug !== undefined && fields.slug !== current.slug;
+
+    if (slugChanged) {
+      await assertSlugAvailable({ page_type: current.page_type, slug: fields.slug, lang: current.lang });
+    }
+
+    // 4. Update and record old slug in one transaction
+    const updated = await seoMetadataUpdateRepository.update(id, fields);
+
+    if (!updated) {
+      throw createNotFoundError();
+    }
+
+    // 5. Log success
+    console.log("SEO metadata updated successfully:", {
+      id,
+      page_type: current.page_type,
+      lang: current.lang,
+      fields: Object.keys(fields),
+      ...(slugChanged && { old_slug: current.slug, slug: fields.slug }),
+    });
+
+    return {
+      seo_metadata: updated,
+      previous_slug: slugChanged ? current.slug : null,
+    };
+  } catch (error) {
+    console.error("SeoMetadataUpdateService error:", {
+      code: error.code,
+      message: error.message,
+      id,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Soft delete SEO metadata
+ * Old slugs pointing at it stop redirecting
+ * @param {string} id - SEO metadata ID
+ * @param {Object} options - Deletion options
+ * @param {string} options.userId - User performing the deletion
+ * @returns {Promise<Object>} { id, deleted_at }
+ */
+export async function deleteSeoMetadata(id, { userId }) {
+  try {
+    // 1. Check row exists
+    const current = await getExisting(id);
+
+    // 2. Soft delete
+    const deletedAt = new Date().toISOString();
+    const count = await contentDeleteRepository.markDeleted("seo_metadata", { id: [id] }, deletedAt, userId);
+
+    // 3. Audit
+    await contentDeleteRepository.createAuditLog({
+      entity_type: "seo_metadata",
+      entity_id: id,
+      action: "delete",
+      user_id: userId,
+      reason: null,
+      affected: { seo_metadata: count },
+    });
+
+    console.log("SEO metadata deleted:", {
+      id,
+      page_type: current.page_type,
+      slug: current.slug,
+      lang: current.lang,
+      userId,
+    });
+
+    return {
+      id,
+      deleted_at: deletedAt,
+    };
+  } catch (error) {
+    console.error("SeoMetadataUpdateService error:", {
+      code: error.code,
+      message: error.message,
+      id,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const seoMetadataUpdateService = {
+  update: updateSeoMetadata,
+  delete: deleteSeoMetadata,
+};
@@ -1,25 +1,56 @@
 // services/seo/seo-metadata-get.service.js
 
 import { seoMetadataGetRepository } from "../../repositories/seo/seo-metadata.repository.js";
+import { getActiveLanguages } from "../../config/languages.js";
+import { STRUCTURED_DATA_PAGE_TYPES } from "../../constants/structured-data.constant.js";
+import { seoStructuredDataService } from "./seo-structured-data.service.js";
+
+/**
+ * Group SEO rows by language (null for missing languages)
+ * @param {Array} rows - SEO metadata rows
+ * @returns {Object} SEO keyed by language
+ */
+export function groupSeoByLanguage(rows) {
+  const result = {};
+
+  getActiveLanguages().forEach((lang) => {
+    result[lang] = null;
+  });
+
+  rows.forEach((row) => {
+    result[row.lang] = {
+      slug: row.slug,
+      lang: row.lang,
+      title: row.title,
+      description: row.description,
+      og_image: row.og_image,
+    };
+  });
+
+  return result;
+}
 
 /**
  * Get SEO metadata for a slug
  * @param {string} slug - Normalized slug from validator
+ * @param {Object} options - Options
+ * @param {boolean} options.structuredData - Add schema.org JSON-LD (json_ld) to hotel / room pages
  * @returns {Promise<Object>} SEO data grouped by language
  */
-export async function getSeoMetadata(slug) {
+export async function getSeoMetadata(slug, { structuredData = false } = {}) {
   try {
     // Get data from repository
     const metadata = await seoMetadataGetRepository.getBySlug(slug);
 
     // Group by language
-    const result = {
-      th: null,
-      en: null,
-    };
+    const result = {};
+
+    getActiveLanguages().forEach((lang) => {
+      result[lang] = null;
+    });
 
     metadata.forEach((row) => {
-      if (row.lang === "th" || row.lang === "en") {
+      if (getActiveLanguages().includes(row.lang)) {
         result[row.lang] = {
           page_type: row.page_type,
           page_id: row.page_id,
@@ -32,6 +63,29 @@ export async function getSeoMetadata(slug) {
       }
     });
 
+    // Structured data: built once per page, then attached to each language
+    if (structuredData) {
+      const entriesByPage = {};
+
+      Object.values(result)
+        .filter((entry) => entry && STRUCTURED_DATA_PAGE_TYPES.includes(entry.page_type) && entry.page_id)
+        .forEach((entry) => {
+          const key = `${entry.page_type}:${entry.page_id}`;
+          if (!entriesByPage[key]) entriesByPage[key] = [];
+          entriesByPage[key].push(entry);
+        });
+
+      await Promise.all(
+        Object.values(entriesByPage).map(async (entries) => {
+          const jsonLd = await seoStructuredDataService.get(entries[0].page_type, entries[0].page_id, entries);
+
+          entries.forEach((entry) => {
+            entry.json_ld = jsonLd[entry.lang] || null;
+          });
+        })
+      );
+    }
+
     return result;
   } catch (error) {
     console.error("SeoMetadataGetService error:", {
@@ -42,7 +96,36 @@ export async function getSeoMetadata(slug) {
   }
 }
 
+/**
+ * Resolve an old slug to the page's current slug
+ * @param {string} slug - Normalized slug from validator
+ * @returns {Promise<Object|null>} 301-style redirect payload or null when the slug was never renamed
+ */
+export async function getSeoRedirect(slug) {
+  try {
+    const target = await seoMetadataGetRepository.getRedirectBySlug(slug);
+
+    if (!target) return null;
+
+    return {
+      status_code: 301,
+      from: slug,
+      to: target.slug,
+      lang: target.lang,
+      page_type: target.page_type,
+      page_id: target.page_id,
+    };
+  } catch (error) {
+    console.error("SeoMetadataGetService error:", {
+      slug,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 // Export as object for consistency
 export const seoMetadataGetService = {
   get: getSeoMetadata,
+  getRedirect: getSeoRedirect,
 };
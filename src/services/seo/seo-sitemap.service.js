@@ -0,0 +1,212 @@
+// services/seo/seo-sitemap.service.js
+
+import { seoSitemapRepository } from "../../repositories/seo/seo-sitemap.repository.js";
+import { DEFAULT_LANGUAGE } from "../../constants/languages.constant.js";
+import { getActiveLanguages } from "../../config/languages.js";
+import { CONTENT_TYPES, getTableName } from "../../constants/content-types.js";
+import { SITEMAP_PAGE_TYPES, DEFAULT_SITEMAP_MAX_URLS, SITEMAP_PATH_SEGMENTS } from "../../constants/sitemap.constant.js";
+
+/**
+ * Characters that must be escaped in XML text and attributes
+ */
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+/**
+ * Escape text for XML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+}
+
+/**
+ * Public site URL the sitemap points to
+ * @returns {string} Base URL without trailing slash
+ */
+function getSiteUrl() {
+  return (process.env.SITE_URL || process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "");
+}
+
+/**
+ * Build page URL: /<lang>/<segment>/<slug> (see SITEMAP_PATH_SEGMENTS)
+ * @param {Object} row - SEO row with page_type, lang and slug
+ * @returns {string} Absolute URL
+ */
+export function buildPageUrl(row) {
+  const segment = SITEMAP_PATH_SEGMENTS[row.page_type];
+  const path = [row.lang, segment, encodeURIComponent(row.slug)].filter(Boolean).join("/");
+  return `${getSiteUrl()}/${path}`;
+}
+
+/**
+ * Build one <url> entry per SEO row with hreflang alternates of the same page
+ * @returns {Promise<Array>} Entries { loc, lastmod, alternates }
+ */
+async function buildEntries() {
+  // 1. Visible SEO rows, minus switched off hotels / rooms
+  const [rows, inactiveHotelIds, inactiveRoomIds] = await Promise.all([
+    seoSitemapRepository.getSitemapRows(SITEMAP_PAGE_TYPES, getActiveLanguages()),
+    seoSitemapRepository.getInactiveIds(getTableName(CONTENT_TYPES.HOTEL)),
+    seoSitemapRepository.getInactiveIds(getTableName(CONTENT_TYPES.ROOM)),
+  ]);
+
+  const inactive = {
+    [CONTENT_TYPES.HOTEL]: new Set(inactiveHotelIds),
+    [CONTENT_TYPES.ROOM]: new Set(inactiveRoomIds),
+  };
+
+  const visibleRows = rows.filter((row) => !inactive[row.page_type]?.has(row.page_id));
+
+  // 2. Pair languages of the same page (rows without page_id stand alone)
+  const rowsByPage = {};
+  visibleRows.forEach((row) => {
+    const key = `${row.page_type}:${row.page_id || row.id}`;
+    if (!rowsByPage[key]) rowsByPage[key] = [];
+    rowsByPage[key].push(row);
+  });
+
+  // 3. Stable order: page type, then slug
+  visibleRows.sort(
+    (a, b) =>
+      SITEMAP_PAGE_TYPES.indexOf(a.page_type) - SITEMAP_PAGE_TYPES.indexOf(b.page_type) ||
+      a.slug.localeCompare(b.slug) ||
+      a.lang.localeCompare(b.lang)
+  );
+
+  return visibleRows.map((row) => {
+    const pageRows = rowsByPage[`${row.page_type}:${row.page_id || row.id}`];
+    const alternates = pageRows.length > 1 ? pageRows.map((pageRow) => ({ hreflang: pageRow.lang, href: buildPageUrl(pageRow) })) : [];
+
+    // x-default points to the default language version when there is one
+    const defaultRow = pageRows.find((pageRow) => pageRow.lang === DEFAULT_LANGUAGE);
+    if (alternates.length > 0 && defaultRow) {
+      alternates.push({ hreflang: "x-default", href: buildPageUrl(defaultRow) });
+    }
+
+    return {
+      loc: buildPageUrl(row),
+      lastmod: row.update_at ? new Date(row.update_at).toISOString() : null,
+      alternates,
+    };
+  });
+}
+
+/**
+ * Render a <urlset> document
+ * @param {Array} entries - Sitemap entries
+ * @returns {string} XML
+ */
+function renderUrlset(entries) {
+  const urls = entries.map((entry) => {
+    const lines = [`    <loc>${escapeXml(entry.loc)}</loc>`];
+
+    entry.alternates.forEach((alternate) => {
+      lines.push(`    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.href)}"/>`);
+    });
+
+    if (entry.lastmod) {
+      lines.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+    }
+
+    return `  <url>\n${lines.join("\n")}\n  </url>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render a <sitemapindex> document
+ * @param {Array<Array>} chunks - Entries split per sitemap file
+ * @returns {string} XML
+ */
+function renderIndex(chunks) {
+  const sitemaps = chunks.map((chunk, index) => {
+    const lastmod = chunk.reduce((latest, entry) => (entry.lastmod && entry.lastmod > latest ? entry.lastmod : latest), "");
+    const lines = [`    <loc>${escapeXml(`${getSiteUrl()}/sitemap-${index + 1}.xml`)}</loc>`];
+
+    if (lastmod) {
+      lines.push(`    <lastmod>${lastmod}</lastmod>`);
+    }
+
+    return `  <sitemap>\n${lines.join("\n")}\n  </sitemap>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps,
+    "</sitemapindex>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Build sitemap not found error
+ * @returns {Error} SITEMAP_NOT_FOUND error
+ */
+function createNotFoundError() {
+  const error = new Error("Sitemap not found");
+  error.code = "SITEMAP_NOT_FOUND";
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Get sitemap XML
+ * Up to the URL limit /sitemap.xml is a plain urlset; above it, /sitemap.xml is
+ * a sitemap index and /sitemap-<n>.xml holds the n-th chunk
+ * @param {number|null} page - Chunk number (null for /sitemap.xml)
+ * @returns {Promise<string>} XML document
+ */
+export async function getSitemap(page = null) {
+  try {
+    const maxUrls = parseInt(process.env.SITEMAP_MAX_URLS, 10) || DEFAULT_SITEMAP_MAX_URLS;
+    const entries = await buildEntries();
+
+    // 1. Split into chunks
+    const chunks = [];
+    for (let i = 0; i < entries.length; i += maxUrls) {
+      chunks.push(entries.slice(i, i + maxUrls));
+    }
+
+    // 2. Small set: single sitemap, no chunk files
+    if (chunks.length <= 1) {
+      if (page !== null) {
+        throw createNotFoundError();
+      }
+      return renderUrlset(entries);
+    }
+
+    // 3. Large set: index, or the requested chunk
+    if (page === null) {
+      return renderIndex(chunks);
+    }
+
+    if (page < 1 || page > chunks.length) {
+      throw createNotFoundError();
+    }
+
+    return renderUrlset(chunks[page - 1]);
+  } catch (error) {
+    console.error("SeoSitemapService error:", {
+      code: error.code,
+      message: error.message,
+      page,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const seoSitemapService = {
+  getSitemap,
+  buildPageUrl,
+};
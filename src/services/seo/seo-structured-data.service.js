@@ -0,0 +1,254 @@
+// services/seo/seo-structured-data.service.js
+
+import { hotelDetailRepository } from "../../repositories/hotel/hotel-detail.repository.js";
+import { roomDetailRepository } from "../../repositories/room/room-detail.repository.js";
+import { roomPricingRepository } from "../../repositories/room/room-pricing.repository.js";
+import { imageCollectionRepository } from "../../repositories/image/image-collection.repository.js";
+import { seoMetadataGetRepository } from "../../repositories/seo/seo-metadata.repository.js";
+import { translationRepository } from "../../repositories/translation/translation.repository.js";
+import { resolveNightlyPrices } from "../room/room-quote.service.js";
+import { buildPageUrl } from "./seo-sitemap.service.js";
+import { getActiveLanguages } from "../../config/languages.js";
+import { CONTENT_TYPES } from "../../constants/content-types.js";
+import { SCHEMA_ORG_CONTEXT, DEFAULT_PRICE_CURRENCY } from "../../constants/structured-data.constant.js";
+import { localizeFields } from "../../utils/language.util.js";
+import { formatDateOnly } from "../../utils/date.util.js";
+
+/**
+ * Drop empty values (null, undefined, "", [], {}) so the JSON-LD only has known properties
+ * @param {*} value - JSON-LD value
+ * @returns {*} Compacted value
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.map(compact).filter((item) => !isEmpty(item));
+  }
+
+  if (value && typeof value === "object") {
+    const result = {};
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      const compacted = compact(fieldValue);
+      if (!isEmpty(compacted)) result[key] = compacted;
+    });
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Check if a compacted value is empty
+ * @param {*} value - Value
+ * @returns {boolean} True when empty
+ */
+function isEmpty(value) {
+  if (value === null || value === undefined || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "object") return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Image URLs for JSON-LD (unique, cover first)
+ * @param {Array<string>} urls - Image URLs
+ * @returns {Array<string>} Unique URLs
+ */
+function uniqueImages(urls) {
+  return [...new Set(urls.filter(Boolean))];
+}
+
+/**
+ * Hotel / room options as schema.org amenity features
+ * @param {Array} options - Localized options
+ * @returns {Array<Object>} LocationFeatureSpecification list
+ */
+function buildAmenityFeatures(options) {
+  return options.map((option) => ({
+    "@type": "LocationFeatureSpecification",
+    name: option.name,
+    value: true,
+  }));
+}
+
+/**
+ * Build schema.org Hotel (a LodgingBusiness) JSON-LD for each language
+ * @param {string} hotelId - Hotel ID
+ * @param {Array<Object>} pages - SEO rows of the hotel ({ page_type, slug, lang })
+ * @returns {Promise<Object>} JSON-LD keyed by language (empty when hotel is not visible)
+ */
+async function buildHotelStructuredData(hotelId, pages) {
+  // 1. Load hotel data
+  const [hotel, cities, options, images] = await Promise.all([
+    hotelDetailRepository.getHotelById(hotelId),
+    hotelDetailRepository.getHotelCities(hotelId),
+    hotelDetailRepository.getHotelOptions(hotelId),
+    imageCollectionRepository.getGalleryImages(CONTENT_TYPES.HOTEL, hotelId),
+  ]);
+
+  if (!hotel) return {};
+
+  const [[translatedHotel], translatedCities, translatedOptions] = await Promise.all([
+    translationRepository.attachTranslations("hotel", [hotel]),
+    translationRepository.attachTranslations("city", cities),
+    translationRepository.attachTranslations("hotel_option", options),
+  ]);
+
+  // 2. One document per language
+  const result = {};
+
+  pages.forEach((page) => {
+    const localizedHotel = localizeFields(translatedHotel, page.lang);
+    const city = localizeFields(translatedCities[0], page.lang);
+    const url = buildPageUrl(page);
+
+    result[page.lang] = compact({
+      "@context": SCHEMA_ORG_CONTEXT,
+      "@type": "Hotel",
+      "@id": `${url}#hotel`,
+      name: localizedHotel.name,
+      description: localizedHotel.excerpt || localizedHotel.description,
+      url,
+      image: uniqueImages([hotel.image, ...images.map((image) => image.url)]),
+      checkinTime: hotel.checkin_time,
+      checkoutTime: hotel.checkout_time,
+      address: {
+        "@type": "PostalAddress",
+        streetAddress: localizedHotel.location_txt,
+        addressLocality: city?.name,
+      },
+      hasMap: hotel.google_map_link,
+      amenityFeature: buildAmenityFeatures(localizeFields(translatedOptions, page.lang)),
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Build schema.org HotelRoom JSON-LD (with tonight's Offer) for each language
+ * @param {string} roomId - Room ID
+ * @param {Array<Object>} pages - SEO rows of the room ({ page_type, slug, lang })
+ * @returns {Promise<Object>} JSON-LD keyed by language (empty when room is not visible)
+ */
+async function buildRoomStructuredData(roomId, pages) {
+  const today = formatDateOnly(new Date());
+
+  // 1. Load room data and the prices that apply today
+  const [room, options, images, basePrice, seasonPrices, overridePrices] = await Promise.all([
+    roomDetailRepository.getRoomById(roomId),
+    roomDetailRepository.getRoomOptions(roomId),
+    imageCollectionRepository.getGalleryImages(CONTENT_TYPES.ROOM, roomId),
+    roomPricingRepository.getBasePrice(roomId),
+    roomPricingRepository.getCurrentSeasonPrices(roomId, today),
+    roomPricingRepository.getCurrentOverridePrices(roomId, today),
+  ]);
+
+  if (!room) return {};
+
+  const { hotels: hotel, ...roomData } = room;
+
+  const [[translatedRoom], [translatedHotel], translatedOptions, hotelPages] = await Promise.all([
+    translationRepository.attachTranslations("room", [roomData]),
+    translationRepository.attachTranslations("hotel", [hotel]),
+    translationRepository.attachTranslations("room_option", options),
+    seoMetadataGetRepository.getByPage(CONTENT_TYPES.HOTEL, hotel.id, getActiveLanguages()),
+  ]);
+
+  const [tonight] = basePrice ? resolveNightlyPrices([today], { basePrice, seasonPrices, overridePrices }) : [];
+  const currency = process.env.PRICE_CURRENCY || DEFAULT_PRICE_CURRENCY;
+  const roomSize = Number(room.room_size);
+
+  // 2. One document per language
+  const result = {};
+
+  pages.forEach((page) => {
+    const localizedRoom = localizeFields(translatedRoom, page.lang);
+    const localizedHotel = localizeFields(translatedHotel, page.lang);
+    const localizedOptions = localizeFields(translatedOptions, page.lang);
+    const hotelPage = hotelPages.find((hotelPage) => hotelPage.lang === page.lang);
+    const url = buildPageUrl(page);
+
+    const hotelRoom = {
+      "@type": "HotelRoom",
+      "@id": `${url}#room`,
+      name: localizedRoom.name,
+      description: localizedRoom.description,
+      url,
+      image: uniqueImages(images.map((image) => image.url)),
+      occupancy: {
+        "@type": "QuantitativeValue",
+        minValue: 1,
+        maxValue: (room.max_adult || 0) + (room.max_children || 0) || null,
+      },
+      floorSize: Number.isFinite(roomSize) && roomSize > 0 ? { "@type": "QuantitativeValue", value: roomSize, unitCode: "MTK" } : null,
+      bed: localizedOptions.filter((option) => option.is_bed).map((option) => ({ "@type": "BedDetails", typeOfBed: option.name })),
+      amenityFeature: buildAmenityFeatures(localizedOptions.filter((option) => !option.is_bed)),
+      containedInPlace: {
+        "@type": "Hotel",
+        ...(hotelPage && { "@id": `${buildPageUrl(hotelPage)}#hotel`, url: buildPageUrl(hotelPage) }),
+        name: localizedHotel.name,
+      },
+    };
+
+    // Price per night for tonight (override -> season -> base)
+    const offer = tonight && {
+      "@type": "Offer",
+      itemOffered: { "@id": hotelRoom["@id"] },
+      url,
+      price: tonight.price,
+      priceCurrency: currency,
+      priceSpecification: {
+        "@type": "UnitPriceSpecification",
+        price: tonight.price,
+        priceCurrency: currency,
+        unitCode: "DAY",
+        unitText: "night",
+      },
+      validFrom: today,
+    };
+
+    result[page.lang] = compact({
+      "@context": SCHEMA_ORG_CONTEXT,
+      "@graph": [hotelRoom, offer],
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Build schema.org JSON-LD for a page, per language
+ * @param {string} pageType - Page type (hotel or room; others have none)
+ * @param {string} pageId - Page ID
+ * @param {Array<Object>} pages - SEO rows of the page ({ page_type, slug, lang })
+ * @returns {Promise<Object>} JSON-LD keyed by language
+ */
+export async function getStructuredData(pageType, pageId, pages) {
+  try {
+    if (!pageId) return {};
+
+    if (pageType === CONTENT_TYPES.HOTEL) {
+      return await buildHotelStructuredData(pageId, pages);
+    }
+
+    if (pageType === CONTENT_TYPES.ROOM) {
+      return await buildRoomStructuredData(pageId, pages);
+    }
+
+    return {};
+  } catch (error) {
+    console.error("SeoStructuredDataService error:", {
+      code: error.code,
+      message: error.message,
+      pageType,
+      pageId,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const seoStructuredDataService = {
+  get: getStructuredData,
+};
@@ -0,0 +1,94 @@
+// services/translation/translation.service.js
+
+import { translationRepository } from "../../repositories/translation/translation.repository.js";
+import { TRANSLATABLE_FIELDS } from "../../constants/languages.constant.js";
+import { getActiveLanguages } from "../../config/languages.js";
+
+/**
+ * Collect translation rows for an entity
+ * Sources: <field>_<lang> columns in data, then the translations object
+ * ({ zh: { name: "..." }, ja: { ... } }) which wins on conflict
+ * @param {string} entityType - Entity type (hotel, room, city, ...)
+ * @param {string} entityId - Entity ID
+ * @param {Object} data - Entity data with <field>_<lang> keys
+ * @param {Object} translations - Extra translations keyed by language
+ * @returns {Array} Translation rows
+ */
+export function buildTranslationRows(entityType, entityId, data = {}, translations = {}) {
+  const fields = TRANSLATABLE_FIELDS[entityType] || [];
+  const rows = {};
+
+  const addRow = (field, lang, value) => {
+    if (typeof value !== "string" || value.trim() === "") return;
+
+    rows[`${field}:${lang}`] = {
+      entity_type: entityType,
+      entity_id: entityId,
+      field,
+      lang,
+      value: value.trim(),
+    };
+  };
+
+  fields.forEach((field) => {
+    getActiveLanguages().forEach((lang) => addRow(field, lang, data[`${field}_${lang}`]));
+  });
+
+  Object.entries(translations || {}).forEach(([lang, values]) => {
+    if (!getActiveLanguages().includes(lang)) return;
+
+    fields.forEach((field) => addRow(field, lang, values?.[field]));
+  });
+
+  return Object.values(rows);
+}
+
+/**
+ * Save translations of an entity
+ * @param {string} entityType - Entity type (hotel, room, city, ...)
+ * @param {string} entityId - Entity ID
+ * @param {Object} data - Entity data with <field>_<lang> keys
+ * @param {Object} translations - Extra translations keyed by language
+ * @returns {Promise<Array>} Saved rows
+ */
+export async function saveTranslations(entityType, entityId, data, translations) {
+  try {
+    const rows = buildTranslationRows(entityType, entityId, data, translations);
+
+    if (rows.length === 0) return [];
+
+    return await translationRepository.upsertTranslations(rows);
+  } catch (error) {
+    console.error("TranslationService error:", {
+      code: error.code,
+      message: error.message,
+      entityType,
+      entityId,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Group saved rows as { lang: { field: value } }
+ * @param {Array} rows - Translation rows
+ * @returns {Object} Translations keyed by language
+ */
+export function groupTranslations(rows) {
+  const result = {};
+
+  rows.forEach((row) => {
+    if (!result[row.lang]) result[row.lang] = {};
+    result[row.lang][row.field] = row.value;
+  });
+
+  return result;
+}
+
+// Export as object
+export const translationService = {
+  save: saveTranslations,
+  buildTranslationRows,
+  groupTranslations,
+};
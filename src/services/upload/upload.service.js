@@ -0,0 +1,104 @@
+// services/upload/upload.service.js
+
+import { v4 as uuidv4 } from "uuid";
+import { getStorageDriver } from "../../config/storage.js";
+import { ALLOWED_IMAGE_TYPES } from "../../constants/upload.constant.js";
+import { USER_ROLES } from "../../constants/roles.constant.js";
+import { imageVariantService } from "../image/image-variant.service.js";
+import { buildResponsiveImage } from "../../utils/image.util.js";
+
+/**
+ * Detect image type from file signature (the client MIME type is not trusted)
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type or null if not a supported image
+ */
+export function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buffer.toString("ascii", 0, 4) === "GIF8") return "image/gif";
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  if (buffer.toString("ascii", 4, 8) === "ftyp" && ["avif", "avis"].includes(buffer.toString("ascii", 8, 12))) return "image/avif";
+
+  return null;
+}
+
+/**
+ * Upload an image to the configured storage driver
+ * @param {Object} params - file (multer), folder, user (req.user)
+ * @returns {Promise<Object>} url, path, mime_type, size, image (srcset-ready, original only until derivatives exist)
+ */
+export async function uploadImage({ file, folder, user }) {
+  try {
+    // 1. Only admins / hotel managers can upload content images
+    if (folder !== "user" && ![USER_ROLES.ADMIN, USER_ROLES.HOTEL_MANAGER].includes(user.role)) {
+      const error = new Error("You do not have permission to upload to this folder");
+      error.code = "FORBIDDEN";
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // 2. Check file content matches an allowed image type
+    const mimeType = detectImageType(file.buffer);
+
+    if (!mimeType || mimeType !== file.mimetype) {
+      const error = new Error("File content does not match its image type");
+      error.code = "INVALID_FILE_TYPE";
+      error.statusCode = 415;
+      throw error;
+    }
+
+    // 3. Build storage path: <folder>/<yyyy>/<mm>/<uuid>.<ext>
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+    const filePath = `${folder}/${now.getUTCFullYear()}/${month}/${uuidv4()}.${ALLOWED_IMAGE_TYPES[mimeType]}`;
+
+    // 4. Store file
+    const driver = getStorageDriver();
+    const stored = await driver.upload({
+      filePath,
+      buffer: file.buffer,
+      contentType: mimeType,
+    });
+
+    console.log("File uploaded:", {
+      driver: driver.name,
+      path: stored.path,
+      size: file.size,
+      userId: user.id,
+    });
+
+    // 5. Generate thumbnail / card / hero derivatives in the background (lists use the original until they exist)
+    // The original is already stored, so a failure here does not fail the upload (generate logs its own errors)
+    imageVariantService
+      .generate({
+        buffer: file.buffer,
+        basePath: filePath.replace(/\.[^.]+$/, ""),
+        sourceUrl: stored.url,
+      })
+      .catch(() => {});
+
+    return {
+      url: stored.url,
+      path: stored.path,
+      mime_type: mimeType,
+      size: file.size,
+      image: buildResponsiveImage(stored.url),
+    };
+  } catch (error) {
+    console.error("UploadService error:", {
+      code: error.code,
+      message: error.message,
+      folder,
+    });
+
+    throw error;
+  }
+}
+
+// Export as object for consistency
+export const uploadService = {
+  uploadImage,
+  detectImageType,
+};
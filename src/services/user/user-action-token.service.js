@@ -0,0 +1,63 @@
+// services/user/user-action-token.service.js
+
+import crypto from "crypto";
+import { userActionTokenRepository } from "../../repositories/user/user-action-token.repository.js";
+
+/**
+ * Hash token before storing / looking it up
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Single-use email token service (verification, password reset)
+ */
+class UserActionTokenService {
+  /**
+   * Issue a new token, invalidating earlier unused tokens of the same purpose
+   * @param {string} userId - User ID
+   * @param {string} purpose - Token purpose
+   * @param {number} expiresInMinutes - Token lifetime
+   * @returns {Promise<string>} Raw token (only sent by email, never stored)
+   */
+  async issue(userId, purpose, expiresInMinutes) {
+    await userActionTokenRepository.invalidateUserActionTokens(userId, purpose);
+
+    const token = crypto.randomBytes(32).toString("hex");
+
+    await userActionTokenRepository.createActionToken({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000).toISOString(),
+    });
+
+    return token;
+  }
+
+  /**
+   * Consume a token (single use)
+   * @param {string} token - Raw token
+   * @param {string} purpose - Token purpose
+   * @returns {Promise<string>} User ID the token belongs to
+   */
+  async consume(token, purpose) {
+    const stored = await userActionTokenRepository.findActionTokenByHash(hashToken(token), purpose);
+
+    const isValid = stored && !stored.used_at && new Date(stored.expires_at) > new Date();
+
+    // Mark used atomically so the same token cannot be redeemed twice
+    if (!isValid || !(await userActionTokenRepository.markActionTokenUsed(stored.id))) {
+      const error = new Error("Invalid or expired token");
+      error.code = "INVALID_TOKEN";
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return stored.user_id;
+  }
+}
+
+// Export singleton instance
+export const userActionTokenService = new UserActionTokenService();
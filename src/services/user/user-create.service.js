@@ -2,6 +2,7 @@
 
 import bcrypt from "bcryptjs";
 import { userCreateRepository } from "../../repositories/user/user-create.repository.js";
+import { userVerificationService } from "./user-verification.service.js";
 
 /**
  * Service for user creation business logic
@@ -48,7 +49,18 @@ class UserCreateService {
       // 5. Remove sensitive data before returning
       const { password, ...userResponse } = newUser;
 
-      // 6. Log success (optional)
+      // 6. Send verification email
+      // A mail failure should not fail registration - user can request a new link
+      try {
+        await userVerificationService.sendVerification(newUser);
+      } catch (mailError) {
+        console.error("Verification email failed:", {
+          userId: newUser.id,
+          message: mailError.message,
+        });
+      }
+
+      // 7. Log success (optional)
       console.log("User created successfully:", {
         id: newUser.id,
         email: newUser.email,
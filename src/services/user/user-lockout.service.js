@@ -0,0 +1,62 @@
+// services/user/user-lockout.service.js
+
+import { getRateLimitStore } from "../../config/rate-limit.js";
+import { LOGIN_LOCKOUT } from "../../constants/rate-limit.constant.js";
+
+const failureKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+/**
+ * Progressive login lockout (per email)
+ */
+class UserLockoutService {
+  /**
+   * Get active lockout for an email
+   * @param {string} email - Normalized email
+   * @returns {Promise<Date|null>} Locked until, or null if not locked
+   */
+  async getLockedUntil(email) {
+    const lock = await getRateLimitStore().get(lockKey(email));
+    return lock ? lock.resetTime : null;
+  }
+
+  /**
+   * Record a failed login and lock the email once the threshold is reached
+   * @param {string} email - Normalized email
+   * @returns {Promise<Date|null>} Locked until, or null if not locked
+   */
+  async recordFailure(email) {
+    const store = getRateLimitStore();
+    const { totalHits } = await store.increment(failureKey(email), LOGIN_LOCKOUT.FAILURE_WINDOW_MS);
+
+    if (totalHits < LOGIN_LOCKOUT.THRESHOLD) {
+      return null;
+    }
+
+    // Lock doubles with every failure past the threshold
+    const lockMs = Math.min(LOGIN_LOCKOUT.BASE_LOCK_MS * 2 ** (totalHits - LOGIN_LOCKOUT.THRESHOLD), LOGIN_LOCKOUT.MAX_LOCK_MS);
+
+    await store.reset(lockKey(email));
+    const lock = await store.increment(lockKey(email), lockMs);
+
+    console.warn("Login locked:", {
+      email,
+      failures: totalHits,
+      lockedUntil: lock.resetTime.toISOString(),
+    });
+
+    return lock.resetTime;
+  }
+
+  /**
+   * Clear failures after a successful login
+   * @param {string} email - Normalized email
+   */
+  async reset(email) {
+    const store = getRateLimitStore();
+    await Promise.all([store.reset(failureKey(email)), store.reset(lockKey(email))]);
+  }
+}
+
+// Export singleton instance
+export const userLockoutService = new UserLockoutService();
@@ -3,6 +3,22 @@
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import { userLoginRepository } from "../../repositories/user/user-login.repository.js";
+import { userTokenService } from "./user-token.service.js";
+import { userLockoutService } from "./user-lockout.service.js";
+import { USER_STATUS } from "../../constants/auth.constant.js";
+
+/**
+ * Build ACCOUNT_LOCKED error
+ * @param {Date} lockedUntil - Lockout end
+ * @returns {Error} Error with retryAfter (seconds)
+ */
+const createLockedError = (lockedUntil) => {
+  const error = new Error("Too many failed login attempts. Please try again later.");
+  error.code = "ACCOUNT_LOCKED";
+  error.statusCode = 423;
+  error.retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+  return error;
+};
 
 /**
  * User login service
@@ -12,57 +28,56 @@ class UserLoginService {
    * Login user with email and password
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Promise<Object>} User data and JWT token
+   * @param {Object} meta - Client info (user_agent, ip)
+   * @returns {Promise<Object>} User data, access token and refresh token
    */
-  async login(email, password) {
+  async login(email, password, meta = {}) {
     try {
       // 1. Normalize email
       const normalizedEmail = email.toLowerCase().trim();
 
-      // 2. Find user by email
+      // 2. Check lockout (too many failed logins)
+      await this.assertNotLocked(normalizedEmail);
+
+      // 3. Find user by email
       const user = await userLoginRepository.findUserByEmail(normalizedEmail);
 
       if (!user) {
-        const error = new Error("Invalid email or password");
-        error.code = "INVALID_CREDENTIALS";
-        error.statusCode = 401;
-        throw error;
+        throw await this.invalidCredentials(normalizedEmail);
       }
 
-      // 3. Check if user is active
-      if (user.status !== "active") {
+      // 4. Check if user is active
+      if (![USER_STATUS.ACTIVE, USER_STATUS.PENDING].includes(user.status)) {
         const error = new Error("Your account is not active. Please contact support.");
         error.code = "ACCOUNT_INACTIVE";
         error.statusCode = 403;
         throw error;
       }
 
-      // 4. Verify password
+      // 5. Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password);
 
       if (!isPasswordValid) {
-        const error = new Error("Invalid email or password");
-        error.code = "INVALID_CREDENTIALS";
-        error.statusCode = 401;
-        throw error;
+        throw await this.invalidCredentials(normalizedEmail);
       }
 
-      // 5. Generate JWT token
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        fname: user.fname,
-        lname: user.lname,
-      };
+      await userLockoutService.reset(normalizedEmail);
 
-      const token = jwt.sign(tokenPayload, process.env.JWT_SECRET || "your-secret-key", {
-        expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-      });
+      // 6. Check if email is verified (after password check so unverified emails are not revealed)
+      if (user.status === USER_STATUS.PENDING) {
+        const error = new Error("Please verify your email address before logging in.");
+        error.code = "EMAIL_NOT_VERIFIED";
+        error.statusCode = 403;
+        throw error;
+      }
+
+      // 7. Issue access token + refresh token
+      const { refresh_token_id, ...tokens } = await userTokenService.issueTokens(user, meta);
 
-      // 6. Remove sensitive data before returning
-      const { password: _, create_at, birthday, address, province, ...userResponse } = user;
+      // 8. Remove sensitive data before returning
+      const { password: _, create_at, birthday, address, province, email_verified_at, ...userResponse } = user;
 
-      // 7. Log successful login
+      // 9. Log successful login
       console.log("User logged in successfully:", {
         userId: user.id,
         email: user.email,
@@ -71,7 +86,7 @@ class UserLoginService {
 
       return {
         user: userResponse,
-        token,
+        ...tokens,
       };
     } catch (error) {
       // Log error for monitoring
@@ -85,6 +100,37 @@ class UserLoginService {
     }
   }
 
+  /**
+   * Throw ACCOUNT_LOCKED if the email is locked out
+   * @param {string} email - Normalized email
+   */
+  async assertNotLocked(email) {
+    const lockedUntil = await userLockoutService.getLockedUntil(email);
+
+    if (lockedUntil) {
+      throw createLockedError(lockedUntil);
+    }
+  }
+
+  /**
+   * Record failed login and build the error to throw
+   * Returns ACCOUNT_LOCKED when this failure triggers a lockout
+   * @param {string} email - Normalized email
+   * @returns {Promise<Error>} Error to throw
+   */
+  async invalidCredentials(email) {
+    const lockedUntil = await userLockoutService.recordFailure(email);
+
+    if (lockedUntil) {
+      return createLockedError(lockedUntil);
+    }
+
+    const error = new Error("Invalid email or password");
+    error.code = "INVALID_CREDENTIALS";
+    error.statusCode = 401;
+    return error;
+  }
+
   /**
    * Verify JWT token
    * @param {string} token - JWT token
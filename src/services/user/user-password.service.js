@@ -0,0 +1,112 @@
+// services/user/user-password.service.js
+
+import bcrypt from "bcryptjs";
+import { userActionTokenService } from "./user-action-token.service.js";
+import { userLoginRepository } from "../../repositories/user/user-login.repository.js";
+import { userUpdateRepository } from "../../repositories/user/user-update.repository.js";
+import { userTokenRepository } from "../../repositories/user/user-token.repository.js";
+import { userLockoutService } from "./user-lockout.service.js";
+import { mailService } from "../mail/mail.service.js";
+import { USER_STATUS, USER_ACTION_TOKEN_PURPOSES, DEFAULT_PASSWORD_RESET_TOKEN_MINUTES } from "../../constants/auth.constant.js";
+
+/**
+ * Password reset service
+ */
+class UserPasswordService {
+  /**
+   * Email a password reset link
+   * Always resolves so callers cannot tell which emails are registered
+   * @param {string} email - User email
+   * @returns {Promise<void>}
+   */
+  async forgotPassword(email) {
+    try {
+      // 1. Find user
+      const user = await userLoginRepository.findUserByEmail(email.toLowerCase().trim());
+
+      // Unknown or disabled account - nothing to send
+      if (!user || ![USER_STATUS.ACTIVE, USER_STATUS.PENDING].includes(user.status)) {
+        return;
+      }
+
+      // 2. Issue reset token
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || DEFAULT_PASSWORD_RESET_TOKEN_MINUTES;
+
+      const token = await userActionTokenService.issue(user.id, USER_ACTION_TOKEN_PURPOSES.PASSWORD_RESET, expiresInMinutes);
+
+      // 3. Send email
+      await mailService.sendPasswordResetEmail(user, token, expiresInMinutes);
+
+      console.log("Password reset requested:", {
+        userId: user.id,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("UserPasswordService error:", {
+        code: error.code,
+        message: error.message,
+        email,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Reset password with token
+   * @param {string} token - Raw reset token
+   * @param {string} newPassword - New password
+   * @returns {Promise<void>}
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      // 1. Consume token
+      const userId = await userActionTokenService.consume(token, USER_ACTION_TOKEN_PURPOSES.PASSWORD_RESET);
+
+      // 2. Hash new password
+      const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+      const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+      // 3. Update password (reset link proves email ownership)
+      const user = await userUpdateRepository.findUserById(userId);
+
+      if (!user) {
+        const error = new Error("User not found");
+        error.code = "USER_NOT_FOUND";
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const updates = { password: hashedPassword };
+
+      if (!user.email_verified_at) {
+        updates.email_verified_at = new Date().toISOString();
+      }
+
+      if (user.status === USER_STATUS.PENDING) {
+        updates.status = USER_STATUS.ACTIVE;
+      }
+
+      await userUpdateRepository.updateUser(userId, updates);
+
+      // 4. Sign out every session and clear login lockout
+      await userTokenRepository.revokeUserRefreshTokens(userId);
+      await userLockoutService.reset(user.email);
+
+      console.log("Password reset:", {
+        userId,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("UserPasswordService error:", {
+        code: error.code,
+        message: error.message,
+      });
+
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const userPasswordService = new UserPasswordService();
@@ -0,0 +1,161 @@
+// services/user/user-profile.service.js
+
+import bcrypt from "bcryptjs";
+import { userUpdateRepository } from "../../repositories/user/user-update.repository.js";
+import { userTokenRepository } from "../../repositories/user/user-token.repository.js";
+import { userTokenService } from "./user-token.service.js";
+
+/**
+ * Remove sensitive data from user row
+ * @param {Object} user - User row
+ * @returns {Object} User without password
+ */
+const toProfile = (user) => {
+  const { password, ...profile } = user;
+  return profile;
+};
+
+/**
+ * Current user profile service
+ */
+class UserProfileService {
+  /**
+   * Get profile of the logged in user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User profile
+   */
+  async getProfile(userId) {
+    try {
+      const user = await userUpdateRepository.findUserById(userId);
+
+      if (!user) {
+        const error = new Error("User not found");
+        error.code = "USER_NOT_FOUND";
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return toProfile(user);
+    } catch (error) {
+      console.error("UserProfileService error:", {
+        code: error.code,
+        message: error.message,
+        userId,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Update profile of the logged in user
+   * @param {string} userId - User ID
+   * @param {Object} profileData - address, province, phone1, phone2, user_image, birthday
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updateProfile(userId, profileData) {
+    try {
+      // 1. Prepare changed fields only
+      const updates = {};
+
+      if (profileData.address !== undefined) updates.address = profileData.address.trim();
+      if (profileData.province !== undefined) updates.province = profileData.province.trim();
+      if (profileData.phone1 !== undefined) updates.phone1 = profileData.phone1.replace(/[-.\s()]/g, "");
+      if (profileData.phone2 !== undefined) {
+        updates.phone2 = profileData.phone2 ? profileData.phone2.replace(/[-.\s()]/g, "") : null;
+      }
+      if (profileData.user_image !== undefined) updates.user_image = profileData.user_image || null;
+      if (profileData.birthday !== undefined) updates.birthday = profileData.birthday;
+
+      // 2. Update user
+      const user = await userUpdateRepository.updateUser(userId, updates);
+
+      console.log("User profile updated:", {
+        userId,
+        fields: Object.keys(updates),
+        timestamp: new Date().toISOString(),
+      });
+
+      return toProfile(user);
+    } catch (error) {
+      console.error("UserProfileService error:", {
+        code: error.code,
+        message: error.message,
+        userId,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Change password of the logged in user
+   * Signs out every other session and issues a new token pair for this one
+   * @param {Object} user - Logged in user (req.user)
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {Object} currentToken - Current access token (jti, exp)
+   * @param {Object} meta - Client info (user_agent, ip)
+   * @returns {Promise<Object>} New token pair
+   */
+  async changePassword(user, currentPassword, newPassword, currentToken = {}, meta = {}) {
+    try {
+      // 1. Verify current password
+      const existingUser = await userUpdateRepository.findUserById(user.id);
+
+      if (!existingUser) {
+        const error = new Error("User not found");
+        error.code = "USER_NOT_FOUND";
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const isPasswordValid = await bcrypt.compare(currentPassword, existingUser.password);
+
+      if (!isPasswordValid) {
+        const error = new Error("Current password is incorrect");
+        error.code = "INVALID_PASSWORD";
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // 2. Hash and save new password
+      const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+      const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+      await userUpdateRepository.updateUser(user.id, { password: hashedPassword });
+
+      // 3. Revoke every session, including the current access token
+      await userTokenRepository.revokeUserRefreshTokens(user.id);
+
+      if (currentToken.jti) {
+        await userTokenRepository.revokeAccessToken({
+          jti: currentToken.jti,
+          user_id: user.id,
+          expires_at: new Date(currentToken.exp * 1000).toISOString(),
+        });
+      }
+
+      // 4. Issue new token pair for this session
+      const { refresh_token_id, ...tokens } = await userTokenService.issueTokens(existingUser, meta);
+
+      console.log("User password changed:", {
+        userId: user.id,
+        timestamp: new Date().toISOString(),
+      });
+
+      return tokens;
+    } catch (error) {
+      console.error("UserProfileService error:", {
+        code: error.code,
+        message: error.message,
+        userId: user.id,
+      });
+
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const userProfileService = new UserProfileService();
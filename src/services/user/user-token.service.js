@@ -0,0 +1,206 @@
+// services/user/user-token.service.js
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { userTokenRepository } from "../../repositories/user/user-token.repository.js";
+import { DEFAULT_ACCESS_TOKEN_EXPIRES_IN, DEFAULT_REFRESH_TOKEN_DAYS } from "../../constants/auth.constant.js";
+
+/**
+ * Hash refresh token before storing / looking it up
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Access + refresh token service
+ */
+class UserTokenService {
+  /**
+   * Issue access token and refresh token for a user
+   * @param {Object} user - User (id, email, fname, lname, role)
+   * @param {Object} meta - Client info (user_agent, ip)
+   * @param {string} familyId - Existing token family (rotation), new family if omitted
+   * @returns {Promise<Object>} token, refresh_token, token_type, expires_in
+   */
+  async issueTokens(user, meta = {}, familyId = null) {
+    // 1. Sign short-lived access token
+    const tokenPayload = {
+      userId: user.id,
+      email: user.email,
+      fname: user.fname,
+      lname: user.lname,
+      role: user.role,
+    };
+
+    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET || "your-secret-key", {
+      expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN,
+      jwtid: uuidv4(),
+    });
+
+    const { iat, exp } = jwt.decode(token);
+
+    // 2. Generate refresh token and store its hash
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+    const refreshDays = Number(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+    const refreshExpiresAt = new Date(Date.now() + refreshDays * 24 * 60 * 60 * 1000);
+
+    const stored = await userTokenRepository.createRefreshToken({
+      id: uuidv4(),
+      user_id: user.id,
+      family_id: familyId || uuidv4(),
+      token_hash: hashToken(refreshToken),
+      expires_at: refreshExpiresAt.toISOString(),
+      user_agent: meta.user_agent || null,
+      ip: meta.ip || null,
+    });
+
+    return {
+      token,
+      refresh_token: refreshToken,
+      token_type: "Bearer",
+      expires_in: exp - iat,
+      refresh_expires_at: refreshExpiresAt.toISOString(),
+      refresh_token_id: stored.id,
+    };
+  }
+
+  /**
+   * Rotate refresh token: revoke the presented token and issue a new pair
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} meta - Client info (user_agent, ip)
+   * @returns {Promise<Object>} New token pair
+   */
+  async refresh(refreshToken, meta = {}) {
+    try {
+      // 1. Find stored token
+      const stored = await userTokenRepository.findRefreshTokenByHash(hashToken(refreshToken));
+
+      if (!stored || new Date(stored.expires_at) <= new Date()) {
+        const error = new Error("Invalid or expired refresh token");
+        error.code = "INVALID_REFRESH_TOKEN";
+        error.statusCode = 401;
+        throw error;
+      }
+
+      // 2. Reuse of a rotated / revoked token - revoke the whole family
+      if (stored.revoked_at) {
+        await userTokenRepository.revokeTokenFamily(stored.family_id);
+
+        const error = new Error("Refresh token has already been used. Please log in again.");
+        error.code = "REFRESH_TOKEN_REUSED";
+        error.statusCode = 401;
+        throw error;
+      }
+
+      // 3. Check user is still active
+      const user = await userTokenRepository.findActiveUserById(stored.user_id);
+
+      if (!user) {
+        await userTokenRepository.revokeTokenFamily(stored.family_id);
+
+        const error = new Error("User not found or inactive");
+        error.code = "USER_NOT_FOUND";
+        error.statusCode = 401;
+        throw error;
+      }
+
+      // 4. Issue new pair in the same family, then revoke the old token
+      const tokens = await this.issueTokens(user, meta, stored.family_id);
+      const { refresh_token_id, ...response } = tokens;
+
+      const revoked = await userTokenRepository.revokeRefreshToken(stored.id, refresh_token_id);
+
+      // Concurrent refresh already rotated this token - treat as reuse
+      if (!revoked) {
+        await userTokenRepository.revokeTokenFamily(stored.family_id);
+
+        const error = new Error("Refresh token has already been used. Please log in again.");
+        error.code = "REFRESH_TOKEN_REUSED";
+        error.statusCode = 401;
+        throw error;
+      }
+
+      console.log("Refresh token rotated:", {
+        userId: user.id,
+        familyId: stored.family_id,
+        timestamp: new Date().toISOString(),
+      });
+
+      return response;
+    } catch (error) {
+      console.error("UserTokenService error:", {
+        code: error.code,
+        message: error.message,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Logout: revoke current access token and refresh token(s)
+   * @param {Object} params - userId, jti, exp, refreshToken, allDevices
+   * @returns {Promise<Object>} Revocation summary
+   */
+  async logout({ userId, jti, exp, refreshToken = null, allDevices = false }) {
+    try {
+      // 1. Revoke current access token until it expires
+      if (jti) {
+        await userTokenRepository.revokeAccessToken({
+          jti,
+          user_id: userId,
+          expires_at: new Date(exp * 1000).toISOString(),
+        });
+      }
+
+      // 2. Revoke refresh tokens
+      let revokedRefreshTokens = 0;
+
+      if (allDevices) {
+        revokedRefreshTokens = await userTokenRepository.revokeUserRefreshTokens(userId);
+      } else if (refreshToken) {
+        const stored = await userTokenRepository.findRefreshTokenByHash(hashToken(refreshToken));
+
+        // Only the owner can revoke the token
+        if (stored && stored.user_id === userId) {
+          revokedRefreshTokens = await userTokenRepository.revokeTokenFamily(stored.family_id);
+        }
+      }
+
+      console.log("User logged out:", {
+        userId,
+        allDevices,
+        revokedRefreshTokens,
+        timestamp: new Date().toISOString(),
+      });
+
+      return {
+        all_devices: allDevices,
+        revoked_refresh_tokens: revokedRefreshTokens,
+      };
+    } catch (error) {
+      console.error("UserTokenService error:", {
+        code: error.code,
+        message: error.message,
+        userId,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Check if access token has been revoked
+   * @param {string} jti - Token ID
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(jti) {
+    if (!jti) return false;
+    return userTokenRepository.isAccessTokenRevoked(jti);
+  }
+}
+
+// Export singleton instance
+export const userTokenService = new UserTokenService();
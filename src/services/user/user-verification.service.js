@@ -0,0 +1,109 @@
+// services/user/user-verification.service.js
+
+import { userActionTokenService } from "./user-action-token.service.js";
+import { userLoginRepository } from "../../repositories/user/user-login.repository.js";
+import { userUpdateRepository } from "../../repositories/user/user-update.repository.js";
+import { mailService } from "../mail/mail.service.js";
+import {
+  USER_STATUS,
+  USER_ACTION_TOKEN_PURPOSES,
+  DEFAULT_EMAIL_VERIFICATION_TOKEN_MINUTES,
+} from "../../constants/auth.constant.js";
+
+/**
+ * Email verification service
+ */
+class UserVerificationService {
+  /**
+   * Issue verification token and email it to the user
+   * @param {Object} user - User (id, email, fname)
+   * @returns {Promise<void>}
+   */
+  async sendVerification(user) {
+    const expiresInMinutes =
+      parseInt(process.env.EMAIL_VERIFICATION_TOKEN_MINUTES) || DEFAULT_EMAIL_VERIFICATION_TOKEN_MINUTES;
+
+    const token = await userActionTokenService.issue(user.id, USER_ACTION_TOKEN_PURPOSES.EMAIL_VERIFICATION, expiresInMinutes);
+
+    await mailService.sendVerificationEmail(user, token, expiresInMinutes);
+  }
+
+  /**
+   * Verify email with token and activate account
+   * @param {string} token - Raw verification token
+   * @returns {Promise<Object>} Verified user
+   */
+  async verifyEmail(token) {
+    try {
+      // 1. Consume token
+      const userId = await userActionTokenService.consume(token, USER_ACTION_TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+      // 2. Activate pending account
+      const user = await userUpdateRepository.findUserById(userId);
+
+      if (!user) {
+        const error = new Error("User not found");
+        error.code = "USER_NOT_FOUND";
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const updates = { email_verified_at: new Date().toISOString() };
+
+      if (user.status === USER_STATUS.PENDING) {
+        updates.status = USER_STATUS.ACTIVE;
+      }
+
+      const updatedUser = await userUpdateRepository.updateUser(userId, updates);
+
+      console.log("Email verified:", {
+        userId,
+        email: updatedUser.email,
+        timestamp: new Date().toISOString(),
+      });
+
+      return {
+        id: updatedUser.id,
+        email: updatedUser.email,
+        status: updatedUser.status,
+        email_verified_at: updatedUser.email_verified_at,
+      };
+    } catch (error) {
+      console.error("UserVerificationService error:", {
+        code: error.code,
+        message: error.message,
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Resend verification email
+   * Always resolves so callers cannot tell which emails are registered
+   * @param {string} email - User email
+   * @returns {Promise<void>}
+   */
+  async resendVerification(email) {
+    try {
+      const user = await userLoginRepository.findUserByEmail(email.toLowerCase().trim());
+
+      if (!user || user.email_verified_at || user.status !== USER_STATUS.PENDING) {
+        return;
+      }
+
+      await this.sendVerification(user);
+    } catch (error) {
+      console.error("UserVerificationService error:", {
+        code: error.code,
+        message: error.message,
+        email,
+      });
+
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const userVerificationService = new UserVerificationService();
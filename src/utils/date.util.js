@@ -0,0 +1,73 @@
+// utils/date.util.js
+
+/**
+ * Day keys in JavaScript getUTCDay() order
+ * Matches the price_<day> columns of room_base_prices / room_season_base_prices
+ */
+export const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Parse a YYYY-MM-DD (or ISO8601) string to a UTC midnight Date
+ * @param {string} value - Date string
+ * @returns {Date} Date at 00:00 UTC
+ */
+export function parseDateOnly(value) {
+  return new Date(`${String(value).slice(0, 10)}T00:00:00.000Z`);
+}
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+export function formatDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a date string
+ * @param {string} value - YYYY-MM-DD
+ * @param {number} days - Days to add (can be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(value, days) {
+  const date = parseDateOnly(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDateOnly(date);
+}
+
+/**
+ * Count nights between two dates
+ * @param {string} start - First night (YYYY-MM-DD)
+ * @param {string} end - Day after last night (YYYY-MM-DD)
+ * @returns {number} Number of nights
+ */
+export function countNights(start, end) {
+  return Math.round((parseDateOnly(end) - parseDateOnly(start)) / 86400000);
+}
+
+/**
+ * List every night from start (inclusive) to end (exclusive)
+ * @param {string} start - First night (YYYY-MM-DD)
+ * @param {string} end - Day after last night (YYYY-MM-DD)
+ * @returns {string[]} Array of YYYY-MM-DD
+ */
+export function enumerateNights(start, end) {
+  const nights = [];
+  const total = countNights(start, end);
+
+  for (let i = 0; i < total; i++) {
+    nights.push(addDays(start, i));
+  }
+
+  return nights;
+}
+
+/**
+ * Get weekday key for a date
+ * @param {string} value - YYYY-MM-DD
+ * @returns {string} "sun" | "mon" | ... | "sat"
+ */
+export function getWeekdayKey(value) {
+  return WEEKDAY_KEYS[parseDateOnly(value).getUTCDay()];
+}
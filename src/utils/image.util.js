@@ -0,0 +1,41 @@
+// utils/image.util.js
+
+import { IMAGE_VARIANTS, IMAGE_VARIANT_FORMATS } from "../constants/upload.constant.js";
+
+/**
+ * Build a srcset-ready image object from a source URL and its derivatives
+ * Without derivatives (not generated yet) the original is the only candidate
+ * @param {string} url - Source image URL
+ * @param {Array<Object>} variants - image_variants rows of this URL
+ * @returns {Object|null} { url, width, height, thumbnail, srcset, sources } or null when there is no image
+ */
+export function buildResponsiveImage(url, variants = []) {
+  if (!url) return null;
+
+  const original = variants.find((row) => row.variant === "original");
+  const resized = variants.filter((row) => row.variant !== "original");
+
+  // <picture> sources, one per format: "<url> <width>w, ..."
+  const sources = Object.entries(IMAGE_VARIANT_FORMATS)
+    .map(([format, type]) => ({
+      type,
+      srcset: resized
+        .filter((row) => row.format === format && row.variant !== IMAGE_VARIANTS.THUMBNAIL.name)
+        .sort((a, b) => a.width - b.width)
+        .filter((row, index, rows) => index === 0 || row.width !== rows[index - 1].width) // small sources: card = hero
+        .map((row) => `${row.url} ${row.width}w`)
+        .join(", "),
+    }))
+    .filter((source) => source.srcset);
+
+  const thumbnail = resized.find((row) => row.variant === IMAGE_VARIANTS.THUMBNAIL.name && row.format === "webp");
+
+  return {
+    url,
+    width: original?.width ?? null,
+    height: original?.height ?? null,
+    thumbnail: thumbnail?.url || url,
+    srcset: sources.find((source) => source.type === IMAGE_VARIANT_FORMATS.webp)?.srcset || "",
+    sources,
+  };
+}
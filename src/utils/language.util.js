@@ -0,0 +1,78 @@
+// utils/language.util.js
+
+import { DEFAULT_LANGUAGE } from "../constants/languages.constant.js";
+import { getActiveLanguages } from "../config/languages.js";
+
+/**
+ * Pick response language from ?lang or the Accept-Language header
+ * @param {Request} req - Express request object
+ * @returns {string|null} Language code, or null to keep side-by-side fields
+ */
+export function getRequestLanguage(req) {
+  // 1. Explicit query param wins
+  if (getActiveLanguages().includes(req.query?.lang)) {
+    return req.query.lang;
+  }
+
+  // 2. Accept-Language, highest q first (e.g. "th-TH,th;q=0.9,en;q=0.8")
+  const header = req.headers?.["accept-language"];
+
+  if (!header) return null;
+
+  const ranked = header
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const quality = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+
+      return {
+        lang: tag.trim().toLowerCase().split("-")[0],
+        q: quality ? Number(quality.slice(2)) : 1,
+      };
+    })
+    .filter((item) => item.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return ranked.find((item) => getActiveLanguages().includes(item.lang))?.lang || null;
+}
+
+/**
+ * Collapse <field>_<lang> keys into <field>
+ * Falls back to DEFAULT_LANGUAGE, then other active languages, when the requested one is empty
+ * Nested objects and arrays are localized too
+ * @param {*} value - Record, array or plain value
+ * @param {string} lang - Requested language
+ * @returns {*} Localized copy
+ */
+export function localizeFields(value, lang) {
+  if (Array.isArray(value)) {
+    return value.map((item) => localizeFields(item, lang));
+  }
+
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+
+  const fallbackOrder = [...new Set([lang, DEFAULT_LANGUAGE, ...getActiveLanguages()])];
+  const suffixPattern = new RegExp(`^(.+)_(${getActiveLanguages().join("|")})$`);
+  const result = {};
+
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    const match = key.match(suffixPattern);
+
+    if (!match) {
+      result[key] = localizeFields(fieldValue, lang);
+      return;
+    }
+
+    const field = match[1];
+
+    if (field in result) return;
+
+    const found = fallbackOrder.map((l) => value[`${field}_${l}`]).find((v) => v !== undefined && v !== null && v !== "");
+
+    result[field] = found ?? value[`${field}_${lang}`] ?? null;
+  });
+
+  return result;
+}
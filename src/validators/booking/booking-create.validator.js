@@ -0,0 +1,37 @@
+// validators/booking/booking-create.validator.js
+
+import { body } from "express-validator";
+import { validateUUID, validateStayDates, validatePositiveInteger, validateOptionalText } from "../common.validator.js";
+
+/**
+ * Validation rules for booking creation
+ * POST /api/booking
+ *
+ * Expected request structure:
+ * {
+ *   "room_id": "uuid",          // Required
+ *   "check_in": "2025-12-24",   // Required: first night
+ *   "check_out": "2025-12-27",  // Required: departure day
+ *   "units": 1,                 // Optional: rooms to book (default 1)
+ *   "adults": 2,                // Required
+ *   "children": 0,              // Optional (default 0)
+ *   "note": "Late arrival"      // Optional
+ * }
+ */
+export const validateBookingCreate = [
+  // Room ID - required UUID
+  validateUUID("room_id", "body"),
+
+  // Stay dates - max 30 nights
+  ...validateStayDates("check_in", "check_out", 30),
+
+  // Units - optional, 1-10 rooms
+  body("units").optional({ nullable: true }).isInt({ min: 1, max: 10 }).withMessage("units must be an integer between 1-10").toInt(),
+
+  // Guests
+  validatePositiveInteger("adults", 1, 100),
+  body("children").optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage("children must be an integer between 0-100").toInt(),
+
+  // Note - optional, max 500 characters
+  validateOptionalText("note", 500),
+];
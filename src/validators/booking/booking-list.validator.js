@@ -0,0 +1,28 @@
+// validators/booking/booking-list.validator.js
+
+import { query } from "express-validator";
+import { validateUUID } from "../common.validator.js";
+import { validateQueryLimit, validateQueryOffset } from "../common.query.validator.js";
+import { BOOKING_STATUS_VALUES } from "../../constants/booking-status.constant.js";
+
+/**
+ * Validation rules for booking list
+ * GET /api/booking?status=xxx (optional)
+ */
+export const validateBookingList = [
+  // Status - optional filter
+  query("status")
+    .optional()
+    .isIn(BOOKING_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${BOOKING_STATUS_VALUES.join(", ")}`),
+
+  // Pagination
+  validateQueryLimit(50),
+  validateQueryOffset(),
+];
+
+/**
+ * Validation rules for single booking routes
+ * GET /api/booking/:id, POST /api/booking/:id/confirm, POST /api/booking/:id/cancel
+ */
+export const validateBookingId = [validateUUID("id")];
@@ -1,7 +1,7 @@
 // validators/city/city-create.validator.js
 
 import { body } from "express-validator";
-import { validateRequired, validateLength, validateUUID, validateEnglishPattern, validateSupabaseStorageUrl } from "../common.validator.js";
+import { validateRequired, validateLength, validateUUID, validateEnglishPattern, validateSupabaseStorageUrl, validateTranslations } from "../common.validator.js";
 
 /**
  * Validation rules for city creation
@@ -23,4 +23,7 @@ export const validateCityCreate = [
 
   // Image URL - optional, from Supabase storage
   validateSupabaseStorageUrl("image", false), // false = not required
+
+  // Translations - optional, other languages: { zh: { name }, ja: { name } }
+  validateTranslations("translations", "city"),
 ];
@@ -0,0 +1,12 @@
+// validators/city/city-list.validator.js
+
+import { validateQueryLanguage } from "../common.query.validator.js";
+
+/**
+ * Validation rules for city list
+ * GET /api/city/list?lang=th (optional)
+ */
+export const validateCityList = [
+  // Response language - optional
+  validateQueryLanguage("lang"),
+];
@@ -1,6 +1,7 @@
 // validators/common.query.validator.js
 
 import { query } from "express-validator";
+import { getActiveLanguages } from "../config/languages.js";
 
 // ========================================
 // STRING VALIDATORS
@@ -37,7 +38,10 @@ export const validateOptionalQuerySlug = (fieldName = "slug") =>
  * @param {string} fieldName - Field name to validate
  */
 export const validateQueryLanguage = (fieldName = "lang") =>
-  query(fieldName).optional().isIn(["th", "en"]).withMessage("Language must be 'th' or 'en'");
+  query(fieldName)
+    .optional()
+    .custom((value) => getActiveLanguages().includes(value))
+    .withMessage(() => `Language must be one of: ${getActiveLanguages().join(", ")}`);
 
 // ========================================
 // PAGINATION VALIDATORS
@@ -55,3 +59,19 @@ export const validateQueryLimit = (max = 100) =>
  */
 export const validateQueryOffset = () =>
   query("offset").optional().isInt({ min: 0 }).withMessage("Offset must be a positive number").toInt();
+
+// ========================================
+// DATE VALIDATORS
+// ========================================
+
+/**
+ * Validate query date (YYYY-MM-DD)
+ * @param {string} fieldName - Field name to validate
+ */
+export const validateQueryDate = (fieldName) =>
+  query(fieldName)
+    .notEmpty()
+    .withMessage(`${fieldName} is required`)
+    .isISO8601({ strict: true })
+    .withMessage(`${fieldName} must be a valid date (YYYY-MM-DD)`)
+    .customSanitizer((value) => (typeof value === "string" ? value.slice(0, 10) : value));
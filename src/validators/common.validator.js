@@ -1,6 +1,9 @@
 // validators/common.validator.js
 
 import { body, param, query } from "express-validator";
+import { TRANSLATABLE_FIELDS } from "../constants/languages.constant.js";
+import { getActiveLanguages } from "../config/languages.js";
+import { isLocalStorageUrl } from "../config/storage.js";
 
 // ========================================
 // BASIC VALIDATORS
@@ -80,6 +83,19 @@ export const validateSlug = (fieldName = "slug") =>
     .isLength({ min: 3, max: 100 })
     .withMessage("Slug must be between 3-100 characters");
 
+/**
+ * Slug validator for route params
+ * For detail pages: /api/hotel/:slug
+ */
+export const validateParamSlug = (fieldName = "slug") =>
+  param(fieldName)
+    .notEmpty()
+    .withMessage("Slug is required")
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage("Slug must be lowercase letters, numbers, and hyphens only")
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Slug must be between 1-100 characters");
+
 /**
  * Validate hotel/business name (English) - letters, numbers, spaces, common punctuation
  */
@@ -90,10 +106,50 @@ export const validateEnglishPattern = (fieldName = "name") =>
 
 /**
  * Language code validator
- * For language selection: th, en
+ * For language selection: any active language (th, en, ...)
  */
 export const validateLanguageCode = (fieldName = "lang") =>
-  body(fieldName).notEmpty().withMessage("Language is required").isIn(["th", "en"]).withMessage("Language must be 'th' or 'en'");
+  body(fieldName)
+    .notEmpty()
+    .withMessage("Language is required")
+    .custom((value) => getActiveLanguages().includes(value))
+    .withMessage(() => `Language must be one of: ${getActiveLanguages().join(", ")}`);
+
+/**
+ * Translations validator (optional)
+ * Shape: { zh: { name: "..." }, ja: { name: "..." } }
+ * @param {string} fieldName - Field name
+ * @param {string} entityType - Entity type in TRANSLATABLE_FIELDS
+ * @param {number} maxLength - Max length of each value
+ */
+export const validateTranslations = (fieldName, entityType, maxLength = 5000) =>
+  body(fieldName)
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage(`${fieldName} must be an object keyed by language`)
+    .custom((value) => {
+      const fields = TRANSLATABLE_FIELDS[entityType];
+
+      Object.entries(value).forEach(([lang, values]) => {
+        if (!getActiveLanguages().includes(lang)) {
+          throw new Error(`${fieldName}.${lang}: language must be one of: ${getActiveLanguages().join(", ")}`);
+        }
+        if (!values || typeof values !== "object" || Array.isArray(values)) {
+          throw new Error(`${fieldName}.${lang} must be an object`);
+        }
+
+        Object.entries(values).forEach(([field, text]) => {
+          if (!fields.includes(field)) {
+            throw new Error(`${fieldName}.${lang}.${field} is not translatable (allowed: ${fields.join(", ")})`);
+          }
+          if (typeof text !== "string" || text.length > maxLength) {
+            throw new Error(`${fieldName}.${lang}.${field} must be a string up to ${maxLength} characters`);
+          }
+        });
+      });
+
+      return true;
+    });
 
 // ========================================
 // USER DATA VALIDATORS
@@ -270,6 +326,34 @@ export const validateDateRange = (startField = "start_date", endField = "end_dat
     }),
 ];
 
+/**
+ * Stay dates validator for check-in/check-out
+ * Check-in must be today or later, check-out must be at least one night after
+ * @param {string} checkInField - Check-in field name
+ * @param {string} checkOutField - Check-out field name
+ * @param {number} maxNights - Maximum nights allowed
+ */
+export const validateStayDates = (checkInField = "check_in", checkOutField = "check_out", maxNights = 30) => [
+  validateFutureDate(checkInField),
+  body(checkOutField)
+    .notEmpty()
+    .withMessage(`${checkOutField} is required`)
+    .isISO8601()
+    .withMessage("Invalid date format")
+    .custom((value, { req }) => {
+      const nights = Math.round((new Date(value.slice(0, 10)) - new Date(String(req.body[checkInField]).slice(0, 10))) / 86400000);
+
+      if (!(nights >= 1)) {
+        throw new Error(`${checkOutField} must be after ${checkInField}`);
+      }
+      if (nights > maxNights) {
+        throw new Error(`Stay cannot exceed ${maxNights} nights`);
+      }
+      return true;
+    }),
+  body([checkInField, checkOutField]).customSanitizer((value) => String(value).slice(0, 10)),
+];
+
 /**
  * Time validator - HH:MM format (24-hour)
  * Examples: "14:00", "09:30", "23:59"
@@ -338,6 +422,13 @@ export const validateGoogleMapsLink = (fieldName = "google_map_link") =>
     .matches(/^https:\/\/(maps\.app\.goo\.gl\/[a-zA-Z0-9]+|maps\.google\.com\/.+|goo\.gl\/maps\/[a-zA-Z0-9]+)/)
     .withMessage("Invalid Google Maps link format");
 
+/**
+ * Check if a URL points to Supabase storage, or to the local storage driver in development
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+const isStorageUrl = (value) => /^https:\/\/[a-z0-9-]+\.supabase\.co\/storage\//.test(value) || isLocalStorageUrl(value);
+
 /**
  * Validate Supabase storage URL
  * @param {string} fieldName - Field name
@@ -349,18 +440,18 @@ export const validateSupabaseStorageUrl = (fieldName, required = true) => {
   if (!required) {
     return validator
       .optional({ nullable: true, checkFalsy: true })
-      .isURL()
+      .isURL({ require_tld: false })
       .withMessage(`Invalid ${fieldName} URL`)
-      .matches(/^https:\/\/.*\.supabase\.co\/storage\/.*/)
+      .custom(isStorageUrl)
       .withMessage(`${fieldName} must be from Supabase storage`);
   }
 
   return validator
     .notEmpty()
     .withMessage(`${fieldName} is required`)
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage(`Invalid ${fieldName} URL`)
-    .matches(/^https:\/\/.*\.supabase\.co\/storage\/.*/)
+    .custom(isStorageUrl)
     .withMessage(`${fieldName} must be from Supabase storage`);
 };
 
@@ -0,0 +1,15 @@
+// validators/content/content-delete.validator.js
+
+import { validateUUID, validateOptionalText } from "../common.validator.js";
+
+/**
+ * Validation rules for soft delete / restore
+ * DELETE /api/<type>/:id, POST /api/<type>/:id/restore
+ */
+export const validateContentDelete = [
+  // Content ID - required UUID
+  validateUUID("id"),
+
+  // Reason - optional, stored in audit log
+  validateOptionalText("reason", 500),
+];
@@ -1,7 +1,7 @@
 // validators/country/country-create.validator.js
 
 import { body } from "express-validator";
-import { validateRequired, validateLength, validateEnglishPattern, validateSupabaseStorageUrl } from "../common.validator.js";
+import { validateRequired, validateLength, validateEnglishPattern, validateSupabaseStorageUrl, validateTranslations } from "../common.validator.js";
 
 /**
  * Validation rules for country creation
@@ -20,4 +20,7 @@ export const validateCountryCreate = [
 
   // Image URL - optional, from Supabase storage
   validateSupabaseStorageUrl("image", false), // false = not required
+
+  // Translations - optional, other languages: { zh: { name }, ja: { name } }
+  validateTranslations("translations", "country"),
 ];
@@ -29,6 +29,7 @@ import {
   validateConditionalField,
   // Special validators
   validateSortOrder,
+  validateTranslations,
 } from "../common.validator.js";
 
 /**
@@ -107,6 +108,10 @@ export const validateHotelCreate = [
   // Active status: Required boolean
   validateBoolean("hotel_data.is_active"),
 
+  // ---------- Other Languages ----------
+  // Translations: Optional { zh: { name, excerpt, description, location_txt }, ... }
+  validateTranslations("hotel_data.translations", "hotel"),
+
   // ========================================
   // 2. SEO DATA VALIDATION (Optional)
   // ========================================
@@ -119,7 +124,7 @@ export const validateHotelCreate = [
   validateConditionalRequired("seo_data.*.slug", "seo_data"),
   validateConditionalField("seo_data.*.slug", "seo_data", (fieldName) => validateSlug(fieldName)),
 
-  // Language: Required if seo_data exists, must be 'th' or 'en'
+  // Language: Required if seo_data exists, must be an active language
   validateConditionalRequired("seo_data.*.lang", "seo_data"),
   validateConditionalField("seo_data.*.lang", "seo_data", (fieldName) => validateLanguageCode(fieldName)),
 
@@ -0,0 +1,9 @@
+// validators/hotel/hotel-detail.validator.js
+
+import { validateParamSlug } from "../common.validator.js";
+
+/**
+ * Validation rules for hotel detail
+ * GET /api/hotel/:slug
+ */
+export const validateHotelDetail = [validateParamSlug("slug")];
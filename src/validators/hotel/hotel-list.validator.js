@@ -1,15 +1,65 @@
 // validators/hotel/hotel-list.validator.js
 
-import { validateOptionalQuerySlug, validateQueryLimit, validateQueryOffset } from "../common.query.validator.js";
+import { query } from "express-validator";
+import { validateOptionalQuerySlug, validateQueryLanguage, validateQueryLimit, validateQueryOffset } from "../common.query.validator.js";
+import { HOTEL_LIST_SORT_VALUES } from "../../constants/hotel-list.constant.js";
+
+const UUID_V4_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
 /**
  * Validation rules for hotel list
  * GET /api/hotel/list?city_slug=xxx (optional)
+ *   &hotel_option_ids=id1,id2   (optional, hotel must have all)
+ *   &min_price=1000&max_price=5000 (optional, lowest nightly base price)
+ *   &q=xxx                      (optional, name in any language)
+ *   &sort=name|price|newest     (optional, default name)
+ *   &lang=th|en                 (optional, single-language fields and name sort)
  */
 export const validateHotelList = [
   // City slug - OPTIONAL now
   validateOptionalQuerySlug("city_slug"),
 
+  // Hotel options - comma separated or repeated param
+  query("hotel_option_ids")
+    .optional()
+    .customSanitizer((value) => {
+      const values = Array.isArray(value) ? value : String(value).split(",");
+      return [...new Set(values.map((v) => String(v).trim()).filter(Boolean))];
+    })
+    .custom((value) => {
+      if (value.length > 20) {
+        throw new Error("hotel_option_ids cannot have more than 20 items");
+      }
+      if (!value.every((id) => UUID_V4_PATTERN.test(id))) {
+        throw new Error("hotel_option_ids must contain valid UUIDs");
+      }
+      return true;
+    }),
+
+  // Nightly base price range
+  query("min_price").optional().isFloat({ min: 0 }).withMessage("min_price must be a positive number").toFloat(),
+  query("max_price")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("max_price must be a positive number")
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.query.min_price !== undefined && value < Number(req.query.min_price)) {
+        throw new Error("max_price must be greater than or equal to min_price");
+      }
+      return true;
+    }),
+
+  // Name search
+  query("q").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("q must be between 1-100 characters"),
+
+  // Sorting
+  query("sort")
+    .optional()
+    .isIn(HOTEL_LIST_SORT_VALUES)
+    .withMessage(`sort must be one of: ${HOTEL_LIST_SORT_VALUES.join(", ")}`),
+  validateQueryLanguage("lang"),
+
   // Pagination
   validateQueryLimit(50),
   validateQueryOffset(),
@@ -0,0 +1,53 @@
+// validators/hotel/hotel-search.validator.js
+
+import { query } from "express-validator";
+import { validateQuerySlug, validateQueryDate, validateQueryLanguage, validateQueryLimit, validateQueryOffset } from "../common.query.validator.js";
+import { countNights, formatDateOnly } from "../../utils/date.util.js";
+
+/**
+ * Maximum nights for one search
+ */
+const MAX_SEARCH_NIGHTS = 30;
+
+/**
+ * Validation rules for hotel search
+ * GET /api/hotel/search?city=xxx&checkin=YYYY-MM-DD&checkout=YYYY-MM-DD&adults=2&children=0
+ */
+export const validateHotelSearch = [
+  // City slug - required
+  validateQuerySlug("city"),
+
+  // Stay dates - checkout is the departure day
+  validateQueryDate("checkin"),
+  validateQueryDate("checkout"),
+
+  query("checkin").custom((value) => {
+    if (value < formatDateOnly(new Date())) {
+      throw new Error("checkin cannot be in the past");
+    }
+    return true;
+  }),
+
+  query("checkout").custom((value, { req }) => {
+    const nights = countNights(req.query.checkin, value);
+
+    if (!(nights >= 1)) {
+      throw new Error("checkout must be after checkin");
+    }
+    if (nights > MAX_SEARCH_NIGHTS) {
+      throw new Error(`Stay cannot exceed ${MAX_SEARCH_NIGHTS} nights`);
+    }
+    return true;
+  }),
+
+  // Guests
+  query("adults").optional().isInt({ min: 1, max: 100 }).withMessage("adults must be an integer between 1-100").toInt(),
+  query("children").optional().isInt({ min: 0, max: 100 }).withMessage("children must be an integer between 0-100").toInt(),
+
+  // Response language - optional
+  validateQueryLanguage("lang"),
+
+  // Pagination
+  validateQueryLimit(50),
+  validateQueryOffset(),
+];
@@ -0,0 +1,80 @@
+// validators/hotel/hotel-update.validator.js
+
+import { body } from "express-validator";
+import {
+  // Basic validators
+  makeOptional,
+  validateLength,
+  validateBoolean,
+  validateUUID,
+  // String validators
+  validateTextContent,
+  validateEnglishPattern,
+  // Date & Time validators
+  validateTime,
+  // URL validators
+  validateGoogleMapsLink,
+  validateSupabaseStorageUrl,
+  // Array validators
+  validateUUIDArray,
+  validateArrayMinItems,
+  // Language validators
+  validateTranslations,
+} from "../common.validator.js";
+
+/**
+ * Validation rules for hotel update (partial)
+ * PATCH /api/hotel/:id
+ *
+ * Expected request structure:
+ * {
+ *   "hotel_data": { ... }   // Required: only the fields to change
+ * }
+ *
+ * city_ids / hotel_option_ids replace the whole mapping set when sent
+ */
+export const validateHotelUpdate = [
+  // Hotel ID - required UUID
+  validateUUID("id"),
+
+  // Validate hotel_data object structure
+  body("hotel_data").notEmpty().withMessage("Hotel data is required").isObject().withMessage("Hotel data must be an object"),
+
+  // ---------- Hotel Names ----------
+  makeOptional(validateLength("hotel_data.name_th", 2, 200)),
+  body("hotel_data.name_th").optional().trim(),
+
+  makeOptional(validateLength("hotel_data.name_en", 2, 200)),
+  makeOptional(validateEnglishPattern("hotel_data.name_en")),
+  body("hotel_data.name_en").optional().trim(),
+
+  // ---------- Hotel Descriptions ----------
+  makeOptional(validateTextContent("hotel_data.excerpt_th", 20, 500)),
+  makeOptional(validateTextContent("hotel_data.excerpt_en", 20, 500)),
+  makeOptional(validateTextContent("hotel_data.description_th", 50, 5000)),
+  makeOptional(validateTextContent("hotel_data.description_en", 50, 5000)),
+
+  // ---------- Hotel Operations ----------
+  makeOptional(validateTime("hotel_data.checkin_time")),
+  makeOptional(validateTime("hotel_data.checkout_time")),
+
+  // ---------- Hotel Location & Media ----------
+  validateSupabaseStorageUrl("hotel_data.image", false),
+  makeOptional(validateTextContent("hotel_data.location_txt_th", 10, 500)),
+  makeOptional(validateTextContent("hotel_data.location_txt_en", 10, 500)),
+  makeOptional(validateGoogleMapsLink("hotel_data.google_map_link")),
+
+  // ---------- Hotel Relations ----------
+  // City IDs: Optional, but if provided must have at least 1
+  validateUUIDArray("hotel_data.city_ids", false, 0),
+  validateArrayMinItems("hotel_data.city_ids", 1),
+
+  // Hotel option IDs: Optional, empty array removes all options
+  validateUUIDArray("hotel_data.hotel_option_ids", false, 0),
+
+  // ---------- Hotel Status ----------
+  validateBoolean("hotel_data.is_active").optional({ nullable: true }),
+
+  // ---------- Other Languages ----------
+  validateTranslations("hotel_data.translations", "hotel"),
+];
@@ -10,7 +10,7 @@ import {
   validateNoDuplicates,
   validateExactlyOne,
 } from "./common.validator.js";
-import { CONTENT_TYPE_VALUES, getTableName } from "../constants/content-types.js";
+import { CONTENT_TYPE_VALUES, SOFT_DELETE_CONTENT_TYPES, getTableName } from "../constants/content-types.js";
 import { supabase } from "../config/database.js";
 
 /**
@@ -25,7 +25,14 @@ const checkEntityExists = async (type, id) => {
     throw new Error(`Invalid content type: ${type}`);
   }
 
-  const { data, error } = await supabase.from(tableName).select("id").eq("id", id).single();
+  let query = supabase.from(tableName).select("id").eq("id", id);
+
+  // Deleted content can't get new images (pages / blogs have no deleted_at)
+  if (SOFT_DELETE_CONTENT_TYPES.includes(type)) {
+    query = query.is("deleted_at", null);
+  }
+
+  const { data, error } = await query.single();
 
   if (error && error.code !== "PGRST116") {
     throw new Error(`Database error: ${error.message}`);
@@ -0,0 +1,71 @@
+// validators/image-gallery.validator.js
+
+import { body, param } from "express-validator";
+import { validateUUID, validateUUIDArray, validateNoDuplicates } from "./common.validator.js";
+import { CONTENT_TYPE_VALUES } from "../constants/content-types.js";
+
+/**
+ * Validation rules for gallery of one entity
+ * GET /api/image-collection/:content_type/:content_id
+ */
+export const validateImageGalleryParams = [
+  // Content type - must be valid content type
+  param("content_type")
+    .isIn(CONTENT_TYPE_VALUES)
+    .withMessage(`Content type must be one of: ${CONTENT_TYPE_VALUES.join(", ")}`),
+
+  // Content ID - must be valid UUID
+  validateUUID("content_id"),
+];
+
+/**
+ * Validation rules for single image routes
+ * DELETE /api/image-collection/:id
+ * PUT /api/image-collection/:id/cover
+ */
+export const validateImageId = [validateUUID("id")];
+
+/**
+ * Validation rules for updating an image
+ * PATCH /api/image-collection/:id
+ * Empty string or null clears the field
+ */
+export const validateImageUpdate = [
+  validateUUID("id"),
+
+  // At least one of alt / caption
+  body().custom((value) => {
+    if (value?.alt === undefined && value?.caption === undefined) {
+      throw new Error("At least one of alt, caption is required");
+    }
+    return true;
+  }),
+
+  // Alt text - max 255 chars
+  body("alt")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("alt must be a string")
+    .isLength({ max: 255 })
+    .withMessage("alt must not exceed 255 characters"),
+
+  // Caption - max 500 chars
+  body("caption")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("caption must be a string")
+    .isLength({ max: 500 })
+    .withMessage("caption must not exceed 500 characters"),
+];
+
+/**
+ * Validation rules for reordering a gallery
+ * PUT /api/image-collection/:content_type/:content_id/order
+ */
+export const validateImageReorder = [
+  ...validateImageGalleryParams,
+
+  // Image ids in display order - every image of the gallery, once
+  validateUUIDArray("image_ids", true, 1),
+  validateNoDuplicates("image_ids", null, "Duplicate image ids"),
+];
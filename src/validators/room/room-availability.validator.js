@@ -0,0 +1,36 @@
+// validators/room/room-availability.validator.js
+
+import { query } from "express-validator";
+import { validateUUID } from "../common.validator.js";
+import { validateQueryDate } from "../common.query.validator.js";
+import { countNights } from "../../utils/date.util.js";
+
+/**
+ * Maximum number of nights returned by one calendar request
+ */
+const MAX_CALENDAR_NIGHTS = 366;
+
+/**
+ * Validation rules for room availability calendar
+ * GET /api/room/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+export const validateRoomAvailability = [
+  // Room ID - required UUID
+  validateUUID("id"),
+
+  // Date range - both required, "to" is the last night (inclusive)
+  validateQueryDate("from"),
+  validateQueryDate("to"),
+
+  query("to").custom((value, { req }) => {
+    const nights = countNights(req.query.from, value) + 1;
+
+    if (nights < 1) {
+      throw new Error("to must be on or after from");
+    }
+    if (nights > MAX_CALENDAR_NIGHTS) {
+      throw new Error(`Date range cannot exceed ${MAX_CALENDAR_NIGHTS} nights`);
+    }
+    return true;
+  }),
+];
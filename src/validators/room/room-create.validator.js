@@ -35,6 +35,7 @@ import {
   validateConditionalField,
   // Special validators
   validateSortOrder,
+  validateTranslations,
 } from "../common.validator.js";
 
 /**
@@ -99,6 +100,9 @@ export const validateRoomCreate = [
   // Active status: Required boolean
   validateBoolean("room_data.is_active"),
 
+  // Translations: Optional { zh: { name, description }, ... }
+  validateTranslations("room_data.translations", "room"),
+
   // ========================================
   // 2. ROOM OPTIONS VALIDATION (Optional)
   // ========================================
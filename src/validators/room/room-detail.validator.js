@@ -0,0 +1,9 @@
+// validators/room/room-detail.validator.js
+
+import { validateParamSlug } from "../common.validator.js";
+
+/**
+ * Validation rules for room detail
+ * GET /api/room/:slug
+ */
+export const validateRoomDetail = [validateParamSlug("slug")];
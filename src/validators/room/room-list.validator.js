@@ -1,15 +1,18 @@
 // validators/room/room-list.validator.js
 
-import { validateQuerySlug, validateQueryLimit, validateQueryOffset } from "../common.query.validator.js";
+import { validateQuerySlug, validateQueryLanguage, validateQueryLimit, validateQueryOffset } from "../common.query.validator.js";
 
 /**
  * Validation rules for room list
- * GET /api/room/list?hotel_slug=xxx
+ * GET /api/room/list?hotel_slug=xxx&lang=th (lang optional)
  */
 export const validateRoomList = [
   // Hotel slug - required
   validateQuerySlug("hotel_slug"),
 
+  // Response language - optional
+  validateQueryLanguage("lang"),
+
   // Pagination
   validateQueryLimit(50),
   validateQueryOffset(),
@@ -0,0 +1,21 @@
+// validators/room/room-quote.validator.js
+
+import { validateUUID, validateStayDates } from "../common.validator.js";
+
+/**
+ * Validation rules for room price quote
+ * POST /api/room/:id/quote
+ *
+ * Expected request structure:
+ * {
+ *   "check_in": "2025-12-24",   // Required: first night
+ *   "check_out": "2025-12-27"   // Required: departure day
+ * }
+ */
+export const validateRoomQuote = [
+  // Room ID - required UUID
+  validateUUID("id"),
+
+  // Stay dates - max 30 nights
+  ...validateStayDates("check_in", "check_out", 30),
+];
@@ -0,0 +1,212 @@
+// validators/room/room-update.validator.js
+
+import { body } from "express-validator";
+import {
+  // Basic validators
+  makeOptional,
+  validateLength,
+  validateBoolean,
+  validateUUID,
+  // String validators
+  validateTextContent,
+  validateOptionalText,
+  validateEnglishPattern,
+  // Number validators
+  validateDecimal,
+  validatePositiveInteger,
+  validatePrice,
+  // Date validators
+  validateNoDateOverlap,
+  // Array validators
+  validateOptionalArray,
+  validateUUIDArray,
+  validateNoDuplicates,
+  // Conditional validators
+  validateConditionalRequired,
+  validateConditionalField,
+  // Language validators
+  validateTranslations,
+} from "../common.validator.js";
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Validate end_date >= start_date for items of an array
+ * Only when both dates are sent in the same item
+ */
+const validateItemDateRange = (arrayField) =>
+  body(`${arrayField}.*.end_date`)
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format")
+    .custom((value, { req, path }) => {
+      const match = path.match(/\[(\d+)\]\.end_date$/);
+      if (!match) return true;
+
+      const item = arrayField.split(".").reduce((obj, key) => obj?.[key], req.body)?.[parseInt(match[1])];
+      if (!item?.start_date) return true;
+
+      if (new Date(value) < new Date(item.start_date)) {
+        throw new Error("End date must be after start date");
+      }
+      return true;
+    });
+
+/**
+ * Reject rows that are both updated and deleted in one request
+ * @param {string} group - season_base_prices | override_prices
+ */
+const validateNoUpdateDeleteOverlap = (group) =>
+  body(`${group}.delete`)
+    .optional()
+    .custom((ids, { req }) => {
+      const updates = req.body[group]?.update;
+      if (!Array.isArray(ids) || !Array.isArray(updates)) return true;
+
+      const updateIds = new Set(updates.map((item) => item?.id));
+      const overlap = ids.filter((id) => updateIds.has(id));
+
+      if (overlap.length > 0) {
+        throw new Error(`${group}: IDs cannot be both updated and deleted (${overlap.join(", ")})`);
+      }
+      return true;
+    });
+
+/**
+ * Rules for new season prices (same as room create)
+ */
+const validateSeasonCreate = (field) => [
+  validateOptionalArray(field, 20),
+  validateConditionalRequired(`${field}.*.name`, field),
+  validateConditionalField(`${field}.*.name`, field, (fieldName) => validateLength(fieldName, 2, 100)),
+  validateConditionalRequired(`${field}.*.start_date`, field),
+  validateConditionalRequired(`${field}.*.end_date`, field),
+  body(`${field}.*.start_date`).optional().isISO8601().withMessage("Invalid date format"),
+  validateItemDateRange(field),
+  ...DAYS.map((day) => validateConditionalField(`${field}.*.price_${day}`, field, (fieldName) => validatePrice(fieldName))),
+  validateNoDateOverlap(field),
+];
+
+/**
+ * Rules for changed season prices (id required, other fields optional)
+ */
+const validateSeasonChange = (field) => [
+  validateOptionalArray(field, 20),
+  validateConditionalField(`${field}.*.id`, field, (fieldName) => validateUUID(fieldName, "body")),
+  makeOptional(validateLength(`${field}.*.name`, 2, 100)),
+  body(`${field}.*.start_date`).optional().isISO8601().withMessage("Invalid date format"),
+  validateItemDateRange(field),
+  ...DAYS.map((day) => makeOptional(validatePrice(`${field}.*.price_${day}`))),
+  validateNoDuplicates(field, "id", "Duplicate season price IDs"),
+];
+
+/**
+ * Rules for new override prices (same as room create)
+ */
+const validateOverrideCreate = (field) => [
+  validateOptionalArray(field, 100),
+  validateConditionalRequired(`${field}.*.name`, field),
+  validateConditionalField(`${field}.*.name`, field, (fieldName) => validateLength(fieldName, 2, 100)),
+  validateConditionalRequired(`${field}.*.price`, field),
+  validateConditionalField(`${field}.*.price`, field, (fieldName) => validatePrice(fieldName)),
+  validateConditionalRequired(`${field}.*.start_date`, field),
+  validateConditionalRequired(`${field}.*.end_date`, field),
+  body(`${field}.*.start_date`).optional().isISO8601().withMessage("Invalid date format"),
+  validateItemDateRange(field),
+  validateConditionalRequired(`${field}.*.is_promotion`, field),
+  validateConditionalField(`${field}.*.is_promotion`, field, (fieldName) => validateBoolean(fieldName)),
+  validateOptionalText(`${field}.*.note`, 500),
+  validateConditionalRequired(`${field}.*.is_active`, field),
+  validateConditionalField(`${field}.*.is_active`, field, (fieldName) => validateBoolean(fieldName)),
+];
+
+/**
+ * Rules for changed override prices (id required, other fields optional)
+ */
+const validateOverrideChange = (field) => [
+  validateOptionalArray(field, 100),
+  validateConditionalField(`${field}.*.id`, field, (fieldName) => validateUUID(fieldName, "body")),
+  makeOptional(validateLength(`${field}.*.name`, 2, 100)),
+  makeOptional(validatePrice(`${field}.*.price`)),
+  body(`${field}.*.start_date`).optional().isISO8601().withMessage("Invalid date format"),
+  validateItemDateRange(field),
+  validateBoolean(`${field}.*.is_promotion`).optional({ nullable: true }),
+  validateOptionalText(`${field}.*.note`, 500),
+  validateBoolean(`${field}.*.is_active`).optional({ nullable: true }),
+  validateNoDuplicates(field, "id", "Duplicate override price IDs"),
+];
+
+/**
+ * Validation rules for room update (partial)
+ * PATCH /api/room/:id
+ *
+ * Expected request structure (every key optional):
+ * {
+ *   "room_data": { ... },                 // Room fields to change
+ *   "room_option_ids": [ ... ],           // Replaces option set
+ *   "base_price": { "price_sat": 2500 },  // Weekday prices to change
+ *   "season_base_prices": {
+ *     "create": [ ... ],                  // New seasons
+ *     "update": [ { "id": "...", ... } ], // Changed seasons
+ *     "delete": [ "id", ... ]             // Removed seasons
+ *   },
+ *   "override_prices": { "create", "update", "delete" }  // Same as seasons
+ * }
+ */
+export const validateRoomUpdate = [
+  // Room ID - required UUID
+  validateUUID("id"),
+
+  // ========================================
+  // 1. ROOM DATA (Optional)
+  // ========================================
+  body("room_data").optional().isObject().withMessage("Room data must be an object"),
+
+  makeOptional(validateLength("room_data.name_th", 2, 100)),
+  body("room_data.name_th").optional().trim(),
+
+  makeOptional(validateLength("room_data.name_en", 2, 100)),
+  makeOptional(validateEnglishPattern("room_data.name_en")),
+  body("room_data.name_en").optional().trim(),
+
+  makeOptional(validateDecimal("room_data.room_size", 1, 9999)),
+  makeOptional(validateTextContent("room_data.description_th", 20, 5000)),
+  makeOptional(validateTextContent("room_data.description_en", 20, 5000)),
+
+  validatePositiveInteger("room_data.max_adult", 1, 10).optional(),
+  validatePositiveInteger("room_data.max_children", 0, 10).optional(),
+  validatePositiveInteger("room_data.total_room", 1, 999).optional(),
+
+  validateBoolean("room_data.is_active").optional({ nullable: true }),
+
+  validateTranslations("room_data.translations", "room"),
+
+  // ========================================
+  // 2. ROOM OPTIONS (Optional, replaces set)
+  // ========================================
+  validateUUIDArray("room_option_ids", false, 0),
+
+  // ========================================
+  // 3. BASE PRICE (Optional, per day)
+  // ========================================
+  body("base_price").optional().isObject().withMessage("Base price must be an object"),
+  ...DAYS.map((day) => makeOptional(validatePrice(`base_price.price_${day}`))),
+
+  // ========================================
+  // 4. SEASON BASE PRICES (Optional)
+  // ========================================
+  body("season_base_prices").optional().isObject().withMessage("season_base_prices must be an object"),
+  ...validateSeasonCreate("season_base_prices.create"),
+  ...validateSeasonChange("season_base_prices.update"),
+  validateUUIDArray("season_base_prices.delete", false, 0),
+  validateNoUpdateDeleteOverlap("season_base_prices"),
+
+  // ========================================
+  // 5. OVERRIDE PRICES (Optional)
+  // ========================================
+  body("override_prices").optional().isObject().withMessage("override_prices must be an object"),
+  ...validateOverrideCreate("override_prices.create"),
+  ...validateOverrideChange("override_prices.update"),
+  validateUUIDArray("override_prices.delete", false, 0),
+  validateNoUpdateDeleteOverlap("override_prices"),
+];
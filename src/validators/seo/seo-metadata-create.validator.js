@@ -90,7 +90,7 @@ export const validateSeoMetadataCreateArray = [
   validateConditionalField("seo_data.*.slug", "seo_data", (fieldName) => validateSlug(fieldName)),
   validateReservedSlug("seo_data.*.slug"),
 
-  // Language: Required, must be 'th' or 'en'
+  // Language: Required, must be an active language
   validateConditionalRequired("seo_data.*.lang", "seo_data"),
   validateConditionalField("seo_data.*.lang", "seo_data", (fieldName) => validateLanguageCode(fieldName)),
 
@@ -108,3 +108,39 @@ export const validateSeoMetadataCreateArray = [
   // No duplicate languages
   validateNoDuplicates("seo_data", "lang", "Duplicate language entries in SEO data"),
 ];
+
+/**
+ * Validation rules for updating SEO metadata
+ * PATCH /api/seo-metadata/:id
+ * page_type, page_id and lang cannot be changed
+ */
+export const validateSeoMetadataUpdate = [
+  validateUUID("id"),
+
+  // At least one updatable field
+  body().custom((value) => {
+    if (["slug", "title", "description", "og_image"].every((field) => value?.[field] === undefined)) {
+      throw new Error("At least one of slug, title, description, og_image is required");
+    }
+    return true;
+  }),
+
+  // Slug: lowercase with hyphens, not reserved
+  validateSlug("slug").optional(),
+  validateReservedSlug("slug"),
+
+  // Title: 10-150 characters
+  validateTextContent("title", 10, 150).optional(),
+
+  // Description: 10-250 characters
+  validateTextContent("description", 10, 250).optional(),
+
+  // OG Image: URL, null removes it
+  validateURL("og_image", false),
+];
+
+/**
+ * Validation rules for deleting SEO metadata
+ * DELETE /api/seo-metadata/:id
+ */
+export const validateSeoMetadataDelete = [validateUUID("id")];
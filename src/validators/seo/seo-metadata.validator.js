@@ -12,7 +12,7 @@ const normalizeSlug = (slug) => {
 
 /**
  * Validation rules for getting SEO metadata
- * GET /api/seo-metadata?slug={slug}
+ * GET /api/seo-metadata?slug={slug}&structured_data={true|false}
  */
 export const validateSeoMetadataGet = [
   // Make slug optional to allow empty values
@@ -23,4 +23,7 @@ export const validateSeoMetadataGet = [
 
   // Normalize slug - this will convert empty/root to "home"
   query("slug").customSanitizer(normalizeSlug),
+
+  // Optional schema.org JSON-LD for hotel / room pages
+  query("structured_data").optional().isBoolean().withMessage("structured_data must be true or false").toBoolean(),
 ];
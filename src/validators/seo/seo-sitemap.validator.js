@@ -0,0 +1,9 @@
+// validators/seo/seo-sitemap.validator.js
+
+import { param } from "express-validator";
+
+/**
+ * Validation rules for sitemap chunks
+ * GET /sitemap-:page.xml
+ */
+export const validateSitemapPage = [param("page").isInt({ min: 1 }).withMessage("Sitemap page must be a positive integer").toInt()];
@@ -0,0 +1,25 @@
+// validators/upload/upload.validator.js
+
+import { body } from "express-validator";
+import { UPLOAD_FOLDERS } from "../../constants/upload.constant.js";
+
+/**
+ * Validation rules for image upload
+ * POST /api/upload (multipart: file, folder)
+ */
+export const validateUpload = [
+  // File - required (parsed by uploadSingleImage)
+  body("file").custom((value, { req }) => {
+    if (!req.file) {
+      throw new Error("file is required");
+    }
+    return true;
+  }),
+
+  // Folder - required, storage folder
+  body("folder")
+    .notEmpty()
+    .withMessage("folder is required")
+    .isIn(UPLOAD_FOLDERS)
+    .withMessage(`folder must be one of: ${UPLOAD_FOLDERS.join(", ")}`),
+];
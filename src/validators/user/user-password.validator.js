@@ -0,0 +1,32 @@
+// validators/user/user-password.validator.js
+
+import { body } from "express-validator";
+import { validateEmail, validatePassword, validateRequired } from "../common.validator.js";
+
+/**
+ * Email token format (64-char hex string)
+ */
+export const validateEmailToken = (fieldName = "token") =>
+  body(fieldName).isString().withMessage(`${fieldName} must be a string`).isHexadecimal().withMessage(`${fieldName} is invalid`).isLength({ min: 64, max: 64 }).withMessage(`${fieldName} is invalid`);
+
+/**
+ * Validation rules for forgot password
+ * POST /api/user/forgot-password
+ */
+export const validateForgotPassword = [
+  // Email - required, must be valid format
+  validateEmail("email"),
+];
+
+/**
+ * Validation rules for reset password
+ * POST /api/user/reset-password
+ */
+export const validateResetPassword = [
+  // Token - required, from reset email
+  validateRequired("token"),
+  validateEmailToken("token"),
+
+  // New password - required, must be strong
+  validatePassword("password"),
+];
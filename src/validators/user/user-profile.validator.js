@@ -0,0 +1,57 @@
+// validators/user/user-profile.validator.js
+
+import { body } from "express-validator";
+import { validatePassword, validateRequired, validateLength, validatePhone, validateSupabaseStorageUrl } from "../common.validator.js";
+import { validateBirthday } from "./user-register.validator.js";
+
+/**
+ * Fields a user may change on their own profile
+ */
+export const PROFILE_UPDATABLE_FIELDS = ["address", "province", "phone1", "phone2", "user_image", "birthday"];
+
+/**
+ * Validation rules for profile update
+ * PATCH /api/user/me
+ * Same rules as registration, every field optional
+ */
+export const validateUserProfileUpdate = [
+  // At least one updatable field
+  body().custom((value) => {
+    if (!PROFILE_UPDATABLE_FIELDS.some((field) => value?.[field] !== undefined)) {
+      throw new Error(`At least one of ${PROFILE_UPDATABLE_FIELDS.join(", ")} is required`);
+    }
+    return true;
+  }),
+
+  // Address - 10-300 characters
+  validateLength("address", 10, 300).optional(),
+
+  // Province/State - 2-100 characters
+  validateLength("province", 2, 100).optional(),
+
+  // Primary phone - cannot be removed
+  validatePhone("phone1").optional(),
+
+  // Secondary phone - null removes it
+  validatePhone("phone2").optional({ nullable: true, checkFalsy: true }),
+
+  // User image - null removes it
+  validateSupabaseStorageUrl("user_image", false),
+
+  // Birthday - must be 18+ years old
+  validateBirthday().optional(),
+];
+
+/**
+ * Validation rules for password change
+ * POST /api/user/me/password
+ */
+export const validateChangePassword = [
+  // Current password - required
+  validateRequired("current_password"),
+
+  // New password - required, must be strong, different from current
+  validatePassword("new_password")
+    .custom((value, { req }) => value !== req.body.current_password)
+    .withMessage("New password must be different from current password"),
+];
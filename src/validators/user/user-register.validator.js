@@ -13,7 +13,7 @@ import {
 /**
  * Birthday validator - must be in the past and user must be 18+
  */
-const validateBirthday = () =>
+export const validateBirthday = () =>
   body("birthday")
     .notEmpty()
     .withMessage("Birthday is required")
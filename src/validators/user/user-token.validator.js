@@ -0,0 +1,32 @@
+// validators/user/user-token.validator.js
+
+import { body } from "express-validator";
+import { makeOptional, validateBoolean, validateRequired } from "../common.validator.js";
+
+/**
+ * Refresh token format (hex string)
+ */
+const validateRefreshTokenFormat = (fieldName = "refresh_token") =>
+  body(fieldName).isString().withMessage(`${fieldName} must be a string`).isHexadecimal().withMessage(`${fieldName} is invalid`).isLength({ max: 256 }).withMessage(`${fieldName} is invalid`);
+
+/**
+ * Validation rules for token refresh
+ * POST /api/user/refresh
+ */
+export const validateRefreshToken = [
+  // Refresh token - required
+  validateRequired("refresh_token"),
+  validateRefreshTokenFormat("refresh_token"),
+];
+
+/**
+ * Validation rules for logout
+ * POST /api/user/logout
+ */
+export const validateLogout = [
+  // Refresh token - optional, revokes that session
+  makeOptional(validateRefreshTokenFormat("refresh_token")),
+
+  // All devices - optional, revokes every refresh token of the user
+  makeOptional(validateBoolean("all_devices")).toBoolean(),
+];
@@ -0,0 +1,23 @@
+// validators/user/user-verification.validator.js
+
+import { validateEmail, validateRequired } from "../common.validator.js";
+import { validateEmailToken } from "./user-password.validator.js";
+
+/**
+ * Validation rules for email verification
+ * POST /api/user/verify-email
+ */
+export const validateVerifyEmail = [
+  // Token - required, from verification email
+  validateRequired("token"),
+  validateEmailToken("token"),
+];
+
+/**
+ * Validation rules for resending verification email
+ * POST /api/user/resend-verification
+ */
+export const validateResendVerification = [
+  // Email - required, must be valid format
+  validateEmail("email"),
+];
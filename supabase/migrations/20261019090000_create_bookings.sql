@@ -0,0 +1,19 @@
+-- Bookings consume room inventory (rooms.total_room) per night.
+-- A booking occupies the nights check_in .. check_out - 1.
+-- Pending bookings hold inventory until hold_expires_at.
+
+create table if not exists public.bookings (
+  id uuid primary key,
+  room_id uuid not null references public.rooms (id),
+  check_in date not null,
+  check_out date not null,
+  units integer not null default 1 check (units > 0),
+  status text not null default 'pending'
+    check (status in ('pending', 'confirmed', 'cancelled', 'expired')),
+  hold_expires_at timestamptz,
+  create_at timestamptz not null default now(),
+  constraint bookings_date_range check (check_out > check_in)
+);
+
+create index if not exists bookings_room_dates_idx
+  on public.bookings (room_id, check_in, check_out);
@@ -0,0 +1,15 @@
+-- Link bookings to users and store guest, price and lifecycle details.
+
+alter table public.bookings
+  add column if not exists user_id uuid not null references public.users (id),
+  add column if not exists adults integer not null default 1 check (adults > 0),
+  add column if not exists children integer not null default 0 check (children >= 0),
+  add column if not exists total_price numeric(12, 2) not null default 0,
+  add column if not exists price_breakdown jsonb,
+  add column if not exists note text,
+  add column if not exists confirmed_at timestamptz,
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists update_at timestamptz;
+
+create index if not exists bookings_user_idx on public.bookings (user_id, create_at desc);
+create index if not exists bookings_pending_hold_idx on public.bookings (hold_expires_at) where status = 'pending';
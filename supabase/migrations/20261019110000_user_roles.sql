@@ -0,0 +1,18 @@
+-- Role-based access control.
+-- Existing users become guests; promote admins manually:
+--   update public.users set role = 'admin' where email = '...';
+
+alter table public.users
+  add column if not exists role text not null default 'guest'
+    check (role in ('guest', 'hotel_manager', 'admin'));
+
+-- Hotels a hotel_manager may write to
+create table if not exists public.hotel_managers (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  hotel_id uuid not null references public.hotels (id) on delete cascade,
+  create_at timestamptz not null default now(),
+  unique (user_id, hotel_id)
+);
+
+create index if not exists hotel_managers_user_idx on public.hotel_managers (user_id);
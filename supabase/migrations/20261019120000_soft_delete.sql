@@ -0,0 +1,46 @@
+-- Soft delete for hotels, rooms, cities, countries and the rows that hang off them.
+-- Rows deleted in one cascade share the same deleted_at so a restore only
+-- brings back what that delete hid.
+
+alter table public.hotels
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.users (id);
+
+alter table public.rooms
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.users (id);
+
+alter table public.cities
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.users (id);
+
+alter table public.countries
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.users (id);
+
+alter table public.seo_metadata
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.users (id);
+
+alter table public.image_assets
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.users (id);
+
+create index if not exists rooms_hotel_deleted_idx on public.rooms (hotel_id, deleted_at);
+create index if not exists cities_country_deleted_idx on public.cities (country_id, deleted_at);
+create index if not exists seo_metadata_page_deleted_idx on public.seo_metadata (page_type, page_id, deleted_at);
+create index if not exists image_assets_content_deleted_idx on public.image_assets (content_type, content_id, deleted_at);
+
+-- Who deleted or restored what, and what the cascade touched
+create table if not exists public.deletion_audit_logs (
+  id uuid primary key default gen_random_uuid(),
+  entity_type text not null,
+  entity_id uuid not null,
+  action text not null check (action in ('delete', 'restore')),
+  user_id uuid references public.users (id) on delete set null,
+  reason text,
+  affected jsonb not null default '{}'::jsonb,
+  create_at timestamptz not null default now()
+);
+
+create index if not exists deletion_audit_logs_entity_idx on public.deletion_audit_logs (entity_type, entity_id);
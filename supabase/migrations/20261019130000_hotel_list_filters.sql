@@ -0,0 +1,23 @@
+-- Hotel list filtering and sorting.
+
+-- "newest" sort
+alter table public.hotels
+  add column if not exists create_at timestamptz not null default now();
+
+create index if not exists hotels_create_at_idx on public.hotels (create_at desc);
+
+-- Lowest nightly base price of a hotel over its active rooms.
+-- Computed field: PostgREST exposes it as hotels.min_price, so the list can
+-- select, filter, order and paginate by price in a single query.
+create or replace function public.min_price(h public.hotels)
+returns numeric
+language sql
+stable
+as $$
+  select min(least(p.price_mon, p.price_tue, p.price_wed, p.price_thu, p.price_fri, p.price_sat, p.price_sun))
+  from public.rooms r
+  join public.room_base_prices p on p.room_id = r.id
+  where r.hotel_id = h.id
+    and r.is_active = true
+    and r.deleted_at is null;
+$$;
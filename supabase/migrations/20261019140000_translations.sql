@@ -0,0 +1,100 @@
+-- Data-driven languages.
+-- Adding a language is an insert into public.languages; translated text lives in
+-- public.translations (one row per entity, field and language). The *_th / *_en
+-- columns stay as the Thai/English copy for existing queries.
+
+create table if not exists public.languages (
+  code text primary key,
+  name text not null,
+  native_name text,
+  is_active boolean not null default true,
+  sort_order integer not null default 0
+);
+
+insert into public.languages (code, name, native_name, sort_order) values
+  ('th', 'Thai', 'ไทย', 1),
+  ('en', 'English', 'English', 2),
+  ('zh', 'Chinese', '中文', 3),
+  ('ja', 'Japanese', '日本語', 4)
+on conflict (code) do nothing;
+
+create table if not exists public.translations (
+  id uuid primary key default gen_random_uuid(),
+  entity_type text not null,
+  entity_id uuid not null,
+  field text not null,
+  lang text not null references public.languages (code),
+  value text not null,
+  create_at timestamptz not null default now(),
+  update_at timestamptz not null default now(),
+  unique (entity_type, entity_id, field, lang)
+);
+
+create index if not exists translations_entity_idx on public.translations (entity_type, entity_id);
+
+-- Backfill from existing Thai/English columns
+insert into public.translations (entity_type, entity_id, field, lang, value)
+select 'hotel', h.id, f.field, f.lang, f.value
+from public.hotels h
+cross join lateral (values
+  ('name', 'th', h.name_th), ('name', 'en', h.name_en),
+  ('excerpt', 'th', h.excerpt_th), ('excerpt', 'en', h.excerpt_en),
+  ('description', 'th', h.description_th), ('description', 'en', h.description_en),
+  ('location_txt', 'th', h.location_txt_th), ('location_txt', 'en', h.location_txt_en)
+) as f (field, lang, value)
+where f.value is not null and f.value <> ''
+on conflict (entity_type, entity_id, field, lang) do nothing;
+
+insert into public.translations (entity_type, entity_id, field, lang, value)
+select 'room', r.id, f.field, f.lang, f.value
+from public.rooms r
+cross join lateral (values
+  ('name', 'th', r.name_th), ('name', 'en', r.name_en),
+  ('description', 'th', r.description_th), ('description', 'en', r.description_en)
+) as f (field, lang, value)
+where f.value is not null and f.value <> ''
+on conflict (entity_type, entity_id, field, lang) do nothing;
+
+insert into public.translations (entity_type, entity_id, field, lang, value)
+select 'city', c.id, 'name', f.lang, f.value
+from public.cities c
+cross join lateral (values ('th', c.name_th), ('en', c.name_en)) as f (lang, value)
+where f.value is not null and f.value <> ''
+on conflict (entity_type, entity_id, field, lang) do nothing;
+
+insert into public.translations (entity_type, entity_id, field, lang, value)
+select 'country', c.id, 'name', f.lang, f.value
+from public.countries c
+cross join lateral (values ('th', c.name_th), ('en', c.name_en)) as f (lang, value)
+where f.value is not null and f.value <> ''
+on conflict (entity_type, entity_id, field, lang) do nothing;
+
+insert into public.translations (entity_type, entity_id, field, lang, value)
+select 'hotel_option', o.id, 'name', f.lang, f.value
+from public.hotel_options o
+cross join lateral (values ('th', o.name_th), ('en', o.name_en)) as f (lang, value)
+where f.value is not null and f.value <> ''
+on conflict (entity_type, entity_id, field, lang) do nothing;
+
+insert into public.translations (entity_type, entity_id, field, lang, value)
+select 'room_option', o.id, 'name', f.lang, f.value
+from public.room_options o
+cross join lateral (values ('th', o.name_th), ('en', o.name_en)) as f (lang, value)
+where f.value is not null and f.value <> ''
+on conflict (entity_type, entity_id, field, lang) do nothing;
+
+-- Hotel name in every language (th/en columns plus translation rows).
+-- Computed field: PostgREST exposes it as hotels.name_search for the hotel list "q" filter.
+create or replace function public.name_search(h public.hotels)
+returns text
+language sql
+stable
+as $$
+  select concat_ws(' ', h.name_th, h.name_en, (
+    select string_agg(t.value, ' ')
+    from public.translations t
+    where t.entity_type = 'hotel'
+      and t.entity_id = h.id
+      and t.field = 'name'
+  ));
+$$;
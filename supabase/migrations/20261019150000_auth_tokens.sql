@@ -0,0 +1,30 @@
+-- Short-lived access tokens + rotating refresh tokens.
+
+-- Refresh tokens are stored hashed. Each login starts a family; every refresh
+-- revokes the used token and issues its replacement in the same family.
+-- Presenting a revoked token again revokes the whole family.
+create table if not exists public.refresh_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  family_id uuid not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  replaced_by uuid references public.refresh_tokens (id) on delete set null,
+  user_agent text,
+  ip text,
+  create_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_user_idx on public.refresh_tokens (user_id);
+create index if not exists refresh_tokens_family_idx on public.refresh_tokens (family_id);
+
+-- Access tokens (by jti) revoked before they expire
+create table if not exists public.revoked_tokens (
+  jti uuid primary key,
+  user_id uuid references public.users (id) on delete cascade,
+  expires_at timestamptz not null,
+  create_at timestamptz not null default now()
+);
+
+create index if not exists revoked_tokens_expires_idx on public.revoked_tokens (expires_at);
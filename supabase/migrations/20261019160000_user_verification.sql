@@ -0,0 +1,23 @@
+-- Email verification on registration + password reset.
+-- New users start as 'pending' and become 'active' once their email is verified.
+-- Existing users are treated as verified.
+
+alter table public.users
+  add column if not exists email_verified_at timestamptz;
+
+update public.users
+set email_verified_at = create_at
+where email_verified_at is null and status = 'active';
+
+-- Single-use tokens sent by email (stored hashed)
+create table if not exists public.user_action_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  purpose text not null check (purpose in ('email_verification', 'password_reset')),
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  create_at timestamptz not null default now()
+);
+
+create index if not exists user_action_tokens_user_purpose_idx on public.user_action_tokens (user_id, purpose);
@@ -0,0 +1,205 @@
+-- Atomic creates for hotel / room aggregates and image collections.
+-- Each function runs in a single transaction: if any insert fails nothing is
+-- written, so a failure halfway can't leave orphaned mappings, prices,
+-- translations, seo_metadata or image_assets rows.
+-- Called through supabase.rpc(); child rows are passed as jsonb arrays.
+-- A unique violation on seo_metadata / image_assets is re-raised with SQLSTATE
+-- PT409 and the API error code as message (SLUG_EXISTS / DUPLICATE_IMAGE), so
+-- callers don't depend on constraint or table names in the Postgres message.
+
+-- Translations of one entity (upsert)
+create or replace function public.insert_translation_rows(p_entity_type text, p_entity_id uuid, p_rows jsonb)
+returns jsonb
+language sql
+as $$
+  with saved as (
+    insert into public.translations (entity_type, entity_id, field, lang, value, update_at)
+    select p_entity_type, p_entity_id, r.field, r.lang, r.value, now()
+    from jsonb_to_recordset(coalesce(p_rows, '[]'::jsonb)) as r (field text, lang text, value text)
+    on conflict (entity_type, entity_id, field, lang)
+      do update set value = excluded.value, update_at = excluded.update_at
+    returning entity_id, field, lang, value
+  )
+  select coalesce(jsonb_agg(to_jsonb(saved)), '[]'::jsonb) from saved;
+$$;
+
+-- SEO metadata of one page
+create or replace function public.insert_seo_metadata_rows(p_page_type text, p_page_id uuid, p_rows jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_rows jsonb;
+begin
+  with inserted as (
+    insert into public.seo_metadata (page_type, page_id, slug, lang, title, description, og_image)
+    select p_page_type, p_page_id, r.slug, r.lang, r.title, r.description, r.og_image
+    from jsonb_to_recordset(coalesce(p_rows, '[]'::jsonb))
+      as r (slug text, lang text, title text, description text, og_image text)
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(inserted)), '[]'::jsonb) into v_rows from inserted;
+
+  return v_rows;
+exception
+  when unique_violation then
+    raise exception using errcode = 'PT409', message = 'SLUG_EXISTS', detail = sqlerrm;
+end;
+$$;
+
+-- Images of one entity; a new cover image replaces the current cover
+create or replace function public.insert_image_asset_rows(p_content_type text, p_content_id uuid, p_rows jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_images jsonb;
+begin
+  if exists (
+    select 1 from jsonb_to_recordset(coalesce(p_rows, '[]'::jsonb)) as r (is_cover boolean) where r.is_cover
+  ) then
+    update public.image_assets
+    set is_cover = false
+    where content_type = p_content_type
+      and content_id = p_content_id
+      and is_cover = true;
+  end if;
+
+  with inserted as (
+    insert into public.image_assets (id, content_type, content_id, url, alt, caption, is_cover, sort_order)
+    select gen_random_uuid(), p_content_type, p_content_id, r.url, r.alt, r.caption, coalesce(r.is_cover, false), coalesce(r.sort_order, 0)
+    from jsonb_to_recordset(coalesce(p_rows, '[]'::jsonb))
+      as r (url text, alt text, caption text, is_cover boolean, sort_order integer)
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(inserted) order by inserted.sort_order), '[]'::jsonb) into v_images from inserted;
+
+  return v_images;
+exception
+  when unique_violation then
+    raise exception using errcode = 'PT409', message = 'DUPLICATE_IMAGE', detail = sqlerrm;
+end;
+$$;
+
+-- POST /api/image-collection
+create or replace function public.create_image_collection(p_content_type text, p_content_id uuid, p_images jsonb)
+returns jsonb
+language sql
+as $$
+  select public.insert_image_asset_rows(p_content_type, p_content_id, p_images);
+$$;
+
+-- POST /api/hotel: hotel + city/option mappings + translations + SEO + images
+create or replace function public.create_hotel_aggregate(
+  p_hotel jsonb,
+  p_city_ids uuid[] default '{}',
+  p_option_ids uuid[] default '{}',
+  p_translations jsonb default '[]',
+  p_seo jsonb default '[]',
+  p_images jsonb default '[]'
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_hotel public.hotels;
+begin
+  insert into public.hotels (
+    id, name_th, name_en, excerpt_th, excerpt_en, description_th, description_en,
+    checkin_time, checkout_time, image, location_txt_th, location_txt_en, google_map_link, is_active
+  )
+  select
+    coalesce(h.id, gen_random_uuid()), h.name_th, h.name_en, h.excerpt_th, h.excerpt_en, h.description_th, h.description_en,
+    h.checkin_time, h.checkout_time, h.image, h.location_txt_th, h.location_txt_en, h.google_map_link, coalesce(h.is_active, true)
+  from jsonb_populate_record(null::public.hotels, p_hotel) as h
+  returning * into v_hotel;
+
+  insert into public.hotels_cities_map (id, hotel_id, city_id)
+  select gen_random_uuid(), v_hotel.id, city_id
+  from unnest(coalesce(p_city_ids, '{}')) as city_id;
+
+  insert into public.hotels_options_map (id, hotel_id, hotel_option_id)
+  select gen_random_uuid(), v_hotel.id, option_id
+  from unnest(coalesce(p_option_ids, '{}')) as option_id;
+
+  return jsonb_build_object(
+    'hotel', to_jsonb(v_hotel),
+    'translations', public.insert_translation_rows('hotel', v_hotel.id, p_translations),
+    'seo_metadata', public.insert_seo_metadata_rows('hotel', v_hotel.id, p_seo),
+    'images', public.insert_image_asset_rows('hotel', v_hotel.id, p_images)
+  );
+end;
+$$;
+
+-- POST /api/room: room + option mappings + base/season/override prices + translations + SEO + images
+create or replace function public.create_room_aggregate(
+  p_room jsonb,
+  p_option_ids uuid[] default '{}',
+  p_base_price jsonb default null,
+  p_season_prices jsonb default '[]',
+  p_override_prices jsonb default '[]',
+  p_translations jsonb default '[]',
+  p_seo jsonb default '[]',
+  p_images jsonb default '[]'
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_room public.rooms;
+  v_base_price public.room_base_prices;
+  v_season_prices jsonb;
+  v_override_prices jsonb;
+begin
+  insert into public.rooms (
+    id, name_th, name_en, room_size, description_th, description_en,
+    max_adult, max_children, total_room, create_at, hotel_id, is_active
+  )
+  select
+    coalesce(r.id, gen_random_uuid()), r.name_th, r.name_en, r.room_size, r.description_th, r.description_en,
+    r.max_adult, r.max_children, r.total_room, coalesce(r.create_at, now()), r.hotel_id, coalesce(r.is_active, false)
+  from jsonb_populate_record(null::public.rooms, p_room) as r
+  returning * into v_room;
+
+  insert into public.room_options_map (id, room_id, room_option_id)
+  select gen_random_uuid(), v_room.id, option_id
+  from unnest(coalesce(p_option_ids, '{}')) as option_id;
+
+  if p_base_price is not null then
+    insert into public.room_base_prices (id, price_sun, price_mon, price_tue, price_wed, price_thu, price_fri, price_sat, room_id)
+    select gen_random_uuid(), p.price_sun, p.price_mon, p.price_tue, p.price_wed, p.price_thu, p.price_fri, p.price_sat, v_room.id
+    from jsonb_populate_record(null::public.room_base_prices, p_base_price) as p
+    returning * into v_base_price;
+  end if;
+
+  with inserted as (
+    insert into public.room_season_base_prices (
+      id, name, start_date, end_date, price_sun, price_mon, price_tue, price_wed, price_thu, price_fri, price_sat, room_id
+    )
+    select gen_random_uuid(), s.name, s.start_date, s.end_date, s.price_sun, s.price_mon, s.price_tue, s.price_wed, s.price_thu, s.price_fri, s.price_sat, v_room.id
+    from jsonb_populate_recordset(null::public.room_season_base_prices, coalesce(p_season_prices, '[]'::jsonb)) as s
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(inserted) order by inserted.start_date), '[]'::jsonb) into v_season_prices from inserted;
+
+  with inserted as (
+    insert into public.room_override_prices (
+      id, name, price, start_date, end_date, is_promotion, note, is_active, room_id
+    )
+    select gen_random_uuid(), o.name, o.price, o.start_date, o.end_date, o.is_promotion, o.note, coalesce(o.is_active, true), v_room.id
+    from jsonb_populate_recordset(null::public.room_override_prices, coalesce(p_override_prices, '[]'::jsonb)) as o
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(inserted) order by inserted.start_date), '[]'::jsonb) into v_override_prices from inserted;
+
+  return jsonb_build_object(
+    'room', to_jsonb(v_room),
+    'base_price', to_jsonb(v_base_price),
+    'season_base_prices', v_season_prices,
+    'override_prices', v_override_prices,
+    'translations', public.insert_translation_rows('room', v_room.id, p_translations),
+    'seo_metadata', public.insert_seo_metadata_rows('room', v_room.id, p_seo),
+    'images', public.insert_image_asset_rows('room', v_room.id, p_images)
+  );
+end;
+$$;
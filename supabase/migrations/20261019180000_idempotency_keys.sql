@@ -0,0 +1,20 @@
+-- Idempotency-Key support for create endpoints.
+-- The first request with a key stores its response; retries with the same key
+-- and body get the stored response back instead of creating a duplicate.
+
+create table if not exists public.idempotency_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  idempotency_key text not null,
+  method text not null,
+  path text not null,
+  request_hash text not null,
+  status text not null default 'processing' check (status in ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  create_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  unique (user_id, idempotency_key)
+);
+
+create index if not exists idempotency_keys_expires_idx on public.idempotency_keys (expires_at);
@@ -0,0 +1,103 @@
+-- Image gallery management.
+-- Cover changes, deletes and reorders touch several rows of one gallery, so each
+-- runs as a single function call (one transaction). An entity never ends up
+-- with two covers, or with no cover while it still has images.
+
+-- Make one image the cover of its gallery
+create or replace function public.set_image_cover(p_image_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_image public.image_assets;
+begin
+  select * into v_image
+  from public.image_assets
+  where id = p_image_id and deleted_at is null
+  for update;
+
+  if not found then
+    return null;
+  end if;
+
+  update public.image_assets
+  set is_cover = (id = p_image_id)
+  where content_type = v_image.content_type
+    and content_id = v_image.content_id
+    and deleted_at is null
+    and (is_cover = true or id = p_image_id);
+
+  select * into v_image from public.image_assets where id = p_image_id;
+
+  return to_jsonb(v_image);
+end;
+$$;
+
+-- Soft delete an image (deleted_at / deleted_by, like the rest of image_assets) and
+-- write its deletion_audit_logs row in the same transaction. The stored file and
+-- its image_variants stay valid. The deleted image drops its cover flag; if it was
+-- the cover, the first remaining image becomes the cover
+create or replace function public.delete_image_asset(p_image_id uuid, p_user_id uuid, p_deleted_at timestamptz default now())
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_image public.image_assets;
+  v_was_cover boolean;
+  v_new_cover_id uuid;
+begin
+  select is_cover into v_was_cover
+  from public.image_assets
+  where id = p_image_id and deleted_at is null
+  for update;
+
+  if not found then
+    return null;
+  end if;
+
+  update public.image_assets
+  set deleted_at = p_deleted_at, deleted_by = p_user_id, is_cover = false
+  where id = p_image_id
+  returning * into v_image;
+
+  if v_was_cover then
+    select id into v_new_cover_id
+    from public.image_assets
+    where content_type = v_image.content_type
+      and content_id = v_image.content_id
+      and deleted_at is null
+    order by sort_order, id
+    limit 1;
+
+    if v_new_cover_id is not null then
+      update public.image_assets set is_cover = true where id = v_new_cover_id;
+    end if;
+  end if;
+
+  insert into public.deletion_audit_logs (entity_type, entity_id, action, user_id, affected, create_at)
+  values (
+    'image_asset',
+    p_image_id,
+    'delete',
+    p_user_id,
+    jsonb_build_object('image_assets', 1, 'was_cover', v_was_cover, 'new_cover_id', v_new_cover_id),
+    p_deleted_at
+  );
+
+  return jsonb_build_object('image', to_jsonb(v_image), 'was_cover', v_was_cover, 'new_cover_id', v_new_cover_id);
+end;
+$$;
+
+-- Set sort_order of a gallery from an ordered id list (0, 1, 2, ...)
+create or replace function public.reorder_image_assets(p_content_type text, p_content_id uuid, p_image_ids uuid[])
+returns void
+language sql
+as $$
+  update public.image_assets a
+  set sort_order = o.position - 1
+  from unnest(p_image_ids) with ordinality as o (id, position)
+  where a.id = o.id
+    and a.content_type = p_content_type
+    and a.content_id = p_content_id
+    and a.deleted_at is null;
+$$;
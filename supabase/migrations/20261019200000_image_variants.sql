@@ -0,0 +1,17 @@
+-- Responsive image derivatives.
+-- Every uploaded / registered image gets resized WebP and AVIF copies
+-- (thumbnail, card, hero). Rows are keyed by the source URL so they serve
+-- image_assets galleries as well as single image columns (hotels.image, cities.image).
+-- The "original" row records the size of the source image itself.
+
+create table if not exists public.image_variants (
+  id uuid primary key default gen_random_uuid(),
+  source_url text not null,
+  variant text not null check (variant in ('original', 'thumbnail', 'card', 'hero')),
+  format text not null,
+  url text not null,
+  width integer not null,
+  height integer not null,
+  create_at timestamptz not null default now(),
+  unique (source_url, variant, format)
+);
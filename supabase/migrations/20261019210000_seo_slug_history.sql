@@ -0,0 +1,61 @@
+-- SEO slug history.
+-- When a page's slug changes the old slug is kept here, so
+-- GET /api/seo-metadata?slug=<old> can answer with a redirect to the current slug
+-- instead of a 404 (inbound links and search ranking survive a rename).
+-- Rows point at the seo_metadata row, so a chain of renames always resolves to the latest slug.
+
+create table if not exists public.seo_slug_history (
+  id uuid primary key default gen_random_uuid(),
+  seo_metadata_id uuid not null references public.seo_metadata (id) on delete cascade,
+  page_type text not null,
+  lang text not null,
+  old_slug text not null,
+  create_at timestamptz not null default now(),
+  unique (page_type, lang, old_slug)
+);
+
+create index if not exists seo_slug_history_old_slug_idx on public.seo_slug_history (old_slug);
+
+-- PATCH /api/seo-metadata/:id: update a row and record the old slug in one transaction
+create or replace function public.update_seo_metadata(p_id uuid, p_fields jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_old public.seo_metadata;
+  v_new public.seo_metadata;
+begin
+  select * into v_old
+  from public.seo_metadata
+  where id = p_id and deleted_at is null
+  for update;
+
+  if not found then
+    return null;
+  end if;
+
+  update public.seo_metadata
+  set
+    slug = coalesce(p_fields ->> 'slug', slug),
+    title = coalesce(p_fields ->> 'title', title),
+    description = coalesce(p_fields ->> 'description', description),
+    og_image = case when p_fields ? 'og_image' then p_fields ->> 'og_image' else og_image end
+  where id = p_id
+  returning * into v_new;
+
+  if v_new.slug <> v_old.slug then
+    -- The new slug is live again, it is no longer a redirect
+    delete from public.seo_slug_history
+    where page_type = v_new.page_type
+      and lang = v_new.lang
+      and old_slug = v_new.slug;
+
+    insert into public.seo_slug_history (seo_metadata_id, page_type, lang, old_slug)
+    values (v_old.id, v_old.page_type, v_old.lang, v_old.slug)
+    on conflict (page_type, lang, old_slug)
+      do update set seo_metadata_id = excluded.seo_metadata_id, create_at = now();
+  end if;
+
+  return to_jsonb(v_new);
+end;
+$$;
@@ -0,0 +1,25 @@
+-- lastmod for GET /sitemap.xml.
+-- seo_metadata rows get an update_at that is bumped on every change
+-- (slug / title / description edits, soft delete and restore).
+
+alter table public.seo_metadata
+  add column if not exists update_at timestamptz not null default now();
+
+create or replace function public.touch_seo_metadata_update_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.update_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists seo_metadata_touch_update_at on public.seo_metadata;
+
+create trigger seo_metadata_touch_update_at
+  before update on public.seo_metadata
+  for each row
+  execute function public.touch_seo_metadata_update_at();
+
+create index if not exists seo_metadata_sitemap_idx on public.seo_metadata (page_type, lang) where deleted_at is null;